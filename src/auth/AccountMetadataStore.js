@@ -0,0 +1,106 @@
+/**
+ * File: src/auth/AccountMetadataStore.js
+ * Description: Persisted per-account labels, enabled flags, rotation weights, notes and tags kept beside the auth files
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Account Metadata Store Module
+ * Settings of an account that are not part of its storage state live in a sidecar file, so the auth JSON
+ * never has to be edited. Entries are keyed by account (the email when the auth file names one, so the
+ * settings survive a re-login that creates a new auth-N.json), see AuthSource.getAccountKey().
+ */
+class AccountMetadataStore {
+    static DEFAULTS = { enabled: true, label: "", notes: "", tags: [], weight: 1 };
+
+    constructor(logger, config) {
+        this.logger = logger;
+        this.filePath = path.resolve(process.cwd(), config.accountMetadataFile);
+        // account key -> metadata record
+        this.entries = new Map();
+
+        this._load();
+    }
+
+    _load() {
+        if (!fs.existsSync(this.filePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+            for (const [key, entry] of Object.entries(data.accounts || {})) {
+                this.entries.set(key, this._normalizeRecord(entry));
+            }
+        } catch (error) {
+            this.logger.error(`[Auth] Failed to read account metadata file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        const data = { accounts: Object.fromEntries(this.entries) };
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            this.logger.error(`[Auth] Failed to save account metadata file: ${error.message}`);
+        }
+    }
+
+    _normalizeRecord(data) {
+        const weight = Number(data.weight);
+        return {
+            enabled: data.enabled !== false,
+            label: String(data.label ?? "")
+                .trim()
+                .slice(0, 64),
+            notes: String(data.notes ?? "").slice(0, 1000),
+            tags: Array.isArray(data.tags)
+                ? [...new Set(data.tags.map(tag => String(tag).trim()).filter(tag => tag))]
+                : [],
+            updatedAt: data.updatedAt || null,
+            weight: Number.isFinite(weight) && weight >= 0 ? weight : AccountMetadataStore.DEFAULTS.weight,
+        };
+    }
+
+    /**
+     * Get the metadata of an account, defaults if nothing was stored
+     * @param {string} key - Account key
+     * @returns {object}
+     */
+    get(key) {
+        return this.entries.get(key) || this._normalizeRecord(AccountMetadataStore.DEFAULTS);
+    }
+
+    /**
+     * Change some fields of an account's metadata, fields missing from the patch are kept
+     * @param {string} key - Account key
+     * @param {object} patch - { enabled?, label?, notes?, tags?, weight? }
+     * @returns {object} Updated metadata
+     */
+    update(key, patch) {
+        const current = this.get(key);
+        const fields = Object.keys(AccountMetadataStore.DEFAULTS).filter(field => patch[field] !== undefined);
+        const record = this._normalizeRecord({
+            ...current,
+            ...Object.fromEntries(fields.map(field => [field, patch[field]])),
+            updatedAt: new Date().toISOString(),
+        });
+        this.entries.set(key, record);
+        this._save();
+        return record;
+    }
+
+    /**
+     * Forget the metadata of an account
+     * @param {string} key - Account key
+     */
+    remove(key) {
+        if (this.entries.delete(key)) this._save();
+    }
+}
+
+module.exports = AccountMetadataStore;
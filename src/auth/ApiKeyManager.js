@@ -0,0 +1,309 @@
+/**
+ * File: src/auth/ApiKeyManager.js
+ * Description: Per-key API identities with model allow-lists, rate/concurrency limits, safety overrides and persisted usage accounting
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const SafetyPolicy = require("../utils/SafetyPolicy");
+
+/**
+ * API Key Management Module
+ * Keys from the API_KEYS environment variable are always present (marked as "env" and cannot be deleted),
+ * keys created from the web console are stored together with all usage counters in the keys file.
+ */
+class ApiKeyManager {
+    constructor(logger, config) {
+        this.logger = logger;
+        this.config = config;
+        this.filePath = path.resolve(process.cwd(), config.apiKeysFile);
+        // id -> key record
+        this.keys = new Map();
+        // id -> { inFlight, minuteWindow: number[] }, not persisted
+        this.runtime = new Map();
+        this.saveTimer = null;
+
+        this._load();
+    }
+
+    _load() {
+        let storedKeys = [];
+        if (fs.existsSync(this.filePath)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+                storedKeys = Array.isArray(data.keys) ? data.keys : [];
+            } catch (error) {
+                this.logger.error(`[Auth] Failed to read API keys file ${this.filePath}: ${error.message}`);
+            }
+        }
+
+        for (const stored of storedKeys) {
+            if (!stored.key || !stored.id) continue;
+            this.keys.set(stored.id, this._normalizeRecord(stored));
+        }
+
+        // The default key only applies while no keys are managed from the console
+        const envKeys =
+            this.config.apiKeySource === "Default" && storedKeys.some(k => k.source !== "env")
+                ? []
+                : this.config.apiKeys;
+        const envKeySet = new Set(envKeys);
+
+        for (const record of this.keys.values()) {
+            // Keys removed from API_KEYS stop working on restart
+            if (record.source === "env" && !envKeySet.has(record.key)) {
+                this.keys.delete(record.id);
+            }
+        }
+        envKeys.forEach((key, i) => {
+            if (!this.findByKey(key)) {
+                const record = this._normalizeRecord({ key, label: `API_KEYS #${i + 1}`, source: "env" });
+                this.keys.set(record.id, record);
+            }
+        });
+
+        this.logger.info(`[Auth] Loaded ${this.keys.size} API keys (${envKeys.length} from API_KEYS).`);
+    }
+
+    _normalizeRecord(data) {
+        return {
+            // null inherits ALLOW_CLIENT_SAFETY_SETTINGS
+            allowClientSafetySettings:
+                typeof data.allowClientSafetySettings === "boolean" ? data.allowClientSafetySettings : null,
+            allowedModels: Array.isArray(data.allowedModels)
+                ? data.allowedModels.map(m => String(m).trim()).filter(m => m)
+                : [],
+            createdAt: data.createdAt || new Date().toISOString(),
+            enabled: data.enabled !== false,
+            id: data.id || crypto.randomBytes(6).toString("hex"),
+            key: data.key,
+            label: data.label || "",
+            maxConcurrent: Math.max(0, parseInt(data.maxConcurrent, 10) || 0),
+            rpdLimit: Math.max(0, parseInt(data.rpdLimit, 10) || 0),
+            rpmLimit: Math.max(0, parseInt(data.rpmLimit, 10) || 0),
+            // null inherits SAFETY_THRESHOLD
+            safetyThreshold: SafetyPolicy.THRESHOLDS.includes(data.safetyThreshold) ? data.safetyThreshold : null,
+            source: data.source === "env" ? "env" : "managed",
+            usage: {
+                completionTokens: data.usage?.completionTokens || 0,
+                day: data.usage?.day || null,
+                dayRequests: data.usage?.dayRequests || 0,
+                lastUsedAt: data.usage?.lastUsedAt || null,
+                promptTokens: data.usage?.promptTokens || 0,
+                requests: data.usage?.requests || 0,
+                totalTokens: data.usage?.totalTokens || 0,
+            },
+        };
+    }
+
+    _getRuntime(id) {
+        if (!this.runtime.has(id)) {
+            this.runtime.set(id, { inFlight: 0, minuteWindow: [] });
+        }
+        return this.runtime.get(id);
+    }
+
+    _save() {
+        const data = { keys: [...this.keys.values()] };
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            this.logger.error(`[Auth] Failed to save API keys file: ${error.message}`);
+        }
+    }
+
+    // Usage changes on every request, batch the writes
+    _scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._save();
+        }, 5000);
+    }
+
+    /**
+     * Find the record for a client-supplied key
+     * @param {string} key - API key
+     * @returns {object|undefined}
+     */
+    findByKey(key) {
+        if (!key) return undefined;
+        for (const record of this.keys.values()) {
+            if (record.key === key) return record;
+        }
+        return undefined;
+    }
+
+    /**
+     * Check whether a key may use a model. An empty allow-list allows every model,
+     * entries ending with "*" match by prefix. A key with an allow-list may not leave the model out,
+     * the converter's default model would bypass the list.
+     * @param {object} record - Key record
+     * @param {string|null} model - Model name, with or without the "models/" prefix
+     * @returns {boolean}
+     */
+    isModelAllowed(record, model) {
+        if (!record || record.allowedModels.length === 0) return true;
+        if (!model) return false;
+        const name = String(model).replace(/^models\//, "");
+        return record.allowedModels.some(pattern =>
+            pattern.endsWith("*") ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+        );
+    }
+
+    /**
+     * Admit a request against the key's limits and count it
+     * @param {object} record - Key record
+     * @returns {{allowed: boolean, reason?: string, retryAfter?: number}}
+     */
+    acquire(record) {
+        const runtime = this._getRuntime(record.id);
+        const now = Date.now();
+        const today = new Date(now).toISOString().slice(0, 10);
+
+        // Daily counters are persisted so restarts do not reset the daily limit
+        if (record.usage.day !== today) {
+            record.usage.day = today;
+            record.usage.dayRequests = 0;
+        }
+        runtime.minuteWindow = runtime.minuteWindow.filter(t => now - t < 60000);
+
+        if (record.maxConcurrent > 0 && runtime.inFlight >= record.maxConcurrent) {
+            return { allowed: false, reason: `Concurrent request limit (${record.maxConcurrent}) reached.` };
+        }
+        if (record.rpmLimit > 0 && runtime.minuteWindow.length >= record.rpmLimit) {
+            return {
+                allowed: false,
+                reason: `Rate limit of ${record.rpmLimit} requests per minute reached.`,
+                retryAfter: Math.ceil((runtime.minuteWindow[0] + 60000 - now) / 1000),
+            };
+        }
+        if (record.rpdLimit > 0 && record.usage.dayRequests >= record.rpdLimit) {
+            const nextDay = new Date(`${today}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+            return {
+                allowed: false,
+                reason: `Daily limit of ${record.rpdLimit} requests reached.`,
+                retryAfter: Math.ceil((nextDay - now) / 1000),
+            };
+        }
+
+        runtime.inFlight++;
+        runtime.minuteWindow.push(now);
+        record.usage.dayRequests++;
+        record.usage.requests++;
+        record.usage.lastUsedAt = new Date(now).toISOString();
+        this._scheduleSave();
+        return { allowed: true };
+    }
+
+    /**
+     * Finish a request admitted by acquire() and add its token usage
+     * @param {object} record - Key record
+     * @param {object|null} usage - Usage in the shape returned by FormatConverter._parseUsage
+     */
+    release(record, usage) {
+        const runtime = this._getRuntime(record.id);
+        runtime.inFlight = Math.max(0, runtime.inFlight - 1);
+
+        if (usage) {
+            record.usage.promptTokens += usage.prompt_tokens || 0;
+            record.usage.completionTokens += usage.completion_tokens || 0;
+            record.usage.totalTokens += usage.total_tokens || 0;
+            this._scheduleSave();
+        }
+    }
+
+    /**
+     * List keys for the web console, secrets are masked
+     * @returns {object[]}
+     */
+    list() {
+        return [...this.keys.values()].map(record => this._toPublic(record));
+    }
+
+    _toPublic(record, revealKey = false) {
+        const runtime = this._getRuntime(record.id);
+        const { key, ...rest } = record;
+        return {
+            ...rest,
+            inFlight: runtime.inFlight,
+            key: revealKey ? key : key.length > 12 ? `${key.slice(0, 4)}••••${key.slice(-4)}` : `••••${key.slice(-2)}`,
+        };
+    }
+
+    _applyUpdates(record, updates) {
+        const normalized = this._normalizeRecord({ ...record, ...updates, id: record.id, source: record.source });
+        Object.assign(record, {
+            allowClientSafetySettings: normalized.allowClientSafetySettings,
+            allowedModels: normalized.allowedModels,
+            enabled: normalized.enabled,
+            label: normalized.label,
+            maxConcurrent: normalized.maxConcurrent,
+            rpdLimit: normalized.rpdLimit,
+            rpmLimit: normalized.rpmLimit,
+            safetyThreshold: normalized.safetyThreshold,
+        });
+    }
+
+    /**
+     * Create a managed key
+     * @param {object} data - Key settings, a random key is generated when data.key is empty
+     * @returns {object} Created record including the full key
+     * @throws {Error} If the key already exists
+     */
+    create(data) {
+        const key = data.key ? String(data.key).trim() : `sk-${crypto.randomBytes(24).toString("hex")}`;
+        if (this.findByKey(key)) {
+            throw new Error("API key already exists.");
+        }
+
+        const record = this._normalizeRecord({ key, source: "managed" });
+        this._applyUpdates(record, data);
+        this.keys.set(record.id, record);
+        this._save();
+        this.logger.info(`[Auth] API key "${record.label}" (${record.id}) created.`);
+        return this._toPublic(record, true);
+    }
+
+    /**
+     * Update a key's settings
+     * @param {string} id - Key ID
+     * @param {object} updates - Settings to change
+     * @returns {object|null} Updated record, or null if not found
+     */
+    update(id, updates) {
+        const record = this.keys.get(id);
+        if (!record) return null;
+        this._applyUpdates(record, updates);
+        this._save();
+        this.logger.info(`[Auth] API key "${record.label}" (${record.id}) updated.`);
+        return this._toPublic(record);
+    }
+
+    /**
+     * Delete a managed key
+     * @param {string} id - Key ID
+     * @returns {boolean} False if not found
+     * @throws {Error} If the key comes from API_KEYS
+     */
+    remove(id) {
+        const record = this.keys.get(id);
+        if (!record) return false;
+        if (record.source === "env") {
+            throw new Error("Keys from API_KEYS can only be removed from the environment.");
+        }
+        this.keys.delete(id);
+        this.runtime.delete(id);
+        this._save();
+        this.logger.info(`[Auth] API key "${record.label}" (${record.id}) deleted.`);
+        return true;
+    }
+}
+
+module.exports = ApiKeyManager;
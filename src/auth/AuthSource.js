@@ -7,18 +7,21 @@
 
 const fs = require("fs");
 const path = require("path");
+const AccountMetadataStore = require("./AccountMetadataStore");
 
 /**
  * Authentication Source Management Module
  * Responsible for loading and managing authentication information from the file system
  */
 class AuthSource {
-    constructor(logger) {
+    constructor(logger, config) {
         this.logger = logger;
         this.authMode = "file";
         this.availableIndices = [];
-        // Indices used for rotation/switching (deduplicated by email, keeping the latest index per account)
+        // Indices used for rotation/switching (deduplicated by email, keeping the latest index per account, enabled only)
         this.rotationIndices = [];
+        // Canonical indices of accounts disabled in their metadata, left out of rotation
+        this.disabledIndices = [];
         // Duplicate auth indices detected (valid JSON but skipped from rotation due to same email)
         this.duplicateIndices = [];
         this.initialIndices = [];
@@ -28,6 +31,7 @@ class AuthSource {
         // Duplicate groups (email -> kept + duplicates)
         this.duplicateGroups = [];
         this.lastScannedIndices = "[]"; // Cache to track changes
+        this.metadata = new AccountMetadataStore(logger, config);
 
         this.logger.info('[Auth] Using files in "configs/auth/" directory for authentication.');
 
@@ -66,11 +70,16 @@ class AuthSource {
             throw new Error(`Auth file for account #${index} does not exist.`);
         }
 
+        const accountKey = this.getAccountKey(index);
         try {
             fs.unlinkSync(authFilePath);
         } catch (error) {
             throw new Error(`Failed to delete auth file for account #${index}: ${error.message}`);
         }
+        // Email-keyed metadata is kept for a later re-login, index-keyed metadata would attach to the next auth-N.json
+        if (accountKey && !accountKey.includes("@")) {
+            this.metadata.remove(accountKey);
+        }
 
         return {
             remainingAccounts: this.availableIndices.length,
@@ -104,6 +113,7 @@ class AuthSource {
         if (this.initialIndices.length === 0) {
             this.availableIndices = [];
             this.rotationIndices = [];
+            this.disabledIndices = [];
             this.duplicateIndices = [];
             this.accountNameMap.clear();
             this.canonicalIndexMap.clear();
@@ -204,6 +214,10 @@ class AuthSource {
 
         this.rotationIndices = [...new Set(this.rotationIndices)].sort((a, b) => a - b);
         this.duplicateIndices = [...new Set(this.duplicateIndices)].sort((a, b) => a - b);
+        this.disabledIndices = this.rotationIndices.filter(
+            index => !this.metadata.get(this.getAccountKey(index)).enabled
+        );
+        this.rotationIndices = this.rotationIndices.filter(index => !this.disabledIndices.includes(index));
 
         if (this.duplicateIndices.length > 0) {
             this.logger.warn(
@@ -211,6 +225,11 @@ class AuthSource {
                     `Rotation will only use latest index per account: [${this.rotationIndices.join(", ")}].`
             );
         }
+        if (this.disabledIndices.length > 0) {
+            this.logger.info(
+                `[Auth] ${this.disabledIndices.length} accounts are disabled and left out of rotation: [${this.disabledIndices.join(", ")}].`
+            );
+        }
     }
 
     _getAuthContent(index) {
@@ -253,6 +272,51 @@ class AuthSource {
         return this.canonicalIndexMap.get(index) ?? index;
     }
 
+    /**
+     * Get the key an account's metadata is stored under: the email of the account if its auth file names
+     * one, otherwise the canonical index
+     * @param {number} index - Account index
+     * @returns {string|null} Null if the index is not a valid account
+     */
+    getAccountKey(index) {
+        const canonicalIndex = this.getCanonicalIndex(index);
+        if (canonicalIndex === null) return null;
+        return this._normalizeEmailKey(this.accountNameMap.get(canonicalIndex)) || `auth-${canonicalIndex}`;
+    }
+
+    /**
+     * Get the metadata (label, enabled, weight, notes, tags) of an account
+     * @param {number} index - Account index
+     * @returns {object|null} Null if the index is not a valid account
+     */
+    getAccountMetadata(index) {
+        const key = this.getAccountKey(index);
+        return key ? this.metadata.get(key) : null;
+    }
+
+    /**
+     * Edit the metadata of an account, rotation is rebuilt so the enabled flag applies right away
+     * @param {number} index - Account index
+     * @param {object} patch - Fields to change
+     * @returns {object|null} Updated metadata, null if the index is not a valid account
+     */
+    updateAccountMetadata(index, patch) {
+        const key = this.getAccountKey(index);
+        if (!key) return null;
+        const metadata = this.metadata.update(key, patch);
+        if (patch.enabled !== undefined) this._buildRotationIndices();
+        return metadata;
+    }
+
+    /**
+     * Get the rotation weight of an account, used by the weighted rotation strategy
+     * @param {number} index - Account index
+     * @returns {number}
+     */
+    getAccountWeight(index) {
+        return this.getAccountMetadata(index)?.weight ?? 1;
+    }
+
     getDuplicateGroups() {
         return this.duplicateGroups;
     }
@@ -1,23 +1,52 @@
 /**
  * File: src/auth/AuthSwitcher.js
- * Description: Authentication switcher that handles account rotation logic, failure tracking, and usage-based switching
+ * Description: Authentication switcher that handles account rotation logic, failure tracking, quota cooldowns, and usage-based switching
  *
  * Author: Ellinav, iBenzene, bbbugg
  */
 
+const metrics = require("../utils/Metrics");
+const QuotaCooldownStore = require("./QuotaCooldownStore");
+const RotationStrategy = require("./RotationStrategy");
+
 /**
  * Authentication Switcher Module
  * Handles account switching logic including single/multi-account modes and fallback mechanisms
  */
 class AuthSwitcher {
-    constructor(logger, config, authSource, browserManager) {
+    constructor(logger, config, authSource, browserManager, browserPool = null) {
         this.logger = logger;
         this.config = config;
         this.authSource = authSource;
         this.browserManager = browserManager;
+        this.browserPool = browserPool;
         this.failureCount = 0;
         this.usageCount = 0;
-        this.isSystemBusy = false;
+        this._isSystemBusy = false;
+        this.readyListeners = new Set();
+        this.quotaCooldowns = new QuotaCooldownStore(logger, config);
+        this.rotationStrategy = new RotationStrategy(logger, config, index => authSource.getAccountWeight(index));
+    }
+
+    get isSystemBusy() {
+        return this._isSystemBusy;
+    }
+
+    set isSystemBusy(value) {
+        this._isSystemBusy = value;
+        if (!value) {
+            for (const listener of [...this.readyListeners]) listener();
+        }
+    }
+
+    /**
+     * Register a listener called whenever the system leaves the busy state
+     * @param {Function} listener - Callback
+     * @returns {Function} Unsubscribe function
+     */
+    onReady(listener) {
+        this.readyListeners.add(listener);
+        return () => this.readyListeners.delete(listener);
     }
 
     get currentAuthIndex() {
@@ -49,7 +78,16 @@ class AuthSwitcher {
     //     return available[nextIndexInArray];
     // }
 
-    async switchToNextAuth() {
+    /**
+     * Switch to the account chosen by the rotation strategy, skipping accounts in quota cooldown
+     * @param {string} [reason="manual"] - Why the switch happens, recorded in metrics
+     * @param {string|null} [model=null] - Model of the failed request, accounts cooling down for it are skipped too
+     */
+    async switchToNextAuth(reason = "manual", model = null) {
+        return this._recordSwitch(reason, () => this._switchToNextAuth(model));
+    }
+
+    async _switchToNextAuth(model = null) {
         const available = this.authSource.getRotationIndices();
 
         if (available.length === 0) {
@@ -97,9 +135,13 @@ class AuthSwitcher {
             const hasCurrentAccount = currentIndexInArray !== -1;
             const startIndex = hasCurrentAccount ? currentIndexInArray : 0;
             const originalStartAccount = hasCurrentAccount ? available[startIndex] : null;
+            const cooledAccounts = available.filter(index => this.quotaCooldowns.isCoolingDown(index, model));
+            const pooledAccounts = this._getPooledIndices();
 
             this.logger.info("==================================================");
-            this.logger.info(`🔄 [Auth] Multi-account mode: Starting intelligent account switching`);
+            this.logger.info(
+                `🔄 [Auth] Multi-account mode: Starting intelligent account switching (${this.rotationStrategy.strategy})`
+            );
             this.logger.info(`   • Current account: #${this.currentAuthIndex}`);
             this.logger.info(
                 `   • Available accounts (dedup by email, keeping latest index): [${available.join(", ")}]`
@@ -109,21 +151,47 @@ class AuthSwitcher {
             } else {
                 this.logger.info(`   • No current account, will try all available accounts`);
             }
+            if (cooledAccounts.length > 0) {
+                this.logger.info(`   • In quota cooldown (skipped): [${cooledAccounts.join(", ")}]`);
+            }
+            if (pooledAccounts.length > 0) {
+                this.logger.info(`   • Live in the browser pool (skipped): [${pooledAccounts.join(", ")}]`);
+            }
             this.logger.info("==================================================");
 
             const failedAccounts = [];
-            // If no current account (currentAuthIndex=-1), start from i=0 to try all accounts
-            // If has current account, start from i=1 to skip current and try others
-            const startOffset = hasCurrentAccount ? 1 : 0;
-            const tryCount = hasCurrentAccount ? available.length - 1 : available.length;
+            // If no current account (currentAuthIndex=-1), try all accounts, otherwise skip current and try others
+            const tryOrder = this.rotationStrategy
+                .order(available, originalStartAccount)
+                .filter(index => !pooledAccounts.includes(index));
+            if (tryOrder.length === 0) {
+                const reason = "All other accounts are already live in the browser pool.";
+                this.logger.warn(`⏳ [Auth] ${reason} Staying on account #${this.currentAuthIndex}.`);
+                return { reason, success: false };
+            }
 
-            for (let i = startOffset; i < startOffset + tryCount; i++) {
-                const tryIndex = (startIndex + i) % available.length;
-                const accountIndex = available[tryIndex];
+            const candidates = tryOrder.filter(index => !cooledAccounts.includes(index));
+            if (!hasCurrentAccount) {
+                // Without any running account a cooled-down one is still better than none, soonest reset first
+                candidates.push(
+                    ...tryOrder
+                        .filter(index => cooledAccounts.includes(index))
+                        .sort(
+                            (a, b) =>
+                                this.quotaCooldowns.getCooldownEnd(a, model) -
+                                this.quotaCooldowns.getCooldownEnd(b, model)
+                        )
+                );
+            } else if (candidates.length === 0) {
+                const resetAt = Math.min(...tryOrder.map(index => this.quotaCooldowns.getCooldownEnd(index, model)));
+                const reason = `All other accounts are in quota cooldown${model ? ` for ${model}` : ""} until at least ${new Date(resetAt).toISOString()}.`;
+                this.logger.warn(`⏳ [Auth] ${reason} Staying on account #${this.currentAuthIndex}.`);
+                return { reason, success: false };
+            }
 
-                const attemptNumber = i - startOffset + 1;
+            for (const [i, accountIndex] of candidates.entries()) {
                 this.logger.info(
-                    `🔄 [Auth] Attempting to switch to account #${accountIndex} (${attemptNumber}/${tryCount} accounts)...`
+                    `🔄 [Auth] Attempting to switch to account #${accountIndex} (${i + 1}/${candidates.length} accounts)...`
                 );
 
                 try {
@@ -196,6 +264,21 @@ class AuthSwitcher {
     }
 
     async switchToSpecificAuth(targetIndex) {
+        return this._recordSwitch("manual", () => this._switchToSpecificAuth(targetIndex));
+    }
+
+    async _recordSwitch(reason, performSwitch) {
+        try {
+            const result = await performSwitch();
+            metrics.accountSwitches.inc({ reason, result: result.success ? "success" : "skipped" });
+            return result;
+        } catch (error) {
+            metrics.accountSwitches.inc({ reason, result: "failure" });
+            throw error;
+        }
+    }
+
+    async _switchToSpecificAuth(targetIndex) {
         if (this.isSystemBusy) {
             this.logger.info("🔄 [Auth] Account switching in progress, skipping duplicate operation");
             return { reason: "Switch already in progress.", success: false };
@@ -210,6 +293,13 @@ class AuthSwitcher {
             };
         }
 
+        if (this._getPooledIndices().includes(this.authSource.getCanonicalIndex(targetIndex) ?? targetIndex)) {
+            return {
+                reason: `Switch failed: Account #${targetIndex} is already live in the browser pool.`,
+                success: false,
+            };
+        }
+
         this.isSystemBusy = true;
         try {
             this.logger.info(`🔄 [Auth] Starting switch to specified account #${targetIndex}...`);
@@ -225,7 +315,56 @@ class AuthSwitcher {
         }
     }
 
+    /**
+     * Stop serving requests with a disabled account: the active account is switched away from,
+     * and a pooled slot running it gets another account
+     * @param {number} authIndex - Account index
+     */
+    async retireAccount(authIndex) {
+        const canonicalIndex = this.authSource.getCanonicalIndex(authIndex) ?? authIndex;
+        const runsAccount = index =>
+            index >= 0 && (this.authSource.getCanonicalIndex(index) ?? index) === canonicalIndex;
+
+        if (this.browserPool) {
+            for (const index of this.browserPool.getActiveAuthIndices().filter(runsAccount)) {
+                this.logger.warn(`[Auth] Account #${index} was disabled, replacing it in the browser pool...`);
+                const result = await this._recordSwitch("disabled", () =>
+                    this.browserPool.recycleAccount(index, [], false)
+                );
+                if (!result.success) {
+                    this.logger.warn(`⚠️ [Auth] Disabled account #${index} was not replaced: ${result.reason}`);
+                }
+            }
+            return;
+        }
+
+        if (!runsAccount(this.currentAuthIndex)) return;
+        this.logger.warn(
+            `[Auth] Active account #${this.currentAuthIndex} was disabled, switching to another account...`
+        );
+        const result = await this.switchToNextAuth("disabled");
+        if (!result.success) {
+            this.logger.warn(`⚠️ [Auth] Disabled account #${this.currentAuthIndex} is still active: ${result.reason}`);
+        }
+    }
+
+    // Pool mode: accounts live in a secondary slot, the primary must not run them a second time
+    _getPooledIndices() {
+        if (!this.browserPool) return [];
+        const primaryIndex = this.authSource.getCanonicalIndex(this.currentAuthIndex) ?? this.currentAuthIndex;
+        return this.browserPool
+            .getActiveAuthIndices()
+            .map(index => this.authSource.getCanonicalIndex(index) ?? index)
+            .filter(index => index !== primaryIndex);
+    }
+
     async handleRequestFailureAndSwitch(errorDetails, sendErrorCallback) {
+        this._recordQuotaCooldown(errorDetails);
+
+        if (this.browserPool) {
+            return this._handlePooledRequestFailure(errorDetails, sendErrorCallback);
+        }
+
         this.failureCount++;
         if (this.config.failureThreshold > 0) {
             this.logger.warn(
@@ -253,7 +392,10 @@ class AuthSwitcher {
             }
 
             try {
-                const result = await this.switchToNextAuth();
+                const result = await this.switchToNextAuth(
+                    isImmediateSwitch ? "status_code" : "failure_threshold",
+                    errorDetails.model || null
+                );
                 if (!result.success) {
                     this.logger.warn(`⚠️ [Auth] Account switch skipped: ${result.reason}`);
                     if (sendErrorCallback) {
@@ -283,18 +425,83 @@ class AuthSwitcher {
         }
     }
 
+    // Put the account that answered with 429 / RESOURCE_EXHAUSTED into cooldown for the request's model
+    _recordQuotaCooldown(errorDetails) {
+        const authIndex = Number.isInteger(errorDetails?.auth_index) ? errorDetails.auth_index : this.currentAuthIndex;
+        return this.quotaCooldowns.record(this.authSource.getCanonicalIndex(authIndex) ?? authIndex, errorDetails);
+    }
+
+    /**
+     * Pool mode: count failures per account and recycle only the failing account,
+     * so requests running on the other pooled accounts are not interrupted
+     */
+    async _handlePooledRequestFailure(errorDetails, sendErrorCallback) {
+        const authIndex = errorDetails.auth_index;
+        if (!Number.isInteger(authIndex)) {
+            this.logger.warn("⚠️ [Auth] Request failed on an unknown pooled account, skipping failure accounting.");
+            return;
+        }
+
+        const failureCount = this.browserPool.recordFailure(authIndex);
+        this.logger.warn(
+            `⚠️ [Auth] Request failed - failure count: ${failureCount}${
+                this.config.failureThreshold > 0 ? `/${this.config.failureThreshold}` : ""
+            } (Pooled account index: ${authIndex})`
+        );
+
+        const isImmediateSwitch = this.config.immediateSwitchStatusCodes.includes(errorDetails.status);
+        const isThresholdReached = this.config.failureThreshold > 0 && failureCount >= this.config.failureThreshold;
+        if (!isImmediateSwitch && !isThresholdReached) return;
+
+        this.logger.warn(`🔴 [Auth] Recycling pooled account #${authIndex}...`);
+        const cooledIndices = this.authSource
+            .getRotationIndices()
+            .filter(index => this.quotaCooldowns.isCoolingDown(index, errorDetails.model || null));
+        const result = await this._recordSwitch(isImmediateSwitch ? "status_code" : "failure_threshold", () =>
+            this.browserPool.recycleAccount(authIndex, cooledIndices)
+        );
+        if (!result.success) {
+            this.logger.warn(`⚠️ [Auth] Pooled account recycle skipped: ${result.reason}`);
+            if (sendErrorCallback) sendErrorCallback(`⚠️ Account recycle skipped: ${result.reason}`);
+            return;
+        }
+        if (sendErrorCallback) {
+            sendErrorCallback(`🔄 Pooled account #${authIndex} replaced by account #${result.newIndex}.`);
+        }
+    }
+
     incrementUsageCount() {
         this.usageCount++;
         return this.usageCount;
     }
 
     shouldSwitchByUsage() {
+        // Pooled accounts share the load, usage-based rotation would restart the primary under live traffic
+        if (this.browserPool) return false;
+        if (this.rotationStrategy.isRotationDue()) {
+            this.logger.info(
+                `[Auth] Account #${this.currentAuthIndex} has been active for ${this.rotationStrategy.intervalMinutes} minutes, time-based rotation is due.`
+            );
+            // Restart the interval now, so a rotation that fails (e.g. every other account is in cooldown)
+            // is tried again after another interval instead of on every following request
+            this.rotationStrategy.markSwitched();
+            return true;
+        }
         return this.config.switchOnUses > 0 && this.usageCount >= this.config.switchOnUses;
     }
 
+    /**
+     * Count a generation request sent with an account for the rotation strategy
+     * @param {number} authIndex - Account index
+     */
+    recordAccountUse(authIndex) {
+        this.rotationStrategy.recordUse(this.authSource.getCanonicalIndex(authIndex) ?? authIndex);
+    }
+
     resetCounters() {
         this.failureCount = 0;
         this.usageCount = 0;
+        this.rotationStrategy.markSwitched();
     }
 }
 
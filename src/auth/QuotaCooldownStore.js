@@ -0,0 +1,215 @@
+/**
+ * File: src/auth/QuotaCooldownStore.js
+ * Description: Persisted per-account, per-model quota cooldowns parsed from 429 / RESOURCE_EXHAUSTED errors
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Gemini daily quotas reset at midnight Pacific time
+const getNextDailyReset = now => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+            hour: "numeric",
+            hourCycle: "h23",
+            minute: "numeric",
+            second: "numeric",
+            timeZone: "America/Los_Angeles",
+        })
+            .formatToParts(new Date(now))
+            .map(part => [part.type, parseInt(part.value, 10)])
+    );
+    const sinceMidnight = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + (now % 1000);
+    return now - sinceMidnight + 24 * 60 * 60 * 1000;
+};
+
+// "37s" / "1.5s" (google.rpc.RetryInfo) to milliseconds
+const parseDuration = value => {
+    const match = /^([\d.]+)s$/.exec(String(value || "").trim());
+    return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+};
+
+/**
+ * Quota Cooldown Store Module
+ * Remembers which account/model pairs ran out of quota and until when, so rotation can skip them
+ * instead of cycling back to an account that is still rate-limited. Cooldowns last until the retry
+ * delay given by Google (or QUOTA_COOLDOWN_DEFAULT seconds), daily quotas until the next reset.
+ */
+class QuotaCooldownStore {
+    // Model key of cooldowns that apply to every model of an account (the error did not name a model)
+    static ALL_MODELS = "*";
+
+    constructor(logger, config) {
+        this.logger = logger;
+        this.config = config;
+        this.filePath = path.resolve(process.cwd(), config.quotaCooldownFile);
+        // "authIndex|model" -> { authIndex, daily, model, since, until }
+        this.entries = new Map();
+
+        this._load();
+    }
+
+    _load() {
+        if (!fs.existsSync(this.filePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+            const now = Date.now();
+            for (const entry of Array.isArray(data.cooldowns) ? data.cooldowns : []) {
+                if (!Number.isInteger(entry.authIndex) || !entry.model || !(entry.until > now)) continue;
+                this.entries.set(`${entry.authIndex}|${entry.model}`, entry);
+            }
+            if (this.entries.size > 0) {
+                this.logger.info(`[Auth] Restored ${this.entries.size} active quota cooldowns.`);
+            }
+        } catch (error) {
+            this.logger.error(`[Auth] Failed to read quota cooldown file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        const data = { cooldowns: [...this.entries.values()] };
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            this.logger.error(`[Auth] Failed to save quota cooldown file: ${error.message}`);
+        }
+    }
+
+    _getActive(authIndex, model) {
+        const key = `${authIndex}|${model}`;
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.until <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Parse a failed request into quota information
+     * @param {object} errorDetails - Error message from the browser ({ status, message, model? })
+     * @returns {{daily: boolean, model: string|null, retryAfterMs: number|null}|null} Null if it is no quota error
+     */
+    parseQuotaError(errorDetails) {
+        const message = String(errorDetails?.message || "");
+        if (errorDetails?.status !== 429 && !message.includes("RESOURCE_EXHAUSTED")) return null;
+
+        let details = [];
+        const jsonStart = message.indexOf("{");
+        if (jsonStart !== -1) {
+            try {
+                const body = JSON.parse(message.slice(jsonStart));
+                details = Array.isArray(body.error?.details) ? body.error.details : [];
+            } catch (error) {
+                // Not a JSON error body, fall back to the message text
+            }
+        }
+
+        let daily = /per day|daily/i.test(message);
+        let model = errorDetails.model || null;
+        let retryAfterMs = null;
+        for (const detail of details) {
+            if (detail.retryDelay) retryAfterMs = parseDuration(detail.retryDelay);
+            for (const violation of Array.isArray(detail.violations) ? detail.violations : []) {
+                if (/PerDay/i.test(violation.quotaId || "")) daily = true;
+                if (!model && violation.quotaDimensions?.model) model = violation.quotaDimensions.model;
+            }
+        }
+        if (retryAfterMs === null) {
+            const match = /retry in ([\d.]+)\s*s/i.exec(message);
+            if (match) retryAfterMs = Math.ceil(parseFloat(match[1]) * 1000);
+        }
+
+        return { daily, model: model ? String(model).replace(/^models\//, "") : null, retryAfterMs };
+    }
+
+    /**
+     * Put an account into cooldown after a quota error
+     * @param {number} authIndex - Account index
+     * @param {object} errorDetails - Error message from the browser
+     * @returns {object|null} Cooldown entry, or null if the error is not a quota error
+     */
+    record(authIndex, errorDetails) {
+        const quota = this.parseQuotaError(errorDetails);
+        if (!quota || !Number.isInteger(authIndex) || authIndex < 0) return null;
+
+        const now = Date.now();
+        const model = quota.model || QuotaCooldownStore.ALL_MODELS;
+        const until = quota.daily
+            ? getNextDailyReset(now)
+            : now + (quota.retryAfterMs ?? this.config.quotaCooldownDefault * 1000);
+        const entry = { authIndex, daily: quota.daily, model, since: now, until };
+
+        // A later error never shortens a cooldown that is already known
+        const existing = this._getActive(authIndex, model);
+        if (existing && existing.until >= until) return existing;
+
+        this.entries.set(`${authIndex}|${model}`, entry);
+        this._save();
+        this.logger.warn(
+            `⏳ [Auth] Account #${authIndex} is out of ${quota.daily ? "daily " : ""}quota for ${
+                model === QuotaCooldownStore.ALL_MODELS ? "all models" : model
+            }, cooling down until ${new Date(until).toISOString()}.`
+        );
+        return entry;
+    }
+
+    /**
+     * Check whether an account is cooling down for a model. Without a model only
+     * cooldowns that cover every model count.
+     * @param {number} authIndex - Account index
+     * @param {string|null} [model=null] - Model name
+     * @returns {boolean}
+     */
+    isCoolingDown(authIndex, model = null) {
+        if (this._getActive(authIndex, QuotaCooldownStore.ALL_MODELS)) return true;
+        return !!model && !!this._getActive(authIndex, String(model).replace(/^models\//, ""));
+    }
+
+    /**
+     * Get the time an account's cooldown for a model ends
+     * @param {number} authIndex - Account index
+     * @param {string|null} [model=null] - Model name
+     * @returns {number} Timestamp in ms, 0 if it is not cooling down
+     */
+    getCooldownEnd(authIndex, model = null) {
+        const entries = [this._getActive(authIndex, QuotaCooldownStore.ALL_MODELS)];
+        if (model) entries.push(this._getActive(authIndex, String(model).replace(/^models\//, "")));
+        return Math.max(0, ...entries.filter(Boolean).map(entry => entry.until));
+    }
+
+    /**
+     * Drop all cooldowns of an account, e.g. after the account was deleted
+     * @param {number} authIndex - Account index
+     */
+    clear(authIndex) {
+        let changed = false;
+        for (const [key, entry] of this.entries) {
+            if (entry.authIndex === authIndex) {
+                this.entries.delete(key);
+                changed = true;
+            }
+        }
+        if (changed) this._save();
+    }
+
+    /**
+     * List the active cooldowns of an account for the web console
+     * @param {number} authIndex - Account index
+     * @returns {{daily: boolean, model: string, until: string}[]}
+     */
+    getCooldowns(authIndex) {
+        return [...this.entries.values()]
+            .filter(entry => entry.authIndex === authIndex && this._getActive(entry.authIndex, entry.model))
+            .sort((a, b) => a.until - b.until)
+            .map(entry => ({ daily: entry.daily, model: entry.model, until: new Date(entry.until).toISOString() }));
+    }
+}
+
+module.exports = QuotaCooldownStore;
@@ -0,0 +1,164 @@
+/**
+ * File: src/auth/RotationStrategy.js
+ * Description: Account rotation strategies deciding which account to switch to next, with persisted per-account usage
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Rotation Strategy Module
+ * Orders the candidate accounts of a switch:
+ * - round-robin: the next account in index order (default)
+ * - least-recently-used: the account that has gone longest without a request
+ * - least-usage: the account with the fewest requests in total
+ * - weighted: random order where an account comes first with a chance proportional to its weight
+ * - timed: round-robin order, and the account is also switched every ROTATION_INTERVAL minutes
+ * Request counts and last use times are kept per account in ROTATION_STATE_FILE.
+ */
+class RotationStrategy {
+    static STRATEGIES = ["round-robin", "least-recently-used", "least-usage", "weighted", "timed"];
+
+    /**
+     * @param {object} logger - Logger
+     * @param {object} config - Configuration
+     * @param {function(number): number} getWeight - Rotation weight of an account
+     */
+    constructor(logger, config, getWeight) {
+        this.logger = logger;
+        this.filePath = path.resolve(process.cwd(), config.rotationStateFile);
+        this.getWeight = getWeight;
+        this.strategy = config.rotationStrategy;
+        this.intervalMinutes = config.rotationInterval;
+        this.lastSwitchAt = Date.now();
+        // authIndex -> { lastUsedAt, requests }
+        this.usage = new Map();
+        this.saveTimer = null;
+
+        this._load();
+    }
+
+    _load() {
+        if (!fs.existsSync(this.filePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+            for (const [index, entry] of Object.entries(data.accounts || {})) {
+                this.usage.set(parseInt(index, 10), {
+                    lastUsedAt: entry.lastUsedAt || 0,
+                    requests: entry.requests || 0,
+                });
+            }
+        } catch (error) {
+            this.logger.error(`[Auth] Failed to read rotation state file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        const data = { accounts: Object.fromEntries(this.usage) };
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            this.logger.error(`[Auth] Failed to save rotation state file: ${error.message}`);
+        }
+    }
+
+    // Usage changes on every request, batch the writes
+    _scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._save();
+        }, 5000);
+    }
+
+    _getUsage(authIndex) {
+        return this.usage.get(authIndex) || { lastUsedAt: 0, requests: 0 };
+    }
+
+    /**
+     * Change the active strategy
+     * @param {string} strategy - One of RotationStrategy.STRATEGIES
+     * @param {number} [intervalMinutes] - Interval of the timed strategy
+     * @returns {boolean} False if the strategy is unknown
+     */
+    setStrategy(strategy, intervalMinutes) {
+        if (!RotationStrategy.STRATEGIES.includes(strategy)) return false;
+        this.strategy = strategy;
+        if (Number.isInteger(intervalMinutes) && intervalMinutes > 0) {
+            this.intervalMinutes = intervalMinutes;
+        }
+        return true;
+    }
+
+    /**
+     * Count a request sent with an account
+     * @param {number} authIndex - Account index
+     */
+    recordUse(authIndex) {
+        if (!Number.isInteger(authIndex) || authIndex < 0) return;
+        const usage = this._getUsage(authIndex);
+        this.usage.set(authIndex, { lastUsedAt: Date.now(), requests: usage.requests + 1 });
+        this._scheduleSave();
+    }
+
+    // Called after every successful switch, restarts the interval of the timed strategy
+    markSwitched() {
+        this.lastSwitchAt = Date.now();
+    }
+
+    /**
+     * Check whether the timed strategy's interval has elapsed since the last switch
+     * @returns {boolean}
+     */
+    isRotationDue() {
+        return this.strategy === "timed" && Date.now() - this.lastSwitchAt >= this.intervalMinutes * 60 * 1000;
+    }
+
+    /**
+     * Order the accounts to try when switching away from the current one
+     * @param {number[]} available - Rotation indices
+     * @param {number|null} currentIndex - Current account, left out of the result; null tries all accounts
+     * @returns {number[]}
+     */
+    order(available, currentIndex) {
+        const start = currentIndex === null ? 0 : available.indexOf(currentIndex) + 1;
+        const roundRobin = [...available.slice(start), ...available.slice(0, start)].filter(
+            index => index !== currentIndex
+        );
+
+        // Array.prototype.sort is stable, ties keep the round-robin order
+        switch (this.strategy) {
+            case "least-recently-used":
+                return roundRobin.sort((a, b) => this._getUsage(a).lastUsedAt - this._getUsage(b).lastUsedAt);
+            case "least-usage":
+                return roundRobin.sort((a, b) => this._getUsage(a).requests - this._getUsage(b).requests);
+            case "weighted": {
+                // Weighted random sampling without replacement (Efraimidis-Spirakis), weight 0 goes last
+                const keys = new Map(
+                    roundRobin.map(index => {
+                        const weight = Math.max(0, this.getWeight(index));
+                        return [index, weight > 0 ? Math.pow(Math.random(), 1 / weight) : -1];
+                    })
+                );
+                return roundRobin.sort((a, b) => keys.get(b) - keys.get(a));
+            }
+            default:
+                return roundRobin;
+        }
+    }
+
+    getStatus() {
+        return {
+            intervalMinutes: this.intervalMinutes,
+            strategies: RotationStrategy.STRATEGIES,
+            strategy: this.strategy,
+        };
+    }
+}
+
+module.exports = RotationStrategy;
@@ -0,0 +1,282 @@
+/**
+ * File: src/core/AutoContinuation.js
+ * Description: Continues generation responses cut off by MAX_TOKENS and stitches the rounds into one response
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+// Sum the numeric token counts of two usageMetadata objects, other fields come from the later one
+const addUsage = (base, extra) => {
+    if (!base) return extra;
+    if (!extra) return base;
+    const sum = { ...base, ...extra };
+    for (const key of Object.keys(sum)) {
+        if (typeof base[key] === "number" && typeof extra[key] === "number") {
+            sum[key] = base[key] + extra[key];
+        }
+    }
+    return sum;
+};
+
+const isPlainTextPart = part =>
+    part && typeof part.text === "string" && Object.keys(part).every(key => key === "text" || key === "thought");
+
+// Visible text of a candidate, which is what the next round is asked to continue
+const getOutputText = candidate =>
+    (candidate?.content?.parts || [])
+        .filter(part => typeof part.text === "string" && part.thought !== true)
+        .map(part => part.text)
+        .join("");
+
+/**
+ * Auto Continuation Module
+ * Installed as the interceptor of a request's message queue for one attempt. When the response ends with
+ * finishReason MAX_TOKENS, the same request is sent again with the output so far appended as a model turn,
+ * under the same request ID, and the rounds are presented to the handler as one response:
+ * - SSE streams are passed through event by event, the MAX_TOKENS finish of a continued round is removed
+ *   and the response headers and stream end of intermediate rounds are swallowed
+ * - Complete (generateContent) responses are held back and merged into a single response body
+ * usageMetadata always reports the sum of all rounds. A failed continuation round ends the response with
+ * the output collected so far and finishReason MAX_TOKENS.
+ */
+class AutoContinuation {
+    /**
+     * @param {object} logger - Logger
+     * @param {object} proxyRequest - Generation request being answered (generateContent or SSE streamGenerateContent)
+     * @param {number} maxRounds - Continuation rounds allowed after the first response
+     * @param {function(object): boolean} send - Sends a proxy request to the browser, false if there is no connection
+     */
+    constructor(logger, proxyRequest, maxRounds, send) {
+        this.logger = logger;
+        this.proxyRequest = proxyRequest;
+        this.maxRounds = maxRounds;
+        this.send = send;
+        this.isSse = proxyRequest.path.endsWith(":streamGenerateContent");
+
+        this.round = 0;
+        this.finished = false;
+        // Visible output of all rounds so far, and of the current round
+        this.outputText = "";
+        this.roundText = "";
+        // Usage of completed rounds, and the latest usage reported by the current round
+        this.usageBase = null;
+        this.roundUsage = null;
+
+        // SSE: incomplete event text and whether the current round ended with a removed MAX_TOKENS finish
+        this.sseBuffer = "";
+        this.continuePending = false;
+        // generateContent: body of the current round and the merged response of the finished rounds
+        this.roundBody = "";
+        this.merged = null;
+    }
+
+    /**
+     * Check whether a request can be continued
+     * @param {object} proxyRequest - Proxy request
+     * @returns {boolean}
+     */
+    static supports(proxyRequest) {
+        if (proxyRequest.method !== "POST") return false;
+        if (proxyRequest.path.endsWith(":generateContent")) return true;
+        return proxyRequest.path.endsWith(":streamGenerateContent") && proxyRequest.query_params?.alt === "sse";
+    }
+
+    /**
+     * Message queue interceptor
+     * @param {object} message - Message routed from the browser
+     * @returns {object[]} Messages to deliver to the handler
+     */
+    intercept(message) {
+        if (this.finished) return [message];
+
+        if (message.event_type === "response_headers") {
+            return this.round === 0 ? [message] : [];
+        }
+        if (message.event_type === "error") {
+            // Errors of the first round go through the usual retry and error handling
+            if (this.round === 0) return [message];
+            this.logger.warn(
+                `[Request] Continuation round ${this.round} of request #${this.proxyRequest.request_id} failed: ${message.message}, returning the output so far.`
+            );
+            return this._finish(true);
+        }
+        if (message.event_type === "chunk") {
+            if (!message.data) return [];
+            if (this.isSse) return this._onSseData(message.data);
+            this.roundBody += message.data;
+            return [];
+        }
+        if (message.type === "STREAM_END") {
+            return this.isSse ? this._onSseRoundEnd() : this._onJsonRoundEnd();
+        }
+        return [message];
+    }
+
+    _canContinue() {
+        return this.round < this.maxRounds && this.roundText.trim().length > 0;
+    }
+
+    _chunk(data) {
+        return { data, event_type: "chunk", request_id: this.proxyRequest.request_id };
+    }
+
+    _onSseData(data) {
+        this.sseBuffer += data;
+        const events = this.sseBuffer.split(/\r?\n\r?\n/);
+        this.sseBuffer = events.pop();
+        return events.filter(event => event.trim()).map(event => this._chunk(this._rewriteSseEvent(event)));
+    }
+
+    _rewriteSseEvent(event) {
+        const json = event
+            .split(/\r?\n/)
+            .filter(line => line.startsWith("data:"))
+            .map(line => line.slice(5).trim())
+            .join("");
+
+        let response;
+        try {
+            response = JSON.parse(json);
+        } catch (error) {
+            return `${event}\n\n`;
+        }
+
+        const candidate = response.candidates?.[0];
+        const text = getOutputText(candidate);
+        this.roundText += text;
+        this.outputText += text;
+
+        if (response.usageMetadata) {
+            this.roundUsage = response.usageMetadata;
+            response.usageMetadata = addUsage(this.usageBase, response.usageMetadata);
+        }
+        if (candidate?.finishReason === "MAX_TOKENS" && this._canContinue()) {
+            delete candidate.finishReason;
+            this.continuePending = true;
+        }
+
+        return `data: ${JSON.stringify(response)}\n\n`;
+    }
+
+    _onSseRoundEnd() {
+        const flushed = this.sseBuffer.trim() ? [this._chunk(this._rewriteSseEvent(this.sseBuffer))] : [];
+        this.sseBuffer = "";
+
+        if (!this.continuePending) return [...flushed, ...this._finish(false)];
+
+        this.continuePending = false;
+        this.usageBase = addUsage(this.usageBase, this.roundUsage);
+        this.roundUsage = null;
+        return this._sendContinuation() ? flushed : [...flushed, ...this._finish(true)];
+    }
+
+    _onJsonRoundEnd() {
+        let response;
+        try {
+            response = JSON.parse(this.roundBody);
+        } catch (error) {
+            // Not a Gemini response (e.g. an error body), only the first round is passed on as-is
+            if (this.round === 0) {
+                this.finished = true;
+                return [this._chunk(this.roundBody), { type: "STREAM_END" }];
+            }
+            return this._finish(true);
+        }
+        this.roundBody = "";
+
+        const candidate = response.candidates?.[0];
+        this.roundText = getOutputText(candidate);
+        this.outputText += this.roundText;
+        this.merged = this.merged ? this._mergeResponses(this.merged, response) : response;
+
+        if (candidate?.finishReason === "MAX_TOKENS" && this._canContinue() && this._sendContinuation()) {
+            return [];
+        }
+        return this._finish(false);
+    }
+
+    // Append the candidate of a continuation round to the merged response, adjacent text is joined
+    _mergeResponses(base, next) {
+        const baseCandidate = base.candidates?.[0] || {};
+        const nextCandidate = next.candidates?.[0] || {};
+        const parts = [...(baseCandidate.content?.parts || [])];
+
+        for (const part of nextCandidate.content?.parts || []) {
+            const last = parts[parts.length - 1];
+            if (isPlainTextPart(last) && isPlainTextPart(part) && (last.thought === true) === (part.thought === true)) {
+                parts[parts.length - 1] = { ...last, text: last.text + part.text };
+            } else {
+                parts.push(part);
+            }
+        }
+
+        return {
+            ...next,
+            candidates: [
+                {
+                    ...baseCandidate,
+                    ...nextCandidate,
+                    content: { ...baseCandidate.content, ...nextCandidate.content, parts, role: "model" },
+                },
+            ],
+            usageMetadata: addUsage(base.usageMetadata, next.usageMetadata),
+        };
+    }
+
+    _sendContinuation() {
+        this.round++;
+        this.roundText = "";
+
+        const body = JSON.parse(this.proxyRequest.body);
+        const contents = Array.isArray(body.contents) ? [...body.contents] : [];
+        const last = contents[contents.length - 1];
+        // A client prefill already is a model turn, the output continues it
+        if (last && last.role === "model") {
+            contents[contents.length - 1] = { ...last, parts: [...(last.parts || []), { text: this.outputText }] };
+        } else {
+            contents.push({ parts: [{ text: this.outputText }], role: "model" });
+        }
+        body.contents = contents;
+
+        this.logger.info(
+            `[Request] Response #${this.proxyRequest.request_id} hit MAX_TOKENS, requesting continuation round ${this.round}/${this.maxRounds}...`
+        );
+        try {
+            return this.send({ ...this.proxyRequest, body: JSON.stringify(body) }) !== false;
+        } catch (error) {
+            this.logger.warn(`[Request] Failed to send continuation round: ${error.message}`);
+            return false;
+        }
+    }
+
+    // End the response with what was collected, truncated means the last round still ended with MAX_TOKENS
+    _finish(truncated) {
+        this.finished = true;
+        const messages = [];
+
+        if (this.isSse) {
+            if (truncated) {
+                const finalResponse = {
+                    candidates: [{ content: { parts: [], role: "model" }, finishReason: "MAX_TOKENS", index: 0 }],
+                    usageMetadata: addUsage(this.usageBase, this.roundUsage),
+                };
+                messages.push(this._chunk(`data: ${JSON.stringify(finalResponse)}\n\n`));
+            }
+        } else if (this.merged) {
+            if (truncated && this.merged.candidates?.[0]) {
+                this.merged.candidates[0].finishReason = "MAX_TOKENS";
+            }
+            messages.push(this._chunk(JSON.stringify(this.merged)));
+        }
+
+        if (this.round > 0) {
+            this.logger.info(
+                `[Request] Response #${this.proxyRequest.request_id} stitched from ${this.round + 1} rounds (${this.outputText.length} characters).`
+            );
+        }
+        messages.push({ type: "STREAM_END" });
+        return messages;
+    }
+}
+
+module.exports = AutoContinuation;
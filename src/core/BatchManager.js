@@ -0,0 +1,782 @@
+/**
+ * File: src/core/BatchManager.js
+ * Description: Persistent batch job store and background worker behind the OpenAI Files/Batches and Anthropic Message Batches APIs
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const InternalResponse = require("../utils/InternalResponse");
+
+// Endpoints batch items may target and the RequestHandler method that serves them
+const ITEM_HANDLERS = {
+    "/v1/chat/completions": "processOpenAIRequest",
+    "/v1/embeddings": "processOpenAIEmbeddingsRequest",
+    "/v1/messages": "processClaudeRequest",
+    "/v1/responses": "processOpenAIResponsesRequest",
+};
+const BATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Pause after an item was turned away by the admission queue or a missing browser connection
+const RETRY_PAUSE_MS = 5000;
+
+const toUnixSeconds = ms => (ms ? Math.floor(ms / 1000) : null);
+const toIsoString = ms => (ms ? new Date(ms).toISOString() : null);
+
+/**
+ * Batch Manager Module
+ * Files and jobs are stored under BATCH_DATA_DIR:
+ * - files/<id>.json and files/<id>.data: uploaded and generated files
+ * - jobs/<id>/job.json: job state and counters
+ * - jobs/<id>/input.jsonl: normalized items ({ body, custom_id, endpoint })
+ * - jobs/<id>/results.jsonl: one line per finished item, appended as items complete
+ * Items are run through RequestHandler with an in-memory response, at most BATCH_CONCURRENCY at a time
+ * and optionally paced to BATCH_REQUESTS_PER_MINUTE. Items without a result are run again after a restart.
+ */
+class BatchManager {
+    constructor(serverSystem) {
+        this.serverSystem = serverSystem;
+        this.logger = serverSystem.logger;
+        this.config = serverSystem.config;
+        this.dir = path.resolve(process.cwd(), this.config.batchDataDir);
+        this.filesDir = path.join(this.dir, "files");
+        this.jobsDir = path.join(this.dir, "jobs");
+        this.concurrency = this.config.batchConcurrency;
+        this.requestsPerMinute = this.config.batchRequestsPerMinute;
+
+        this.files = new Map();
+        // Jobs in creation order, the oldest unfinished job is served first
+        this.jobs = new Map();
+        // job id -> { done: Set<number>, items: object[], pending: number[], running: Map<number, InternalResponse> }
+        this.runtime = new Map();
+        this.runningCount = 0;
+        this.startTimes = [];
+        this.pausedUntil = 0;
+        // owner id -> time until which the key's own request limit holds back its jobs
+        this.ownerBlockedUntil = new Map();
+        this.timer = null;
+
+        this._load();
+    }
+
+    // === Persistence ===
+
+    _writeJson(filePath, data) {
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    _getJobDir(id) {
+        return path.join(this.jobsDir, id);
+    }
+
+    _saveJob(job) {
+        try {
+            this._writeJson(path.join(this._getJobDir(job.id), "job.json"), job);
+        } catch (error) {
+            this.logger.error(`[Batch] Failed to save batch ${job.id}: ${error.message}`);
+        }
+    }
+
+    _load() {
+        fs.mkdirSync(this.filesDir, { recursive: true });
+        fs.mkdirSync(this.jobsDir, { recursive: true });
+
+        for (const name of fs.readdirSync(this.filesDir)) {
+            if (!name.endsWith(".json")) continue;
+            try {
+                const file = JSON.parse(fs.readFileSync(path.join(this.filesDir, name), "utf-8"));
+                this.files.set(file.id, file);
+            } catch (error) {
+                this.logger.warn(`[Batch] Skipping unreadable file record ${name}: ${error.message}`);
+            }
+        }
+
+        const jobs = [];
+        for (const id of fs.readdirSync(this.jobsDir)) {
+            try {
+                jobs.push(JSON.parse(fs.readFileSync(path.join(this._getJobDir(id), "job.json"), "utf-8")));
+            } catch (error) {
+                this.logger.warn(`[Batch] Skipping unreadable batch ${id}: ${error.message}`);
+            }
+        }
+        jobs.sort((a, b) => a.createdAt - b.createdAt).forEach(job => this.jobs.set(job.id, job));
+
+        // Jobs interrupted by a restart while stopping or finalizing are finished now
+        for (const job of this.jobs.values()) {
+            if (job.status === "cancelling" || job.status === "finalizing" || job.stopReason) {
+                this._finishStoppedItems(job);
+                this._finalize(job);
+            }
+        }
+
+        const active = [...this.jobs.values()].filter(job => job.status === "in_progress").length;
+        this.logger.info(
+            `[Batch] Loaded ${this.files.size} files and ${this.jobs.size} batches (${active} in progress).`
+        );
+    }
+
+    _getRuntime(job) {
+        if (this.runtime.has(job.id)) return this.runtime.get(job.id);
+
+        const jobDir = this._getJobDir(job.id);
+        const items = fs
+            .readFileSync(path.join(jobDir, "input.jsonl"), "utf-8")
+            .split("\n")
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+        const done = new Set(this._readResults(job).map(result => result.index));
+        const pending = items.map((item, index) => index).filter(index => !done.has(index));
+
+        const runtime = { done, items, pending, running: new Map() };
+        this.runtime.set(job.id, runtime);
+        return runtime;
+    }
+
+    _readResults(job) {
+        const resultsPath = path.join(this._getJobDir(job.id), "results.jsonl");
+        if (!fs.existsSync(resultsPath)) return [];
+        const results = [];
+        for (const line of fs.readFileSync(resultsPath, "utf-8").split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                results.push(JSON.parse(line));
+            } catch (e) {
+                // Line cut off by a crash, the item is run again
+            }
+        }
+        return results;
+    }
+
+    // === Files ===
+
+    /**
+     * Store a file
+     * @param {string|null} owner - Owner ID derived from the API key
+     * @param {string} filename - Original file name
+     * @param {string} purpose - File purpose ("batch", "batch_output", ...)
+     * @param {Buffer} data - File content
+     * @returns {object} File record
+     */
+    createFile(owner, filename, purpose, data) {
+        const file = {
+            bytes: data.length,
+            createdAt: Date.now(),
+            filename,
+            id: `file-${crypto.randomBytes(12).toString("hex")}`,
+            owner,
+            purpose,
+        };
+        fs.writeFileSync(path.join(this.filesDir, `${file.id}.data`), data);
+        this._writeJson(path.join(this.filesDir, `${file.id}.json`), file);
+        this.files.set(file.id, file);
+        return file;
+    }
+
+    getFile(owner, id) {
+        const file = this.files.get(id);
+        return file && file.owner === owner ? file : null;
+    }
+
+    listFiles(owner, purpose) {
+        return [...this.files.values()]
+            .filter(file => file.owner === owner && (!purpose || file.purpose === purpose))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    readFileContent(file) {
+        return fs.readFileSync(path.join(this.filesDir, `${file.id}.data`));
+    }
+
+    deleteFile(file) {
+        fs.rmSync(path.join(this.filesDir, `${file.id}.data`), { force: true });
+        fs.rmSync(path.join(this.filesDir, `${file.id}.json`), { force: true });
+        this.files.delete(file.id);
+    }
+
+    toOpenAIFile(file) {
+        return {
+            bytes: file.bytes,
+            created_at: toUnixSeconds(file.createdAt),
+            filename: file.filename,
+            id: file.id,
+            object: "file",
+            purpose: file.purpose,
+            status: "processed",
+        };
+    }
+
+    // === Jobs ===
+
+    _createJob(fields, items) {
+        const now = Date.now();
+        const job = {
+            apiFormat: fields.apiFormat,
+            cancelledAt: null,
+            cancellingAt: null,
+            completedAt: null,
+            completionWindow: "24h",
+            counts: { canceled: 0, errored: 0, expired: 0, succeeded: 0 },
+            createdAt: now,
+            endpoint: fields.endpoint,
+            errorFileId: null,
+            errors: fields.errors || null,
+            expiredAt: null,
+            expiresAt: now + BATCH_WINDOW_MS,
+            failedAt: fields.errors ? now : null,
+            finalizingAt: null,
+            id: fields.id,
+            inProgressAt: fields.errors ? null : now,
+            inputFileId: fields.inputFileId || null,
+            metadata: fields.metadata || null,
+            outputFileId: null,
+            owner: fields.owner,
+            status: fields.errors ? "failed" : "in_progress",
+            stopReason: null,
+            total: items.length,
+        };
+
+        const jobDir = this._getJobDir(job.id);
+        fs.mkdirSync(jobDir, { recursive: true });
+        fs.writeFileSync(path.join(jobDir, "input.jsonl"), items.map(item => `${JSON.stringify(item)}\n`).join(""));
+        this._saveJob(job);
+        this.jobs.set(job.id, job);
+
+        if (job.status === "in_progress") {
+            this.logger.info(`[Batch] Batch ${job.id} created with ${job.total} requests for ${job.endpoint}.`);
+            setImmediate(() => this._dispatch());
+        } else {
+            this.logger.warn(`[Batch] Batch ${job.id} failed validation with ${job.errors.length} errors.`);
+        }
+        return job;
+    }
+
+    /**
+     * Create a batch from an uploaded JSONL file in the OpenAI format
+     * @param {string|null} owner - Owner ID derived from the API key
+     * @param {object} params - Request body ({ completion_window, endpoint, input_file_id, metadata })
+     * @returns {object} Job
+     * @throws {Error} If the parameters are invalid
+     */
+    createOpenAIBatch(owner, params) {
+        const endpoint = params.endpoint;
+        if (!ITEM_HANDLERS[endpoint] || endpoint === "/v1/messages") {
+            throw new Error(
+                `Unsupported endpoint "${endpoint}". Use /v1/chat/completions, /v1/embeddings or /v1/responses.`
+            );
+        }
+        if (params.completion_window && params.completion_window !== "24h") {
+            throw new Error('Only a completion_window of "24h" is supported.');
+        }
+        const file = this.getFile(owner, params.input_file_id);
+        if (!file) {
+            throw new Error(`No such file: ${params.input_file_id}`);
+        }
+
+        const items = [];
+        const errors = [];
+        const customIds = new Set();
+        this.readFileContent(file)
+            .toString()
+            .split("\n")
+            .forEach((line, i) => {
+                if (!line.trim()) return;
+                const lineNumber = i + 1;
+                let request;
+                try {
+                    request = JSON.parse(line);
+                } catch (error) {
+                    errors.push({ code: "invalid_json_line", line: lineNumber, message: "Line is not valid JSON." });
+                    return;
+                }
+                if (!request.custom_id || customIds.has(request.custom_id)) {
+                    errors.push({
+                        code: "duplicate_custom_id",
+                        line: lineNumber,
+                        message: "Each request needs a unique custom_id.",
+                    });
+                } else if (request.url !== endpoint) {
+                    errors.push({
+                        code: "mismatched_endpoint",
+                        line: lineNumber,
+                        message: `The url "${request.url}" does not match the batch endpoint ${endpoint}.`,
+                    });
+                } else if (!request.body || typeof request.body !== "object") {
+                    errors.push({ code: "missing_body", line: lineNumber, message: "The request has no body." });
+                } else {
+                    customIds.add(request.custom_id);
+                    items.push({ body: request.body, custom_id: request.custom_id, endpoint });
+                }
+            });
+        if (items.length === 0 && errors.length === 0) {
+            errors.push({ code: "empty_file", line: null, message: "The input file contains no requests." });
+        }
+
+        return this._createJob(
+            {
+                apiFormat: "openai",
+                endpoint,
+                errors: errors.length > 0 ? errors : null,
+                id: `batch_${crypto.randomBytes(12).toString("hex")}`,
+                inputFileId: file.id,
+                metadata: params.metadata,
+                owner,
+            },
+            errors.length > 0 ? [] : items
+        );
+    }
+
+    /**
+     * Create a Message Batch in the Anthropic format
+     * @param {string|null} owner - Owner ID derived from the API key
+     * @param {object[]} requests - Requests ({ custom_id, params })
+     * @returns {object} Job
+     * @throws {Error} If the requests are invalid
+     */
+    createAnthropicBatch(owner, requests) {
+        if (!Array.isArray(requests) || requests.length === 0) {
+            throw new Error("requests must be a non-empty array.");
+        }
+        const customIds = new Set();
+        const items = requests.map((request, i) => {
+            if (!request || !request.custom_id || customIds.has(request.custom_id)) {
+                throw new Error(`requests.${i}: each request needs a unique custom_id.`);
+            }
+            if (!request.params || typeof request.params !== "object") {
+                throw new Error(`requests.${i}: params must be an object.`);
+            }
+            customIds.add(request.custom_id);
+            return { body: request.params, custom_id: request.custom_id, endpoint: "/v1/messages" };
+        });
+
+        return this._createJob(
+            {
+                apiFormat: "anthropic",
+                endpoint: "/v1/messages",
+                id: `msgbatch_${crypto.randomBytes(12).toString("hex")}`,
+                owner,
+            },
+            items
+        );
+    }
+
+    getJob(owner, id, apiFormat) {
+        const job = this.jobs.get(id);
+        return job && job.owner === owner && job.apiFormat === apiFormat ? job : null;
+    }
+
+    /**
+     * List jobs newest first, paginated by job ID
+     * @param {string|null} owner - Owner ID derived from the API key
+     * @param {string} apiFormat - "openai" or "anthropic"
+     * @param {object} options - { after, before, limit }
+     * @returns {{hasMore: boolean, jobs: object[]}}
+     */
+    listJobs(owner, apiFormat, { after, before, limit }) {
+        let jobs = [...this.jobs.values()]
+            .filter(job => job.owner === owner && job.apiFormat === apiFormat)
+            .sort((a, b) => b.createdAt - a.createdAt);
+        if (after) {
+            const position = jobs.findIndex(job => job.id === after);
+            jobs = position === -1 ? [] : jobs.slice(position + 1);
+        }
+        if (before) {
+            const position = jobs.findIndex(job => job.id === before);
+            jobs = position === -1 ? [] : jobs.slice(0, position);
+        }
+        const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+        return { hasMore: jobs.length > pageSize, jobs: jobs.slice(0, pageSize) };
+    }
+
+    /**
+     * Cancel a job, running items are aborted and the remaining ones are reported as canceled
+     * @param {object} job - Job
+     */
+    cancelJob(job) {
+        if (job.status !== "in_progress") return;
+        job.status = "cancelling";
+        job.cancellingAt = Date.now();
+        this._saveJob(job);
+        this.logger.info(`[Batch] Cancelling batch ${job.id}.`);
+        this._stopJob(job, "canceled");
+    }
+
+    /**
+     * Delete a finished job and its results
+     * @param {object} job - Job
+     * @returns {boolean} False if the job is still running
+     */
+    deleteJob(job) {
+        if (!["cancelled", "completed", "expired", "failed"].includes(job.status)) return false;
+        fs.rmSync(this._getJobDir(job.id), { force: true, recursive: true });
+        this.jobs.delete(job.id);
+        this.runtime.delete(job.id);
+        return true;
+    }
+
+    _stopJob(job, reason) {
+        job.stopReason = reason;
+        this._saveJob(job);
+        const runtime = this._getRuntime(job);
+        runtime.pending = [];
+        for (const res of runtime.running.values()) res.abort();
+        this._checkFinished(job);
+    }
+
+    // Record every item without a result as canceled or expired
+    _finishStoppedItems(job) {
+        const runtime = this._getRuntime(job);
+        runtime.items.forEach((item, index) => {
+            if (!runtime.done.has(index) && !runtime.running.has(index)) {
+                this._recordResult(job, index, { type: job.stopReason || "canceled" });
+            }
+        });
+        runtime.pending = [];
+    }
+
+    _checkFinished(job) {
+        const runtime = this._getRuntime(job);
+        if (runtime.running.size > 0) return;
+        if (job.stopReason) this._finishStoppedItems(job);
+        if (runtime.done.size >= job.total) this._finalize(job);
+    }
+
+    _finalize(job) {
+        job.status = "finalizing";
+        job.finalizingAt = job.finalizingAt || Date.now();
+        this._saveJob(job);
+
+        if (job.apiFormat === "openai") {
+            const output = [];
+            const errors = [];
+            for (const result of this._readResults(job)) {
+                (result.type === "succeeded" ? output : errors).push(
+                    `${JSON.stringify(this._toOpenAIResult(result))}\n`
+                );
+            }
+            if (output.length > 0 && !job.outputFileId) {
+                const data = Buffer.from(output.join(""));
+                job.outputFileId = this.createFile(job.owner, `${job.id}_output.jsonl`, "batch_output", data).id;
+            }
+            if (errors.length > 0 && !job.errorFileId) {
+                const data = Buffer.from(errors.join(""));
+                job.errorFileId = this.createFile(job.owner, `${job.id}_error.jsonl`, "batch_output", data).id;
+            }
+        }
+
+        const now = Date.now();
+        if (job.stopReason === "canceled") {
+            job.status = "cancelled";
+            job.cancelledAt = now;
+        } else if (job.stopReason === "expired") {
+            job.status = "expired";
+            job.expiredAt = now;
+        } else {
+            job.status = "completed";
+            job.completedAt = now;
+        }
+        this._saveJob(job);
+        this.runtime.delete(job.id);
+        this.logger.info(
+            `[Batch] Batch ${job.id} ${job.status}: ${job.counts.succeeded} succeeded, ${job.counts.errored} errored, ` +
+                `${job.counts.canceled} canceled, ${job.counts.expired} expired.`
+        );
+    }
+
+    _recordResult(job, index, result) {
+        const runtime = this._getRuntime(job);
+        if (runtime.done.has(index)) return;
+
+        const line = { ...result, custom_id: runtime.items[index].custom_id, index };
+        fs.appendFileSync(path.join(this._getJobDir(job.id), "results.jsonl"), `${JSON.stringify(line)}\n`);
+        runtime.done.add(index);
+        job.counts[result.type]++;
+        this._saveJob(job);
+    }
+
+    // === Worker ===
+
+    /**
+     * Start dispatching items of unfinished jobs
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this._dispatch(), 1000);
+        this.timer.unref();
+    }
+
+    _dispatch() {
+        const now = Date.now();
+        for (const job of this.jobs.values()) {
+            if (job.status === "in_progress" && !job.stopReason && job.expiresAt < now) {
+                this.logger.warn(`[Batch] Batch ${job.id} expired before all requests were processed.`);
+                this._stopJob(job, "expired");
+            }
+        }
+
+        // Items wait for a browser instead of failing while none is connected
+        if (now < this.pausedUntil || !this.serverSystem.connectionRegistry.hasActiveConnections()) return;
+
+        while (this.runningCount < this.concurrency) {
+            if (this.requestsPerMinute > 0) {
+                this.startTimes = this.startTimes.filter(time => now - time < 60000);
+                if (this.startTimes.length >= this.requestsPerMinute) return;
+            }
+            const job = [...this.jobs.values()].find(
+                candidate =>
+                    candidate.status === "in_progress" &&
+                    !candidate.stopReason &&
+                    !(this.ownerBlockedUntil.get(candidate.owner) > now) &&
+                    this._getRuntime(candidate).pending.length > 0
+            );
+            if (!job) return;
+            this._runItem(job, this._getRuntime(job).pending.shift());
+        }
+    }
+
+    _findKeyRecord(owner) {
+        for (const record of this.serverSystem.apiKeyManager.keys.values()) {
+            if (BatchManager.getOwnerId(record) === owner) return record;
+        }
+        return null;
+    }
+
+    async _runItem(job, index) {
+        const runtime = this._getRuntime(job);
+        const item = runtime.items[index];
+        // Batch results are complete responses, streaming is turned off
+        // eslint-disable-next-line no-unused-vars
+        const { stream, ...body } = item.body;
+        const keyRecord = job.owner ? this._findKeyRecord(job.owner) : null;
+        const req = {
+            apiKey: keyRecord,
+            body,
+            get: name => req.headers[name.toLowerCase()],
+            headers: { "content-type": "application/json" },
+            method: "POST",
+            path: item.endpoint,
+            protocol: "http",
+            query: {},
+            rawBody: Buffer.from(JSON.stringify(body)),
+            secure: false,
+        };
+        const res = new InternalResponse(req);
+
+        this.runningCount++;
+        this.startTimes.push(Date.now());
+        runtime.running.set(index, res);
+
+        const { apiKeyManager } = this.serverSystem;
+        let result;
+        let acquired = false;
+        let limitRetryAfter = null;
+        try {
+            if (job.owner && !keyRecord) {
+                result = this._errorResult(401, "The API key that created this batch no longer exists.");
+            } else if (keyRecord && !keyRecord.enabled) {
+                result = this._errorResult(403, "The API key that created this batch has been disabled.");
+            } else if (
+                !apiKeyManager.isModelAllowed(keyRecord, this.serverSystem.modelAliases.resolveName(body.model))
+            ) {
+                result = this._errorResult(
+                    403,
+                    body.model
+                        ? `This API key is not allowed to use model "${body.model}".`
+                        : "This API key is limited to specific models, the request must name one."
+                );
+            } else if (keyRecord) {
+                // The key's rate or concurrency limit applies to batch items too
+                const admission = apiKeyManager.acquire(keyRecord);
+                acquired = admission.allowed;
+                if (!acquired) limitRetryAfter = admission.retryAfter || RETRY_PAUSE_MS / 1000;
+            }
+            if (!result && limitRetryAfter === null) {
+                const { requestHandler } = this.serverSystem;
+                if (await requestHandler.admitRequest(req, res)) {
+                    await requestHandler[ITEM_HANDLERS[item.endpoint]](req, res);
+                }
+                res.end();
+                await res.closed;
+                result = this._toResult(res);
+            }
+        } catch (error) {
+            this.logger.error(`[Batch] Request ${item.custom_id} of batch ${job.id} failed: ${error.message}`);
+            result = this._errorResult(500, error.message);
+        } finally {
+            if (acquired) apiKeyManager.release(keyRecord, res.locals.tokenUsage || null);
+            runtime.running.delete(index);
+            this.runningCount--;
+        }
+
+        if (res.destroyed && job.stopReason) {
+            this._recordResult(job, index, { type: job.stopReason });
+        } else if (limitRetryAfter !== null) {
+            // Only the jobs of this key wait for its limit, other owners keep running
+            this.logger.warn(
+                `[Batch] API key limit reached for batch ${job.id}, its requests resume in ${limitRetryAfter}s.`
+            );
+            runtime.pending.unshift(index);
+            this.ownerBlockedUntil.set(job.owner, Date.now() + limitRetryAfter * 1000);
+        } else if (!job.stopReason && (result.statusCode === 429 || result.statusCode === 503)) {
+            // Busy or disconnected, the item is tried again later instead of failing
+            this.logger.warn(
+                `[Batch] Request ${item.custom_id} of batch ${job.id} got ${result.statusCode}, retrying later.`
+            );
+            runtime.pending.unshift(index);
+            this.pausedUntil = Date.now() + RETRY_PAUSE_MS;
+        } else {
+            this._recordResult(job, index, result);
+        }
+
+        this._checkFinished(job);
+        this._dispatch();
+    }
+
+    _errorResult(statusCode, message) {
+        return { body: { error: { message, type: "api_error" } }, statusCode, type: "errored" };
+    }
+
+    _toResult(res) {
+        const text = res.getBody();
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            body = { error: { message: res.locals.errorMessage || text || "Empty response", type: "api_error" } };
+        }
+        return {
+            body,
+            requestId: res.locals.requestId || null,
+            statusCode: res.statusCode,
+            type: res.statusCode < 400 ? "succeeded" : "errored",
+        };
+    }
+
+    // === Output formats ===
+
+    _toOpenAIResult(result) {
+        const line = {
+            custom_id: result.custom_id,
+            error: null,
+            id: `batch_req_${crypto.createHash("sha256").update(`${result.custom_id}:${result.index}`).digest("hex").slice(0, 24)}`,
+            response: null,
+        };
+        if (result.statusCode) {
+            line.response = { body: result.body, request_id: result.requestId || null, status_code: result.statusCode };
+        } else {
+            line.error = {
+                code: result.type === "expired" ? "batch_expired" : "batch_cancelled",
+                message:
+                    result.type === "expired"
+                        ? "This request could not be executed before the completion window expired."
+                        : "This request was not executed because the batch was cancelled.",
+            };
+        }
+        return line;
+    }
+
+    _toAnthropicResult(result) {
+        if (result.type === "succeeded") {
+            return { custom_id: result.custom_id, result: { message: result.body, type: "succeeded" } };
+        }
+        if (result.type === "errored") {
+            const error =
+                result.body && result.body.type === "error"
+                    ? result.body
+                    : {
+                          error: { message: result.body?.error?.message || "Request failed", type: "api_error" },
+                          type: "error",
+                      };
+            return { custom_id: result.custom_id, result: { error, type: "errored" } };
+        }
+        return { custom_id: result.custom_id, result: { type: result.type } };
+    }
+
+    /**
+     * Get the results of an Anthropic batch as JSONL
+     * @param {object} job - Job
+     * @returns {string}
+     */
+    getAnthropicResults(job) {
+        return this._readResults(job)
+            .map(result => `${JSON.stringify(this._toAnthropicResult(result))}\n`)
+            .join("");
+    }
+
+    toOpenAIBatch(job) {
+        return {
+            cancelled_at: toUnixSeconds(job.cancelledAt),
+            cancelling_at: toUnixSeconds(job.cancellingAt),
+            completed_at: toUnixSeconds(job.completedAt),
+            completion_window: job.completionWindow,
+            created_at: toUnixSeconds(job.createdAt),
+            endpoint: job.endpoint,
+            error_file_id: job.errorFileId,
+            errors: job.errors ? { data: job.errors, object: "list" } : null,
+            expired_at: toUnixSeconds(job.expiredAt),
+            expires_at: toUnixSeconds(job.expiresAt),
+            failed_at: toUnixSeconds(job.failedAt),
+            finalizing_at: toUnixSeconds(job.finalizingAt),
+            id: job.id,
+            in_progress_at: toUnixSeconds(job.inProgressAt),
+            input_file_id: job.inputFileId,
+            metadata: job.metadata,
+            object: "batch",
+            output_file_id: job.outputFileId,
+            request_counts: {
+                completed: job.counts.succeeded,
+                failed: job.counts.errored + job.counts.canceled + job.counts.expired,
+                total: job.total,
+            },
+            status: job.status,
+        };
+    }
+
+    toAnthropicBatch(job, baseUrl) {
+        const ended = ["cancelled", "completed", "expired", "failed"].includes(job.status);
+        const { canceled, errored, expired, succeeded } = job.counts;
+        return {
+            archived_at: null,
+            cancel_initiated_at: toIsoString(job.cancellingAt),
+            created_at: toIsoString(job.createdAt),
+            ended_at: ended ? toIsoString(job.cancelledAt || job.completedAt || job.expiredAt || job.failedAt) : null,
+            expires_at: toIsoString(job.expiresAt),
+            id: job.id,
+            processing_status: ended ? "ended" : job.status === "cancelling" ? "canceling" : "in_progress",
+            request_counts: {
+                canceled,
+                errored,
+                expired,
+                processing: job.total - canceled - errored - expired - succeeded,
+                succeeded,
+            },
+            results_url: ended ? `${baseUrl}/v1/messages/batches/${job.id}/results` : null,
+            type: "message_batch",
+        };
+    }
+
+    getStatus() {
+        const active = [...this.jobs.values()].filter(
+            job => job.status === "in_progress" || job.status === "cancelling"
+        );
+        return {
+            activeJobs: active.length,
+            pendingItems: active.reduce((sum, job) => sum + (this.runtime.get(job.id)?.pending.length || 0), 0),
+            runningItems: this.runningCount,
+        };
+    }
+
+    /**
+     * Derive the owner ID of files and batches from an API key record, stable across restarts
+     * @param {object|null} keyRecord - API key record
+     * @returns {string|null}
+     */
+    static getOwnerId(keyRecord) {
+        if (!keyRecord) return null;
+        return crypto.createHash("sha256").update(keyRecord.key).digest("hex").slice(0, 16);
+    }
+}
+
+module.exports = BatchManager;
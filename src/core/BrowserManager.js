@@ -11,6 +11,7 @@ const { firefox, devices } = require("playwright");
 const os = require("os");
 
 const { parseProxyFromEnv } = require("../utils/ProxyUtils");
+const metrics = require("../utils/Metrics");
 
 /**
  * Browser Manager Module
@@ -33,6 +34,15 @@ class BrowserManager {
         // Used by ConnectionRegistry callback to skip unnecessary reconnect attempts
         this.isClosingIntentionally = false;
 
+        // Whether this manager launched `this.browser` itself. Pooled slots borrow the
+        // primary manager's browser and must only ever close their own context.
+        this.ownsBrowser = true;
+
+        // Browser pool hooks, set by BrowserPool on the primary manager: whether pooled contexts
+        // run in this manager's browser, and a callback receiving every newly launched browser
+        this.hasSharedContexts = () => false;
+        this.onBrowserLaunched = null;
+
         // Added for background wakeup logic from new core
         this.noButtonCount = 0;
 
@@ -101,6 +111,27 @@ class BrowserManager {
         this._currentAuthIndex = value;
     }
 
+    /**
+     * Interface: Borrow a browser launched by another manager (browser pool mode)
+     * The next launchOrSwitchContext() call will open its context inside this browser
+     * instead of launching a new Firefox process.
+     * @param {import("playwright").Browser} browser - Shared browser instance
+     */
+    attachSharedBrowser(browser) {
+        if (this.browser && this.browser !== browser) {
+            // The previous browser is gone and our context died with it
+            if (this.healthMonitorInterval) {
+                clearInterval(this.healthMonitorInterval);
+                this.healthMonitorInterval = null;
+            }
+            this.context = null;
+            this.page = null;
+            this._currentAuthIndex = -1;
+        }
+        this.browser = browser;
+        this.ownsBrowser = false;
+    }
+
     /**
      * Feature: Update authentication file
      * Writes the current storageState back to the auth file, effectively extending session validity.
@@ -323,9 +354,10 @@ class BrowserManager {
     /**
      * Helper: Load and configure build.js script content
      * Applies environment-specific configurations (TARGET_DOMAIN, WS_PORT, LOG_LEVEL)
+     * @param {number} [authIndex] - Account index appended to the WebSocket endpoint so the server can identify the page
      * @returns {string} Configured build.js script content
      */
-    _loadAndConfigureBuildScript() {
+    _loadAndConfigureBuildScript(authIndex) {
         let buildScriptContent = fs.readFileSync(
             path.join(__dirname, "..", "..", "scripts", "client", "build.js"),
             "utf-8"
@@ -350,13 +382,16 @@ class BrowserManager {
             }
         }
 
-        if (process.env.WS_PORT) {
+        // Tag the endpoint with the account index so ConnectionRegistry knows which account a connection belongs to
+        const endpointQuery = Number.isInteger(authIndex) && authIndex >= 0 ? `?authIndex=${authIndex}` : "";
+        if (process.env.WS_PORT || endpointQuery) {
+            const wsPort = process.env.WS_PORT || this.config.wsPort;
             const lines = buildScriptContent.split("\n");
             let portReplaced = false;
             for (let i = 0; i < lines.length; i++) {
                 if (lines[i].includes('constructor(endpoint = "ws://127.0.0.1:9998")')) {
                     this.logger.info(`[Config] Found port config line: ${lines[i]}`);
-                    lines[i] = `    constructor(endpoint = "ws://127.0.0.1:${process.env.WS_PORT}") {`;
+                    lines[i] = `    constructor(endpoint = "ws://127.0.0.1:${wsPort}${endpointQuery}") {`;
                     this.logger.info(`[Config] Replaced with: ${lines[i]}`);
                     portReplaced = true;
                     break;
@@ -1058,6 +1093,7 @@ class BrowserManager {
                 headless: true, // Main browser is always headless
                 ...(proxyConfig ? { proxy: proxyConfig } : {}),
             });
+            metrics.browserLaunches.inc();
             this.browser.on("disconnected", () => {
                 this.logger.error("❌ [Browser] Main browser unexpectedly disconnected!");
                 this.browser = null;
@@ -1067,6 +1103,7 @@ class BrowserManager {
                 this.logger.warn("[Browser] Reset currentAuthIndex to -1 due to unexpected disconnect.");
             });
             this.logger.info("✅ [Browser] Main browser instance successfully launched.");
+            if (this.onBrowserLaunched) this.onBrowserLaunched(this.browser);
         }
 
         if (this.healthMonitorInterval) {
@@ -1096,7 +1133,7 @@ class BrowserManager {
             throw new Error(`Failed to get or parse auth source for index ${authIndex}.`);
         }
 
-        const buildScriptContent = this._loadAndConfigureBuildScript();
+        const buildScriptContent = this._loadAndConfigureBuildScript(authIndex);
 
         try {
             // Viewport Randomization
@@ -1172,7 +1209,14 @@ class BrowserManager {
         } catch (error) {
             this.logger.error(`❌ [Browser] Account ${authIndex} context initialization failed: ${error.message}`);
             await this._saveDebugArtifacts("init_failed");
-            await this.closeBrowser();
+            if (this.ownsBrowser && this.hasSharedContexts()) {
+                // Pooled accounts keep running in this browser, only the failed context is closed
+                this.isClosingIntentionally = true;
+                await this._closeContext();
+                this.isClosingIntentionally = false;
+            } else {
+                await this.closeBrowser();
+            }
             this._currentAuthIndex = -1;
             throw error;
         }
@@ -1219,7 +1263,7 @@ class BrowserManager {
 
         try {
             // Load and configure the build.js script using the shared helper
-            const buildScriptContent = this._loadAndConfigureBuildScript();
+            const buildScriptContent = this._loadAndConfigureBuildScript(authIndex);
 
             // Navigate to target page and wake it up
             await this._navigateAndWakeUpPage("[Reconnect]");
@@ -1261,7 +1305,14 @@ class BrowserManager {
             clearInterval(this.healthMonitorInterval);
             this.healthMonitorInterval = null;
         }
-        if (this.browser) {
+        if (this.browser && !this.ownsBrowser) {
+            // Pooled slot: the browser belongs to the primary manager, only close our own context
+            if (this.context) {
+                this.logger.info(`[Browser] Closing pooled context for account #${this._currentAuthIndex}...`);
+            }
+            await this._closeContext();
+            this.browser = null;
+        } else if (this.browser) {
             this.logger.info("[Browser] Closing main browser instance...");
             try {
                 // Give close() 5 seconds, otherwise force proceed
@@ -1282,6 +1333,23 @@ class BrowserManager {
         this.isClosingIntentionally = false;
     }
 
+    // Close the API context only, leaving the browser running
+    async _closeContext() {
+        if (this.healthMonitorInterval) {
+            clearInterval(this.healthMonitorInterval);
+            this.healthMonitorInterval = null;
+        }
+        if (this.context) {
+            await Promise.race([
+                this.context.close().catch(() => {}),
+                new Promise(resolve => setTimeout(resolve, 5000)),
+            ]);
+        }
+        this.context = null;
+        this.page = null;
+        this._currentAuthIndex = -1;
+    }
+
     async switchAccount(newAuthIndex) {
         this.logger.info(`🔄 [Browser] Starting account switch: from ${this._currentAuthIndex} to ${newAuthIndex}`);
         await this.launchOrSwitchContext(newAuthIndex);
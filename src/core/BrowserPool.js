@@ -0,0 +1,214 @@
+/**
+ * File: src/core/BrowserPool.js
+ * Description: Browser pool that keeps several accounts live in parallel, each in its own context of the shared browser
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const BrowserManager = require("./BrowserManager");
+
+/**
+ * Browser Pool Module
+ * The primary BrowserManager owns the Camoufox process; secondary managers borrow it and
+ * each run one account in an isolated context with its own build.js WebSocket connection.
+ */
+class BrowserPool {
+    constructor(logger, config, authSource, primaryManager) {
+        this.logger = logger;
+        this.config = config;
+        this.authSource = authSource;
+        this.primaryManager = primaryManager;
+        this.size = config.browserPoolSize;
+        this.secondaryManagers = [];
+        this.failureCounts = new Map();
+        this.recyclingIndices = new Set();
+        this.isFilling = false;
+
+        // A failing primary context must not take down the browser the pooled contexts run in
+        primaryManager.hasSharedContexts = () => this.secondaryManagers.some(manager => this._isLive(manager));
+        // When the primary relaunches Firefox, the secondary slots borrow the new browser
+        primaryManager.onBrowserLaunched = browser => {
+            for (const manager of this.secondaryManagers) {
+                if (manager.browser) manager.attachSharedBrowser(browser);
+            }
+        };
+    }
+
+    _getManagers() {
+        return [this.primaryManager, ...this.secondaryManagers];
+    }
+
+    _isLive(manager) {
+        return (
+            manager.currentAuthIndex >= 0 &&
+            !!manager.browser &&
+            (manager === this.primaryManager || manager.browser === this.primaryManager.browser)
+        );
+    }
+
+    /**
+     * Get the account indices currently live in the pool
+     * @returns {number[]}
+     */
+    getActiveAuthIndices() {
+        return this._getManagers()
+            .filter(manager => this._isLive(manager))
+            .map(manager => manager.currentAuthIndex);
+    }
+
+    /**
+     * Get the manager running a specific account
+     * @param {number} authIndex - Account index
+     * @returns {BrowserManager|undefined}
+     */
+    getManager(authIndex) {
+        return this._getManagers().find(manager => this._isLive(manager) && manager.currentAuthIndex === authIndex);
+    }
+
+    _getUnusedIndices() {
+        const activeIndices = this.getActiveAuthIndices();
+        return this.authSource
+            .getRotationIndices()
+            .filter(index => !activeIndices.includes(index) && !this.recyclingIndices.has(index));
+    }
+
+    async _launchInManager(manager, authIndex) {
+        if (manager !== this.primaryManager) {
+            manager.attachSharedBrowser(this.primaryManager.browser);
+        }
+        await manager.switchAccount(authIndex);
+        this.failureCounts.delete(authIndex);
+    }
+
+    /**
+     * Bring the pool up to its configured size using unused rotation accounts.
+     * Requires the primary manager to be running; secondary slots whose borrowed browser is gone are reset.
+     */
+    async fill() {
+        if (this.isFilling) return;
+        if (!this.primaryManager.browser || this.primaryManager.currentAuthIndex < 0) {
+            this.logger.warn("[Pool] Primary browser is not running, skipping pool fill.");
+            return;
+        }
+
+        this.isFilling = true;
+        try {
+            for (const manager of this.secondaryManagers) {
+                if (manager.browser && manager.browser !== this.primaryManager.browser) {
+                    await manager.closeBrowser();
+                }
+            }
+
+            const candidates = this._getUnusedIndices();
+            while (this.getActiveAuthIndices().length < this.size && candidates.length > 0) {
+                const authIndex = candidates.shift();
+                let manager = this.secondaryManagers.find(m => !this._isLive(m));
+                if (!manager) {
+                    manager = new BrowserManager(this.logger, this.config, this.authSource);
+                    this.secondaryManagers.push(manager);
+                }
+
+                try {
+                    this.logger.info(`[Pool] Adding account #${authIndex} to the browser pool...`);
+                    await this._launchInManager(manager, authIndex);
+                    this.logger.info(`✅ [Pool] Account #${authIndex} is live in the browser pool.`);
+                } catch (error) {
+                    this.logger.error(`❌ [Pool] Failed to add account #${authIndex}: ${error.message}`);
+                }
+            }
+
+            const activeIndices = this.getActiveAuthIndices();
+            if (activeIndices.length < this.size) {
+                this.logger.warn(
+                    `[Pool] Only ${activeIndices.length}/${this.size} accounts are live: [${activeIndices.join(", ")}]`
+                );
+            } else {
+                this.logger.info(`[Pool] Browser pool ready with accounts [${activeIndices.join(", ")}]`);
+            }
+        } finally {
+            this.isFilling = false;
+        }
+    }
+
+    /**
+     * Record a failed request for an account
+     * @param {number} authIndex - Account index
+     * @returns {number} Failure count for the account
+     */
+    recordFailure(authIndex) {
+        const count = (this.failureCounts.get(authIndex) || 0) + 1;
+        this.failureCounts.set(authIndex, count);
+        return count;
+    }
+
+    /**
+     * Replace a failing account with an unused one, leaving the other pooled accounts untouched.
+     * Falls back to reloading the same account if no unused account can be started.
+     * @param {number} authIndex - Account index to recycle
+     * @param {number[]} [excludedIndices=[]] - Accounts not to use as replacement (e.g. in quota cooldown)
+     * @param {boolean} [reloadInPlace=true] - Reload the same account when no replacement starts,
+     *   otherwise a secondary slot is closed instead (e.g. the account was disabled)
+     * @returns {Promise<{success: boolean, newIndex?: number, reason?: string}>}
+     */
+    async recycleAccount(authIndex, excludedIndices = [], reloadInPlace = true) {
+        const manager = this.getManager(authIndex);
+        if (!manager) {
+            return { reason: `Account #${authIndex} is not live in the pool.`, success: false };
+        }
+        if (this.recyclingIndices.has(authIndex)) {
+            return { reason: `Account #${authIndex} is already being recycled.`, success: false };
+        }
+
+        this.recyclingIndices.add(authIndex);
+        try {
+            for (const candidate of this._getUnusedIndices().filter(index => !excludedIndices.includes(index))) {
+                this.logger.info(`🔄 [Pool] Replacing account #${authIndex} with #${candidate}...`);
+                try {
+                    await this._launchInManager(manager, candidate);
+                    this.failureCounts.delete(authIndex);
+                    this.logger.info(`✅ [Pool] Account #${authIndex} replaced by #${candidate}.`);
+                    return { newIndex: candidate, success: true };
+                } catch (error) {
+                    this.logger.error(`❌ [Pool] Account #${candidate} failed: ${error.message}`);
+                    if (manager === this.primaryManager && !manager.browser) {
+                        return { reason: "Primary browser closed during recycling.", success: false };
+                    }
+                }
+            }
+
+            if (!reloadInPlace) {
+                if (manager === this.primaryManager) {
+                    return { reason: "No unused account available to replace the primary account.", success: false };
+                }
+                this.logger.warn(`[Pool] No unused account available, closing the slot of account #${authIndex}...`);
+                await manager.closeBrowser();
+                return { reason: "No unused account available, the pooled slot was closed.", success: false };
+            }
+
+            this.logger.warn(`[Pool] No unused account available, reloading account #${authIndex} in place...`);
+            await this._launchInManager(manager, authIndex);
+            return { newIndex: authIndex, success: true };
+        } catch (error) {
+            this.logger.error(`❌ [Pool] Failed to recycle account #${authIndex}: ${error.message}`);
+            return { reason: error.message, success: false };
+        } finally {
+            this.recyclingIndices.delete(authIndex);
+        }
+    }
+
+    getStatus(authLoads = new Map()) {
+        return {
+            accounts: this._getManagers()
+                .filter(manager => this._isLive(manager))
+                .map(manager => ({
+                    failureCount: this.failureCounts.get(manager.currentAuthIndex) || 0,
+                    index: manager.currentAuthIndex,
+                    inFlight: authLoads.get(manager.currentAuthIndex) || 0,
+                    primary: manager === this.primaryManager,
+                })),
+            size: this.size,
+        };
+    }
+}
+
+module.exports = BrowserPool;
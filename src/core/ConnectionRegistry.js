@@ -7,6 +7,7 @@
 
 const { EventEmitter } = require("events");
 const MessageQueue = require("../utils/MessageQueue");
+const metrics = require("../utils/Metrics");
 
 /**
  * Connection Registry Module
@@ -15,29 +16,75 @@ const MessageQueue = require("../utils/MessageQueue");
 class ConnectionRegistry extends EventEmitter {
     /**
      * @param {Object} logger - Logger instance
-     * @param {Function} [onConnectionLostCallback] - Optional callback to invoke when connection is lost after grace period
+     * @param {Function} [onConnectionLostCallback] - Optional callback to invoke when connection is lost after grace period.
+     *   Receives the account index of the lost connection in browser pool mode (null otherwise).
+     * @param {Object} [options] - Registry options
+     * @param {boolean} [options.poolMode=false] - Track connections per account so one account's disconnect
+     *   does not tear down requests running on the others
+     * @param {Function} [options.isAccountCoolingDown] - (authIndex, model) => boolean, accounts in quota cooldown
+     *   for a request's model are only dispatched to when every connected account is cooling down
      */
-    constructor(logger, onConnectionLostCallback = null) {
+    constructor(logger, onConnectionLostCallback = null, options = {}) {
         super();
         this.logger = logger;
         this.onConnectionLostCallback = onConnectionLostCallback;
+        this.poolMode = options.poolMode === true;
+        this.isAccountCoolingDown = options.isAccountCoolingDown || (() => false);
         this.connections = new Set();
         this.messageQueues = new Map();
-        this.reconnectGraceTimer = null;
-        this.isReconnecting = false; // Flag to prevent multiple simultaneous reconnect attempts
+        // websocket -> account index reported by build.js (null if unknown)
+        this.connectionAuthIndices = new Map();
+        // requestId -> websocket the request was dispatched to
+        this.requestConnections = new Map();
+        // requestId -> upstream model, used to attribute quota errors
+        this.requestModels = new Map();
+        // Grace timers keyed by account index in pool mode, or by null for the single shared connection
+        this.reconnectGraceTimers = new Map();
+        // Groups with a reconnect attempt in flight, to prevent multiple simultaneous reconnect attempts
+        this.reconnectingGroups = new Set();
+    }
+
+    _getGroupKey(authIndex) {
+        return this.poolMode && Number.isInteger(authIndex) ? authIndex : null;
+    }
+
+    _closeQueuesForGroup(groupKey) {
+        for (const [requestId, queue] of this.messageQueues.entries()) {
+            const websocket = this.requestConnections.get(requestId);
+            const owner = websocket ? this._getGroupKey(this.connectionAuthIndices.get(websocket)) : null;
+            if (groupKey === null || owner === groupKey) {
+                queue.close();
+                this.messageQueues.delete(requestId);
+                this.requestConnections.delete(requestId);
+                this.requestModels.delete(requestId);
+            }
+        }
+        // Forget account mappings of sockets that are already gone
+        for (const [websocket, authIndex] of this.connectionAuthIndices.entries()) {
+            if (!this.connections.has(websocket) && (groupKey === null || this._getGroupKey(authIndex) === groupKey)) {
+                this.connectionAuthIndices.delete(websocket);
+            }
+        }
     }
 
     addConnection(websocket, clientInfo) {
-        if (this.reconnectGraceTimer) {
-            clearTimeout(this.reconnectGraceTimer);
-            this.reconnectGraceTimer = null;
-            this.messageQueues.forEach(queue => queue.close());
-            this.messageQueues.clear();
+        const authIndex = Number.isInteger(clientInfo.authIndex) ? clientInfo.authIndex : null;
+        const groupKey = this._getGroupKey(authIndex);
+
+        if (this.reconnectGraceTimers.has(groupKey)) {
+            clearTimeout(this.reconnectGraceTimers.get(groupKey));
+            this.reconnectGraceTimers.delete(groupKey);
+            this._closeQueuesForGroup(groupKey);
         }
 
         this.connections.add(websocket);
-        this.logger.info(`[Server] Internal WebSocket client connected (from: ${clientInfo.address})`);
-        websocket.on("message", data => this._handleIncomingMessage(data.toString()));
+        this.connectionAuthIndices.set(websocket, authIndex);
+        this.logger.info(
+            `[Server] Internal WebSocket client connected (from: ${clientInfo.address}${
+                authIndex !== null ? `, account: #${authIndex}` : ""
+            })`
+        );
+        websocket.on("message", data => this._handleIncomingMessage(data.toString(), websocket));
         websocket.on("close", () => this._removeConnection(websocket));
         websocket.on("error", error =>
             this.logger.error(`[Server] Internal WebSocket connection error: ${error.message}`)
@@ -46,33 +93,37 @@ class ConnectionRegistry extends EventEmitter {
     }
 
     _removeConnection(websocket) {
+        const authIndex = this.connectionAuthIndices.get(websocket) ?? null;
+        const groupKey = this._getGroupKey(authIndex);
         this.connections.delete(websocket);
-        this.logger.info("[Server] Internal WebSocket client disconnected.");
+        this.logger.info(
+            `[Server] Internal WebSocket client disconnected.${authIndex !== null ? ` (account: #${authIndex})` : ""}`
+        );
 
         // Clear any existing grace timer before starting a new one
         // This prevents multiple timers from running if connections disconnect in quick succession
-        if (this.reconnectGraceTimer) {
-            clearTimeout(this.reconnectGraceTimer);
+        if (this.reconnectGraceTimers.has(groupKey)) {
+            clearTimeout(this.reconnectGraceTimers.get(groupKey));
         }
 
         this.logger.info("[Server] Starting 5-second reconnect grace period...");
-        this.reconnectGraceTimer = setTimeout(async () => {
+        const graceTimer = setTimeout(async () => {
             this.logger.info(
                 "[Server] Grace period ended, no reconnection detected. Connection lost confirmed, cleaning up all pending requests..."
             );
-            this.messageQueues.forEach(queue => queue.close());
-            this.messageQueues.clear();
+            this._closeQueuesForGroup(groupKey);
+            metrics.connectionLosses.inc();
 
             // Attempt lightweight reconnect if callback is provided and not already reconnecting
-            if (this.onConnectionLostCallback && !this.isReconnecting) {
-                this.isReconnecting = true;
+            if (this.onConnectionLostCallback && !this.reconnectingGroups.has(groupKey)) {
+                this.reconnectingGroups.add(groupKey);
                 const lightweightReconnectTimeoutMs = 55000;
                 this.logger.info(
                     `[Server] Attempting lightweight reconnect (timeout ${lightweightReconnectTimeoutMs / 1000}s)...`
                 );
                 let timeoutId;
                 try {
-                    const callbackPromise = this.onConnectionLostCallback();
+                    const callbackPromise = this.onConnectionLostCallback(groupKey);
                     const timeoutPromise = new Promise((_, reject) => {
                         timeoutId = setTimeout(
                             () => reject(new Error("Lightweight reconnect timed out")),
@@ -81,25 +132,30 @@ class ConnectionRegistry extends EventEmitter {
                     });
                     await Promise.race([callbackPromise, timeoutPromise]);
                     this.logger.info("[Server] Lightweight reconnect callback completed.");
+                    metrics.lightweightReconnects.inc({ result: "completed" });
                 } catch (error) {
                     this.logger.error(`[Server] Lightweight reconnect failed: ${error.message}`);
+                    metrics.lightweightReconnects.inc({ result: "failed" });
                 } finally {
                     if (timeoutId) {
                         clearTimeout(timeoutId);
                     }
-                    this.isReconnecting = false;
+                    this.reconnectingGroups.delete(groupKey);
                 }
             }
 
-            this.emit("connectionLost");
+            this.emit("connectionLost", groupKey);
 
-            this.reconnectGraceTimer = null;
+            if (this.reconnectGraceTimers.get(groupKey) === graceTimer) {
+                this.reconnectGraceTimers.delete(groupKey);
+            }
         }, 5000);
+        this.reconnectGraceTimers.set(groupKey, graceTimer);
 
         this.emit("connectionRemoved", websocket);
     }
 
-    _handleIncomingMessage(messageData) {
+    _handleIncomingMessage(messageData, websocket) {
         try {
             const parsedMessage = JSON.parse(messageData);
             const requestId = parsedMessage.request_id;
@@ -107,6 +163,14 @@ class ConnectionRegistry extends EventEmitter {
                 this.logger.warn("[Server] Received invalid message: missing request_id");
                 return;
             }
+            // Tag errors with the originating account so failure handling can target it in pool mode
+            const authIndex = this.connectionAuthIndices.get(websocket);
+            if (parsedMessage.event_type === "error" && Number.isInteger(authIndex)) {
+                parsedMessage.auth_index = authIndex;
+            }
+            if (parsedMessage.event_type === "error" && this.requestModels.has(requestId)) {
+                parsedMessage.model = this.requestModels.get(requestId);
+            }
             const queue = this.messageQueues.get(requestId);
             if (queue) {
                 this._routeMessage(parsedMessage, queue);
@@ -139,29 +203,137 @@ class ConnectionRegistry extends EventEmitter {
     }
 
     isReconnectingInProgress() {
-        return this.isReconnecting;
+        return this.reconnectingGroups.size > 0;
     }
 
     isInGracePeriod() {
-        return !!this.reconnectGraceTimer;
+        return this.reconnectGraceTimers.size > 0;
     }
 
     getFirstConnection() {
         return this.connections.values().next().value;
     }
 
+    /**
+     * Get the open connection belonging to a specific account
+     * @param {number} authIndex - Account index
+     * @returns {WebSocket|undefined}
+     */
+    getConnectionForAuth(authIndex) {
+        for (const websocket of this.connections) {
+            if (this.connectionAuthIndices.get(websocket) === authIndex) return websocket;
+        }
+        return undefined;
+    }
+
+    /**
+     * Get the account indices that currently have an open connection
+     * @returns {number[]}
+     */
+    getConnectedAuthIndices() {
+        const indices = [];
+        for (const websocket of this.connections) {
+            const authIndex = this.connectionAuthIndices.get(websocket);
+            if (Number.isInteger(authIndex)) indices.push(authIndex);
+        }
+        return indices;
+    }
+
+    /**
+     * Count in-flight requests per open connection
+     * @returns {Map<WebSocket, number>}
+     */
+    _getConnectionLoads() {
+        const loads = new Map();
+        for (const websocket of this.connections) loads.set(websocket, 0);
+        for (const websocket of this.requestConnections.values()) {
+            if (loads.has(websocket)) loads.set(websocket, loads.get(websocket) + 1);
+        }
+        return loads;
+    }
+
+    /**
+     * Get the connection a request is dispatched to, assigning the idle or least-loaded one on first use.
+     * Accounts in quota cooldown for the request's model are skipped unless all of them are.
+     * @param {string} requestId - Request ID
+     * @returns {WebSocket|undefined}
+     */
+    getConnectionForRequest(requestId) {
+        const assigned = this.requestConnections.get(requestId);
+        if (assigned && this.connections.has(assigned)) return assigned;
+
+        const model = this.requestModels.get(requestId) || null;
+        const loads = [...this._getConnectionLoads()];
+        const usable = loads.filter(([websocket]) => {
+            const authIndex = this.connectionAuthIndices.get(websocket);
+            return !Number.isInteger(authIndex) || !this.isAccountCoolingDown(authIndex, model);
+        });
+
+        let selected;
+        let selectedLoad = Infinity;
+        for (const [websocket, load] of usable.length > 0 ? usable : loads) {
+            if (load < selectedLoad) {
+                selected = websocket;
+                selectedLoad = load;
+            }
+        }
+
+        if (selected && this.messageQueues.has(requestId)) {
+            this.requestConnections.set(requestId, selected);
+        }
+        return selected;
+    }
+
+    /**
+     * Get the account index a request was dispatched to
+     * @param {string} requestId - Request ID
+     * @returns {number|null}
+     */
+    getAuthIndexForRequest(requestId) {
+        const websocket = this.requestConnections.get(requestId);
+        return websocket ? (this.connectionAuthIndices.get(websocket) ?? null) : null;
+    }
+
+    /**
+     * Get the number of in-flight requests per account
+     * @returns {Map<number, number>}
+     */
+    getAuthLoads() {
+        const loads = new Map();
+        for (const [websocket, load] of this._getConnectionLoads()) {
+            const authIndex = this.connectionAuthIndices.get(websocket);
+            if (Number.isInteger(authIndex)) loads.set(authIndex, load);
+        }
+        return loads;
+    }
+
+    /**
+     * Remember the model a request is sent to, errors of the request are tagged with it
+     * @param {string} requestId - Request ID
+     * @param {string} model - Model name
+     */
+    setRequestModel(requestId, model) {
+        this.requestModels.set(requestId, model);
+    }
+
     createMessageQueue(requestId) {
         const queue = new MessageQueue();
         this.messageQueues.set(requestId, queue);
         return queue;
     }
 
+    getMessageQueue(requestId) {
+        return this.messageQueues.get(requestId);
+    }
+
     removeMessageQueue(requestId) {
         const queue = this.messageQueues.get(requestId);
         if (queue) {
             queue.close();
             this.messageQueues.delete(requestId);
         }
+        this.requestConnections.delete(requestId);
+        this.requestModels.delete(requestId);
     }
 }
 
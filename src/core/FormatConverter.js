@@ -6,7 +6,19 @@
  */
 
 const axios = require("axios");
+const { Tiktoken } = require("js-tiktoken/lite");
 const mime = require("mime-types");
+const { normalizeJsonSchema } = require("../utils/SchemaNormalizer");
+const ThoughtSignatureStore = require("../utils/ThoughtSignatureStore");
+
+// OpenAI embedding models tokenize with cl100k_base, the ranks are only loaded once a token array arrives
+// Token ids above the last special token (<|endofprompt|>, 100276) do not exist
+const CL100K_VOCABULARY_SIZE = 100277;
+let cl100kEncoding = null;
+const decodeOpenAITokens = tokens => {
+    if (!cl100kEncoding) cl100kEncoding = new Tiktoken(require("js-tiktoken/ranks/cl100k_base"));
+    return cl100kEncoding.decode(tokens);
+};
 
 /**
  * Format Converter Module
@@ -24,6 +36,14 @@ class FormatConverter {
         minimal: "MINIMAL",
     };
 
+    // Reference budgets used to turn a token budget into an effort for models without their own budget table
+    static DEFAULT_EFFORT_BUDGETS = {
+        high: 24576,
+        low: 1024,
+        medium: 8192,
+        minimal: 512,
+    };
+
     /**
      * Parse thinkingLevel suffix from model name
      * Supports two formats:
@@ -71,6 +91,144 @@ class FormatConverter {
     constructor(logger, serverSystem) {
         this.logger = logger;
         this.serverSystem = serverSystem;
+        this.thoughtSignatures = new ThoughtSignatureStore(logger, serverSystem.config);
+    }
+
+    /**
+     * Find the thinking profile of a model, the longest matching model name prefix wins
+     * @param {string} modelName - Model name, with or without the "models/" prefix
+     * @returns {{ name: string, profile: object }|null}
+     */
+    _getThinkingProfile(modelName) {
+        const profiles = this.serverSystem.config?.thinkingProfiles || {};
+        const name = (modelName || "").replace(/^models\//, "");
+        const match = Object.keys(profiles)
+            .filter(prefix => name.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? { name: match, profile: profiles[match] } : null;
+    }
+
+    // Pick the smallest effort whose reference budget covers the requested budget
+    _budgetToEffort(budget, referenceBudgets) {
+        if (budget === 0) return "none";
+        if (typeof budget !== "number" || budget < 0) return null;
+        const efforts = Object.entries(referenceBudgets)
+            .filter(([effort]) => effort !== "none")
+            .sort((a, b) => a[1] - b[1]);
+        if (efforts.length === 0) return null;
+        const covering = efforts.find(([, value]) => value >= budget);
+        return (covering || efforts[efforts.length - 1])[0];
+    }
+
+    /**
+     * Apply a requested reasoning effort, token budget or thinking level to a Gemini thinkingConfig.
+     * Models with a budget profile in configs/models.json get a clamped thinkingBudget, models with a
+     * level profile get a supported thinkingLevel. Without a profile, budgets and levels pass through.
+     * An explicit budget takes precedence over the effort for budget models, a level for level models.
+     *
+     * @param {object|null} thinkingConfig - Current thinkingConfig, not modified
+     * @param {string} modelName - Target model name
+     * @param {{ budget?: number, effort?: string, level?: string }} request - Requested thinking amount
+     * @returns {object|null} - Resulting thinkingConfig
+     */
+    applyThinkingProfile(thinkingConfig, modelName, { budget, effort, level } = {}) {
+        const hasBudget = typeof budget === "number";
+        if (!hasBudget && !effort && !level) return thinkingConfig;
+
+        const result = { ...(thinkingConfig || {}) };
+        delete result.thinkingBudget;
+        delete result.thinkingLevel;
+
+        const match = this._getThinkingProfile(modelName);
+        if (!match) {
+            if (level) result.thinkingLevel = level.toUpperCase();
+            else if (hasBudget) result.thinkingBudget = budget;
+            else return thinkingConfig;
+            return result;
+        }
+
+        const { profile } = match;
+        const referenceBudgets = profile.budgets || FormatConverter.DEFAULT_EFFORT_BUDGETS;
+        const requestedEffort = level ? level.toLowerCase() : effort?.toLowerCase();
+
+        if (profile.levels) {
+            const targetEffort = level || !hasBudget ? requestedEffort : this._budgetToEffort(budget, referenceBudgets);
+            // Level models cannot turn thinking off, "none" falls back to the lowest level
+            const mappedLevel = profile.levels[targetEffort] || (targetEffort === "none" && profile.levels.minimal);
+            if (mappedLevel) result.thinkingLevel = mappedLevel;
+        } else {
+            let value = hasBudget ? budget : referenceBudgets[requestedEffort];
+            // -1 lets the model decide, 0 turns thinking off where the profile allows it
+            const canDisable = profile.minBudget === 0 || referenceBudgets.none === 0;
+            if (typeof value === "number" && value !== -1 && !(value === 0 && canDisable)) {
+                value = Math.min(Math.max(value, profile.minBudget ?? value), profile.maxBudget ?? value);
+            }
+            if (typeof value === "number") result.thinkingBudget = value;
+        }
+
+        if (result.thinkingBudget === undefined && result.thinkingLevel === undefined) {
+            this.logger.warn(
+                `[Adapter] Thinking profile "${match.name}" has no mapping for ${JSON.stringify({ budget, effort, level })}, ignoring.`
+            );
+            return thinkingConfig;
+        }
+
+        this.logger.info(
+            `[Adapter] Applied thinking profile "${match.name}" for ${modelName}: ${JSON.stringify({
+                thinkingBudget: result.thinkingBudget,
+                thinkingLevel: result.thinkingLevel,
+            })}`
+        );
+        return result;
+    }
+
+    /**
+     * Look up a client model name in the model alias table
+     * @param {string} modelName - Model name sent by the client
+     * @returns {{alias: string, defaults: object, model: string}|null}
+     */
+    _resolveModelAlias(modelName) {
+        const modelAlias = this.serverSystem.modelAliases?.resolve(modelName) || null;
+        if (modelAlias) {
+            this.logger.info(
+                `[Adapter] Model "${modelName}" routed to ${modelAlias.model} by alias "${modelAlias.alias}".`
+            );
+        }
+        return modelAlias;
+    }
+
+    /**
+     * Apply the default temperature, thinking level and built-in tools of a model alias,
+     * values the client set itself are kept
+     * @param {object} googleRequest - Gemini request, modified in place
+     * @param {string} modelName - Target model name
+     * @param {{temperature: number|null, thinkingLevel: string|null, tools: string[]}} defaults - Alias defaults
+     */
+    _applyModelAliasDefaults(googleRequest, modelName, defaults) {
+        const generationConfig = googleRequest.generationConfig || {};
+
+        if (defaults.temperature !== null && generationConfig.temperature === undefined) {
+            generationConfig.temperature = defaults.temperature;
+        }
+
+        const thinkingConfig = generationConfig.thinkingConfig;
+        if (
+            defaults.thinkingLevel &&
+            thinkingConfig?.thinkingBudget === undefined &&
+            thinkingConfig?.thinkingLevel === undefined
+        ) {
+            const result = this.applyThinkingProfile(thinkingConfig || null, modelName, {
+                level: defaults.thinkingLevel,
+            });
+            if (result) generationConfig.thinkingConfig = result;
+        }
+
+        if (Object.keys(generationConfig).length > 0) googleRequest.generationConfig = generationConfig;
+
+        for (const tool of defaults.tools) {
+            if (!googleRequest.tools) googleRequest.tools = [];
+            if (!googleRequest.tools.some(t => t[tool])) googleRequest.tools.push({ [tool]: {} });
+        }
     }
 
     /**
@@ -111,12 +269,40 @@ class FormatConverter {
     }
 
     /**
-     * Sanitize tools in native Gemini requests by removing unsupported JSON Schema fields
+     * Give the functionCall parts of one model turn their thoughtSignature. Signatures Gemini returned with
+     * the calls are looked up by the tool call id handed to the client, without any the first call gets the
+     * placeholder (Gemini 3 expects a signature only on the first functionCall of a turn).
+     * @param {Array<{ id: string, part: object }>} calls - functionCall parts with their client tool call ids
+     */
+    _attachThoughtSignatures(calls) {
+        let restored = 0;
+        for (const { id, part } of calls) {
+            const signature = this.thoughtSignatures.get(id);
+            if (signature) {
+                part.thoughtSignature = signature;
+                restored++;
+            }
+        }
+
+        if (restored > 0) {
+            this.logger.info(`[Adapter] Restored ${restored} stored thoughtSignature(s) for tool calls.`);
+        } else if (calls.length > 0) {
+            // [PLACEHOLDER MODE] - Use dummy signature to skip validation for official Gemini API testing
+            calls[0].part.thoughtSignature = FormatConverter.DUMMY_THOUGHT_SIGNATURE;
+            this.logger.info(
+                `[Adapter] Using dummy thoughtSignature for first functionCall: ${calls[0].part.functionCall.name}`
+            );
+        }
+    }
+
+    /**
+     * Sanitize tools in native Gemini requests by resolving $ref/$defs and removing unsupported JSON Schema fields
      * like $schema and additionalProperties
      * @param {object} geminiBody - Gemini format request body
+     * @param {string[]} [schemaWarnings] - Collects lossy schema conversions
      * @returns {object} - Modified request body with sanitized tools
      */
-    sanitizeGeminiTools(geminiBody) {
+    sanitizeGeminiTools(geminiBody, schemaWarnings = []) {
         if (!geminiBody || !geminiBody.tools || !Array.isArray(geminiBody.tools)) {
             return geminiBody;
         }
@@ -166,7 +352,9 @@ class FormatConverter {
             if (declarations && Array.isArray(declarations)) {
                 for (const funcDecl of declarations) {
                     if (funcDecl.parameters) {
-                        funcDecl.parameters = sanitizeSchema(funcDecl.parameters);
+                        funcDecl.parameters = sanitizeSchema(
+                            this._normalizeSchema(funcDecl.parameters, `tool "${funcDecl.name}"`, schemaWarnings)
+                        );
                     }
                 }
             }
@@ -175,6 +363,22 @@ class FormatConverter {
         return geminiBody;
     }
 
+    /**
+     * Inline $ref/$defs and flatten combinators before _convertSchemaToGemini, which strips what it cannot map
+     * @param {object} schema - Client JSON Schema
+     * @param {string} label - Where the schema came from, prefixed to each warning
+     * @param {string[]} schemaWarnings - Collects lossy conversions, reported to the client in X-Schema-Warnings
+     * @returns {object} Normalized schema
+     */
+    _normalizeSchema(schema, label, schemaWarnings) {
+        const { schema: normalized, warnings } = normalizeJsonSchema(schema);
+        for (const warning of warnings) {
+            this.logger.warn(`[Adapter] Schema of ${label}: ${warning}`);
+            schemaWarnings.push(`${label} ${warning}`);
+        }
+        return normalized;
+    }
+
     /**
      * Convert JSON Schema to Gemini parameters format.
      * Handles nullable types, enums, and ensures uppercase types.
@@ -321,9 +525,12 @@ class FormatConverter {
      */
     async translateOpenAIToGoogle(openaiBody) {
         this.logger.info("[Adapter] Starting translation of OpenAI request format to Google format...");
+        const schemaWarnings = [];
 
+        // Route foreign model names through the alias table first, the target may carry a thinkingLevel suffix
+        const modelAlias = this._resolveModelAlias(openaiBody.model);
         // Parse thinkingLevel suffix from model name (e.g., gemini-3-flash-preview-minimal or gemini-3-flash-preview(low))
-        const rawModel = openaiBody.model || "gemini-2.5-flash-lite";
+        const rawModel = modelAlias?.model || openaiBody.model || "gemini-2.5-flash-lite";
         const { cleanModelName, thinkingLevel: modelThinkingLevel } = FormatConverter.parseModelThinkingLevel(rawModel);
 
         if (modelThinkingLevel) {
@@ -455,8 +662,7 @@ class FormatConverter {
             // Handle assistant messages with tool_calls
             if (message.role === "assistant" && message.tool_calls && Array.isArray(message.tool_calls)) {
                 // Convert OpenAI tool_calls to Gemini functionCall
-                // For Gemini 3: thoughtSignature should only be on the FIRST functionCall part
-                let signatureAttachedToCall = false;
+                const functionCalls = [];
                 for (const toolCall of message.tool_calls) {
                     if (toolCall.type === "function" && toolCall.function) {
                         let args;
@@ -478,18 +684,11 @@ class FormatConverter {
                                 name: toolCall.function.name,
                             },
                         };
-                        // Pass back thoughtSignature only on the FIRST functionCall
-                        // [PLACEHOLDER MODE] - Use dummy signature to skip validation for official Gemini API testing
-                        if (!signatureAttachedToCall) {
-                            functionCallPart.thoughtSignature = FormatConverter.DUMMY_THOUGHT_SIGNATURE;
-                            signatureAttachedToCall = true;
-                            this.logger.info(
-                                `[Adapter] Using dummy thoughtSignature for first functionCall: ${toolCall.function.name}`
-                            );
-                        }
+                        functionCalls.push({ id: toolCall.id, part: functionCallPart });
                         googleParts.push(functionCallPart);
                     }
                 }
+                this._attachThoughtSignatures(functionCalls);
                 // Do not continue here; allow falling through to handle potential text content (e.g. thoughts)
             }
 
@@ -599,14 +798,12 @@ class FormatConverter {
         }
 
         // Handle OpenAI reasoning_effort parameter
-        if (!thinkingConfig) {
-            const effort = openaiBody.reasoning_effort || extraBody.reasoning_effort;
-            if (effort) {
-                this.logger.info(
-                    `[Adapter] Detected OpenAI standard reasoning parameter (reasoning_effort: ${effort}), auto-converting to Google format.`
-                );
-                thinkingConfig = { includeThoughts: true };
-            }
+        const effort = openaiBody.reasoning_effort || extraBody.reasoning_effort;
+        if (effort) {
+            this.logger.info(
+                `[Adapter] Detected OpenAI standard reasoning parameter (reasoning_effort: ${effort}), auto-converting to Google format.`
+            );
+            if (!thinkingConfig) thinkingConfig = { includeThoughts: true };
         }
 
         // Force thinking mode
@@ -616,16 +813,24 @@ class FormatConverter {
             thinkingConfig = { includeThoughts: true };
         }
 
-        // If model name suffix specifies thinkingLevel, override directly (highest priority)
+        // Map the requested effort, budget or level onto the model's thinking profile,
+        // a thinkingLevel suffix in the model name overrides everything else (highest priority)
         if (modelThinkingLevel) {
-            if (!thinkingConfig) {
-                thinkingConfig = {};
-            }
-            thinkingConfig.thinkingLevel = modelThinkingLevel;
             this.logger.info(
                 `[Adapter] Applied thinkingLevel from model name suffix: ${modelThinkingLevel} (overriding any existing value)`
             );
         }
+        thinkingConfig = this.applyThinkingProfile(
+            thinkingConfig,
+            cleanModelName,
+            modelThinkingLevel
+                ? { level: modelThinkingLevel }
+                : {
+                      budget: rawThinkingConfig?.thinking_budget ?? rawThinkingConfig?.thinkingBudget,
+                      effort,
+                      level: rawThinkingConfig?.thinking_level || rawThinkingConfig?.thinkingLevel,
+                  }
+        );
 
         if (thinkingConfig) {
             generationConfig.thinkingConfig = thinkingConfig;
@@ -633,12 +838,29 @@ class FormatConverter {
 
         googleRequest.generationConfig = generationConfig;
 
+        // Client safety settings, the safety policy decides whether they are used
+        const clientSafetySettings = extraBody.google?.safety_settings || extraBody.safety_settings;
+        if (Array.isArray(clientSafetySettings)) {
+            googleRequest.safetySettings = clientSafetySettings;
+        }
+
+        // Code execution can be requested through extra_body or a built-in code tool below
+        let useCodeExecution = Boolean(
+            extraBody.google?.code_execution || extraBody.code_execution || openaiBody.code_execution
+        );
+
         // Convert OpenAI tools to Gemini functionDeclarations
         const openaiTools = openaiBody.tools || openaiBody.functions;
         if (openaiTools && Array.isArray(openaiTools) && openaiTools.length > 0) {
             const functionDeclarations = [];
 
             for (const tool of openaiTools) {
+                // Built-in code tools are served by Gemini codeExecution
+                if (tool.type === "code_interpreter" || tool.type === "code_execution") {
+                    useCodeExecution = true;
+                    continue;
+                }
+
                 // Handle OpenAI tools format: { type: "function", function: {...} }
                 // Also handle legacy functions format: { name, description, parameters }
                 const funcDef = tool.function || tool;
@@ -654,7 +876,9 @@ class FormatConverter {
 
                     if (funcDef.parameters) {
                         // Use shared _convertSchemaToGemini
-                        declaration.parameters = this._convertSchemaToGemini(funcDef.parameters);
+                        declaration.parameters = this._convertSchemaToGemini(
+                            this._normalizeSchema(funcDef.parameters, `tool "${funcDef.name}"`, schemaWarnings)
+                        );
                     }
                     functionDeclarations.push(declaration);
                 }
@@ -666,6 +890,23 @@ class FormatConverter {
             }
         }
 
+        // OpenAI search models request web search through web_search_options, mapped to Gemini googleSearch
+        if (openaiBody.web_search_options) {
+            if (!googleRequest.tools) googleRequest.tools = [];
+            if (!googleRequest.tools.some(t => t.googleSearch)) {
+                googleRequest.tools.push({ googleSearch: {} });
+            }
+            this.logger.info("[Adapter] Mapped OpenAI web_search_options to Gemini googleSearch.");
+        }
+
+        if (useCodeExecution) {
+            if (!googleRequest.tools) googleRequest.tools = [];
+            if (!googleRequest.tools.some(t => t.codeExecution)) {
+                googleRequest.tools.push({ codeExecution: {} });
+            }
+            this.logger.info("[Adapter] Enabled Gemini codeExecution for OpenAI request.");
+        }
+
         // Convert OpenAI tool_choice to Gemini toolConfig.functionCallingConfig
         const toolChoice = openaiBody.tool_choice || openaiBody.function_call;
         if (toolChoice) {
@@ -710,7 +951,10 @@ class FormatConverter {
 
                         // Convert schema to Gemini format (reuse shared method)
                         // isResponseSchema = true for Structured Output
-                        const convertedSchema = this._convertSchemaToGemini(schema, true);
+                        const convertedSchema = this._convertSchemaToGemini(
+                            this._normalizeSchema(schema, "response_format", schemaWarnings),
+                            true
+                        );
 
                         this.logger.debug(
                             `[Adapter] Debug: Converted Gemini JSON Schema: ${JSON.stringify(convertedSchema)}`
@@ -742,9 +986,10 @@ class FormatConverter {
             }
         }
 
+        if (modelAlias) this._applyModelAliasDefaults(googleRequest, cleanModelName, modelAlias.defaults);
         this._finalizeGoogleRequest(googleRequest);
         this.logger.info("[Adapter] OpenAI to Google translation complete.");
-        return { cleanModelName, googleRequest };
+        return { cleanModelName, googleRequest, schemaWarnings };
     }
 
     /**
@@ -753,11 +998,12 @@ class FormatConverter {
      * 2. Apply safety settings
      * 3. Log final request body
      * @param {object} googleRequest - The Gemini request object to finalize
+     * @param {boolean} [injectForcedTools=true] - Whether force features may add tools to this request
      * @private
      */
-    _finalizeGoogleRequest(googleRequest) {
+    _finalizeGoogleRequest(googleRequest, injectForcedTools = true) {
         // Force web search and URL context
-        if (this.serverSystem.forceWebSearch || this.serverSystem.forceUrlContext) {
+        if (injectForcedTools && (this.serverSystem.forceWebSearch || this.serverSystem.forceUrlContext)) {
             if (!googleRequest.tools) {
                 googleRequest.tools = [];
             }
@@ -787,13 +1033,7 @@ class FormatConverter {
             }
         }
 
-        // Safety settings
-        googleRequest.safetySettings = [
-            { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-        ];
+        // safetySettings are filled in by the safety policy when the request is forwarded
 
         this.logger.debug(`[Adapter] Debug: Final Gemini Request = ${JSON.stringify(googleRequest, null, 2)}`);
     }
@@ -846,6 +1086,7 @@ class FormatConverter {
         // Store in streamState to prevent concurrency issues between requests
         if (googleResponse.usageMetadata) {
             streamState.usage = this._parseUsage(googleResponse);
+            streamState.usageMetadata = googleResponse.usageMetadata;
         }
 
         const candidate = googleResponse.candidates?.[0];
@@ -858,8 +1099,18 @@ class FormatConverter {
                     )}`
                 );
                 const errorText = `[ProxySystem Error] Request blocked due to safety settings. Finish Reason: ${googleResponse.promptFeedback.blockReason}`;
+                const safetyBlock = this._getSafetyBlock(googleResponse);
                 return `data: ${JSON.stringify({
-                    choices: [{ delta: { content: errorText }, finish_reason: "stop", index: 0 }],
+                    choices: [
+                        {
+                            delta: { content: errorText },
+                            finish_reason: safetyBlock ? "content_filter" : "stop",
+                            index: 0,
+                            ...(safetyBlock && {
+                                content_filter_results: this._toOpenAIContentFilterResults(safetyBlock),
+                            }),
+                        },
+                    ],
                     created,
                     id: streamId,
                     model: modelName,
@@ -894,6 +1145,7 @@ class FormatConverter {
                     // Convert Gemini functionCall to OpenAI tool_calls format
                     const funcCall = part.functionCall;
                     const toolCallId = `call_${this._generateRequestId()}`;
+                    this.thoughtSignatures.set(toolCallId, part.thoughtSignature);
 
                     // Track tool call index for multiple function calls
                     const toolCallIndex = streamState.toolCallIndex ?? 0;
@@ -918,6 +1170,23 @@ class FormatConverter {
                         `[Adapter] Converted Gemini functionCall to OpenAI tool_calls: ${funcCall.name} (index: ${toolCallIndex})`
                     );
                     hasContent = true;
+                } else if (part.executableCode) {
+                    // Code execution is sent like tool_calls: the code first, the result later with the same index
+                    const codeIndex = streamState.codeExecutionIndex ?? 0;
+                    streamState.codeExecutionIndex = codeIndex + 1;
+                    delta.code_executions = [{ index: codeIndex, ...this._toOpenAICodeExecution(part.executableCode) }];
+                    hasContent = true;
+                } else if (part.codeExecutionResult) {
+                    const codeIndex = Math.max((streamState.codeExecutionIndex ?? 0) - 1, 0);
+                    delta.code_executions = [
+                        { index: codeIndex, ...this._toOpenAICodeExecutionResult(part.codeExecutionResult) },
+                    ];
+                    hasContent = true;
+                }
+
+                if (delta.content) {
+                    // Grounding offsets refer to the full response text
+                    streamState.contentText = (streamState.contentText || "") + delta.content;
                 }
 
                 if (hasContent) {
@@ -945,8 +1214,34 @@ class FormatConverter {
             }
         }
 
+        // Grounding metadata usually arrives with the last chunk, keep the latest copy
+        if (candidate.groundingMetadata) {
+            streamState.groundingMetadata = candidate.groundingMetadata;
+        }
+
         // Handle the final chunk with finish_reason and usage
         if (candidate.finishReason) {
+            if (streamState.groundingMetadata) {
+                const annotations = this._buildOpenAIAnnotations(
+                    streamState.groundingMetadata,
+                    streamState.contentText || ""
+                );
+                if (annotations.length > 0) {
+                    chunksToSend.push(
+                        `data: ${JSON.stringify({
+                            choices: [{ delta: { annotations }, finish_reason: null, index: 0 }],
+                            created,
+                            id: streamId,
+                            model: modelName,
+                            object: "chat.completion.chunk",
+                        })}\n\n`
+                    );
+                    this.logger.info(
+                        `[Adapter] Mapped Gemini grounding metadata to ${annotations.length} OpenAI annotation(s)`
+                    );
+                }
+            }
+
             // Determine the correct finish_reason for OpenAI format
             let finishReason;
             if (streamState.hasFunctionCall) {
@@ -968,6 +1263,11 @@ class FormatConverter {
                 model: modelName,
                 object: "chat.completion.chunk",
             };
+            const safetyBlock = this._getSafetyBlock(googleResponse);
+            if (safetyBlock) {
+                finalResponse.choices[0].content_filter_results = this._toOpenAIContentFilterResults(safetyBlock);
+                this.logger.warn(`[Adapter] Gemini response blocked (${safetyBlock.reason}) in OpenAI stream.`);
+            }
 
             // Attach cached usage data to the very last message (if available)
             if (streamState.usage) {
@@ -985,14 +1285,19 @@ class FormatConverter {
     convertGoogleToOpenAINonStream(googleResponse, modelName = "gemini-2.5-flash-lite") {
         const candidate = googleResponse.candidates?.[0];
 
+        const safetyBlock = this._getSafetyBlock(googleResponse);
+
         if (!candidate) {
             this.logger.warn("[Adapter] No candidate found in Google response");
             return {
                 choices: [
                     {
-                        finish_reason: "stop",
+                        finish_reason: safetyBlock ? "content_filter" : "stop",
                         index: 0,
                         message: { content: "", role: "assistant" },
+                        ...(safetyBlock && {
+                            content_filter_results: this._toOpenAIContentFilterResults(safetyBlock),
+                        }),
                     },
                 ],
                 created: Math.floor(Date.now() / 1000),
@@ -1010,6 +1315,7 @@ class FormatConverter {
         let content = "";
         let reasoning_content = "";
         const tool_calls = [];
+        const code_executions = [];
 
         if (candidate.content && Array.isArray(candidate.content.parts)) {
             for (const part of candidate.content.parts) {
@@ -1024,6 +1330,7 @@ class FormatConverter {
                     // Convert Gemini functionCall to OpenAI tool_calls format
                     const funcCall = part.functionCall;
                     const toolCallId = `call_${this._generateRequestId()}`;
+                    this.thoughtSignatures.set(toolCallId, part.thoughtSignature);
 
                     const toolCallObj = {
                         function: {
@@ -1036,17 +1343,39 @@ class FormatConverter {
                     };
                     tool_calls.push(toolCallObj);
                     this.logger.info(`[Adapter] Converted Gemini functionCall to OpenAI tool_calls: ${funcCall.name}`);
+                } else if (part.executableCode) {
+                    code_executions.push({
+                        index: code_executions.length,
+                        ...this._toOpenAICodeExecution(part.executableCode),
+                    });
+                } else if (part.codeExecutionResult && code_executions.length > 0) {
+                    Object.assign(
+                        code_executions[code_executions.length - 1],
+                        this._toOpenAICodeExecutionResult(part.codeExecutionResult)
+                    );
                 }
             }
         }
 
         const message = { content, role: "assistant" };
+        if (candidate.groundingMetadata) {
+            const annotations = this._buildOpenAIAnnotations(candidate.groundingMetadata, content);
+            if (annotations.length > 0) {
+                message.annotations = annotations;
+                this.logger.info(
+                    `[Adapter] Mapped Gemini grounding metadata to ${annotations.length} OpenAI annotation(s)`
+                );
+            }
+        }
         if (reasoning_content) {
             message.reasoning_content = reasoning_content;
         }
         if (tool_calls.length > 0) {
             message.tool_calls = tool_calls;
         }
+        if (code_executions.length > 0) {
+            message.code_executions = code_executions;
+        }
 
         // Determine finish_reason
         let finishReason;
@@ -1062,6 +1391,9 @@ class FormatConverter {
                     finish_reason: finishReason,
                     index: 0,
                     message,
+                    ...(safetyBlock && {
+                        content_filter_results: this._toOpenAIContentFilterResults(safetyBlock),
+                    }),
                 },
             ],
             created: Math.floor(Date.now() / 1000),
@@ -1079,8 +1411,10 @@ class FormatConverter {
      */
     _mapFinishReason(geminiReason) {
         const reasonMap = {
+            blocklist: "content_filter",
             max_tokens: "length",
             other: "stop",
+            prohibited_content: "content_filter",
             recitation: "stop",
             safety: "content_filter",
             stop: "stop",
@@ -1092,6 +1426,53 @@ class FormatConverter {
         return `${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
     }
 
+    /**
+     * Detect a response blocked by Gemini's safety filters, either the candidate or the whole prompt
+     * @param {object} googleResponse - Gemini response or stream chunk
+     * @returns {{ ratings: Array<{blocked: boolean, category: string, probability: string}>, reason: string }|null}
+     */
+    _getSafetyBlock(googleResponse) {
+        const candidate = googleResponse.candidates?.[0];
+        let reason, ratings;
+        if (candidate && ["BLOCKLIST", "PROHIBITED_CONTENT", "SAFETY"].includes(candidate.finishReason)) {
+            reason = candidate.finishReason;
+            ratings = candidate.safetyRatings;
+        } else if (!candidate && googleResponse.promptFeedback?.blockReason) {
+            reason = googleResponse.promptFeedback.blockReason;
+            ratings = googleResponse.promptFeedback.safetyRatings;
+        } else {
+            return null;
+        }
+
+        return {
+            ratings: (ratings || []).map(rating => ({
+                blocked: rating.blocked === true,
+                category: (rating.category || "").replace(/^HARM_CATEGORY_/, "").toLowerCase(),
+                probability: (rating.probability || "").toLowerCase(),
+            })),
+            reason,
+        };
+    }
+
+    /**
+     * Convert a safety block to Azure OpenAI style content_filter_results. Blocks without per-category
+     * ratings (PROHIBITED_CONTENT, BLOCKLIST) are reported under their own lowercase reason.
+     */
+    _toOpenAIContentFilterResults(safetyBlock) {
+        const severityMap = { high: "high", low: "low", medium: "medium", negligible: "safe" };
+        const results = {};
+        for (const rating of safetyBlock.ratings) {
+            results[rating.category] = {
+                filtered: rating.blocked,
+                severity: severityMap[rating.probability] || rating.probability,
+            };
+        }
+        if (safetyBlock.reason !== "SAFETY" || !safetyBlock.ratings.some(rating => rating.blocked)) {
+            results[safetyBlock.reason.toLowerCase()] = { filtered: true };
+        }
+        return results;
+    }
+
     _parseUsage(googleResponse) {
         const usage = googleResponse.usageMetadata || {};
 
@@ -1130,84 +1511,955 @@ class FormatConverter {
         };
     }
 
-    // ==================== Claude API Format Conversion ====================
+    /**
+     * Resolve Gemini groundingMetadata into search queries, sources and cited spans of the response text.
+     * Segment offsets are UTF-8 byte offsets, they are converted to character offsets and checked against
+     * segment.text, falling back to a text search when they do not line up (e.g. around inline images).
+     * @param {Object} groundingMetadata - candidate.groundingMetadata from Gemini
+     * @param {string} text - Full non-thought text of the candidate
+     * @returns {{citations: Array<{citedText: string, end: number, sources: Array, start: number}>, queries: string[], sources: Array<{title: string, url: string}>}}
+     */
+    _parseGroundingMetadata(groundingMetadata, text = "") {
+        // Keep the chunk positions intact, groundingChunkIndices refer to them
+        const chunkSources = (groundingMetadata?.groundingChunks || []).map(chunk => {
+            const web = chunk.web || chunk.retrievedContext;
+            return web?.uri ? { title: web.title || web.uri, url: web.uri } : null;
+        });
+
+        const textBuffer = Buffer.from(text, "utf8");
+        const citations = [];
+        for (const support of groundingMetadata?.groundingSupports || []) {
+            const segment = support.segment || {};
+            const sources = (support.groundingChunkIndices || []).map(i => chunkSources[i]).filter(Boolean);
+            if (sources.length === 0) continue;
+
+            let start = textBuffer.subarray(0, segment.startIndex || 0).toString("utf8").length;
+            let end = textBuffer.subarray(0, segment.endIndex ?? textBuffer.length).toString("utf8").length;
+            if (segment.text && text.slice(start, end) !== segment.text) {
+                const found = text.indexOf(segment.text);
+                if (found === -1) continue;
+                start = found;
+                end = found + segment.text.length;
+            }
+            if (end <= start) continue;
+
+            citations.push({ citedText: text.slice(start, end), end, sources, start });
+        }
+
+        const sources = [];
+        for (const source of chunkSources) {
+            if (source && !sources.some(s => s.url === source.url)) sources.push(source);
+        }
+
+        return { citations, queries: groundingMetadata?.webSearchQueries || [], sources };
+    }
 
     /**
-     * Convert Claude API request format to Google Gemini format
-     * @param {object} claudeBody - Claude API format request body
-     * @returns {Promise<{ googleRequest: object, cleanModelName: string }>} - Converted request and cleaned model name
+     * Convert Gemini groundingMetadata to OpenAI url_citation annotations
      */
-    async translateClaudeToGoogle(claudeBody) {
-        this.logger.info("[Adapter] Starting translation of Claude request format to Google format...");
+    _buildOpenAIAnnotations(groundingMetadata, text) {
+        const { citations } = this._parseGroundingMetadata(groundingMetadata, text);
+        return citations.flatMap(citation =>
+            citation.sources.map(source => ({
+                type: "url_citation",
+                url_citation: {
+                    end_index: citation.end,
+                    start_index: citation.start,
+                    title: source.title,
+                    url: source.url,
+                },
+            }))
+        );
+    }
 
-        // Parse thinkingLevel suffix from model name
-        const rawModel = claudeBody.model || "gemini-2.5-flash-lite";
-        const { cleanModelName, thinkingLevel: modelThinkingLevel } = FormatConverter.parseModelThinkingLevel(rawModel);
+    /**
+     * Convert a Gemini executableCode part to the OpenAI code_executions extension field
+     */
+    _toOpenAICodeExecution(executableCode) {
+        return {
+            code: executableCode.code || "",
+            language: (executableCode.language || "PYTHON").toLowerCase(),
+        };
+    }
 
-        if (modelThinkingLevel) {
-            this.logger.info(
-                `[Adapter] Detected thinkingLevel suffix in model name: "${rawModel}" -> model="${cleanModelName}", thinkingLevel="${modelThinkingLevel}"`
-            );
+    /**
+     * Convert a Gemini codeExecutionResult part to the OpenAI code_executions extension field
+     * Outcomes are reported as "ok", "failed" or "deadline_exceeded"
+     */
+    _toOpenAICodeExecutionResult(codeExecutionResult) {
+        return {
+            outcome: (codeExecutionResult.outcome || "OUTCOME_UNSPECIFIED").replace(/^OUTCOME_/, "").toLowerCase(),
+            output: codeExecutionResult.output || "",
+        };
+    }
+
+    // ==================== OpenAI Responses API Format Conversion ====================
+
+    /**
+     * Convert OpenAI Responses API request format to Google Gemini format
+     * The Responses body is first mapped onto an equivalent Chat Completions body so that
+     * message, tool and schema handling stays shared with translateOpenAIToGoogle.
+     * @param {object} responsesBody - OpenAI Responses API format request body
+     * @returns {Promise<{ googleRequest: object, cleanModelName: string }>} - Converted request and cleaned model name
+     */
+    async translateOpenAIResponsesToGoogle(responsesBody) {
+        this.logger.info("[Adapter] Starting translation of OpenAI Responses request to Chat Completions format...");
+
+        const messages = [];
+        if (responsesBody.instructions) {
+            messages.push({ content: responsesBody.instructions, role: "system" });
         }
 
-        // [DEBUG] Log incoming messages
-        this.logger.debug(`[Adapter] Debug: incoming Claude Body = ${JSON.stringify(claudeBody, null, 2)}`);
+        const convertContent = content => {
+            if (typeof content === "string") return content;
+            if (!Array.isArray(content)) return "";
+            const parts = [];
+            for (const part of content) {
+                if (part.type === "input_text" || part.type === "output_text" || part.type === "text") {
+                    parts.push({ text: part.text, type: "text" });
+                } else if (part.type === "input_image") {
+                    if (part.image_url) parts.push({ image_url: { url: part.image_url }, type: "image_url" });
+                } else if (part.type === "refusal") {
+                    parts.push({ text: part.refusal, type: "text" });
+                } else {
+                    this.logger.warn(`[Adapter] Unsupported Responses content part type: ${part.type}. Ignoring.`);
+                }
+            }
+            return parts;
+        };
 
-        let systemInstruction = null;
-        const googleContents = [];
+        const input = typeof responsesBody.input === "string" ? [{ content: responsesBody.input, role: "user" }] : [];
+        if (Array.isArray(responsesBody.input)) input.push(...responsesBody.input);
+
+        // Tool results only carry call_id, the function name is looked up from the matching call
+        const callNames = new Map();
+        for (const item of input) {
+            if (item.type === "function_call") {
+                const toolCall = {
+                    function: { arguments: item.arguments || "{}", name: item.name },
+                    id: item.call_id,
+                    type: "function",
+                };
+                callNames.set(item.call_id, item.name);
 
-        // Pre-scan messages to build a map of tool_use_id -> function_name
-        // This is required because Gemini's functionResponse needs the original function name,
-        // but Claude's tool_result only provides the tool_use_id.
-        const toolIdToNameMap = new Map();
-        if (claudeBody.messages && Array.isArray(claudeBody.messages)) {
-            for (const message of claudeBody.messages) {
-                if (message.role === "assistant" && Array.isArray(message.content)) {
-                    for (const block of message.content) {
-                        if (block.type === "tool_use" && block.id && block.name) {
-                            toolIdToNameMap.set(block.id, block.name);
-                        }
-                    }
+                // Consecutive function calls belong to the same assistant turn
+                const lastMessage = messages[messages.length - 1];
+                if (lastMessage && lastMessage.role === "assistant" && lastMessage.tool_calls) {
+                    lastMessage.tool_calls.push(toolCall);
+                } else {
+                    messages.push({ content: null, role: "assistant", tool_calls: [toolCall] });
                 }
+            } else if (item.type === "function_call_output") {
+                messages.push({
+                    content: typeof item.output === "string" ? item.output : JSON.stringify(item.output),
+                    name: callNames.get(item.call_id),
+                    role: "tool",
+                    tool_call_id: item.call_id,
+                });
+            } else if (item.type === "reasoning") {
+                // Reasoning summaries are model output only, Gemini cannot take them back as input
+                continue;
+            } else if (item.type === "message" || (!item.type && item.role)) {
+                const role = item.role === "developer" ? "system" : item.role;
+                messages.push({ content: convertContent(item.content), role });
+            } else {
+                this.logger.warn(`[Adapter] Unsupported Responses input item type: ${item.type}. Ignoring.`);
             }
         }
 
-        // Extract system message (Claude uses a separate 'system' field)
-        if (claudeBody.system) {
-            const systemContent = Array.isArray(claudeBody.system)
-                ? claudeBody.system.map(block => (typeof block === "string" ? block : block.text || "")).join("\n")
-                : claudeBody.system;
-            systemInstruction = {
-                parts: [{ text: systemContent }],
-                role: "system",
+        const tools = [];
+        for (const tool of responsesBody.tools || []) {
+            if (tool.type === "function") {
+                tools.push({
+                    function: { description: tool.description, name: tool.name, parameters: tool.parameters },
+                    type: "function",
+                });
+            } else {
+                this.logger.warn(`[Adapter] Unsupported Responses tool type: ${tool.type}. Ignoring.`);
+            }
+        }
+
+        let toolChoice = responsesBody.tool_choice;
+        if (toolChoice && typeof toolChoice === "object" && toolChoice.type === "function") {
+            toolChoice = { function: { name: toolChoice.name }, type: "function" };
+        }
+
+        let responseFormat;
+        const textFormat = responsesBody.text?.format;
+        if (textFormat?.type === "json_schema") {
+            responseFormat = {
+                json_schema: { name: textFormat.name, schema: textFormat.schema, strict: textFormat.strict },
+                type: "json_schema",
             };
+        } else if (textFormat?.type === "json_object") {
+            responseFormat = { type: "json_object" };
         }
 
-        // Buffer for accumulating consecutive tool result parts
-        let pendingToolParts = [];
+        const chatBody = {
+            max_tokens: responsesBody.max_output_tokens,
+            messages,
+            model: responsesBody.model,
+            reasoning_effort: responsesBody.reasoning?.effort,
+            response_format: responseFormat,
+            temperature: responsesBody.temperature,
+            tool_choice: toolChoice,
+            tools: tools.length > 0 ? tools : undefined,
+            top_p: responsesBody.top_p,
+        };
 
-        const flushToolParts = () => {
-            if (pendingToolParts.length > 0) {
-                googleContents.push({
-                    parts: pendingToolParts,
-                    role: "user",
+        return this.translateOpenAIToGoogle(chatBody);
+    }
+
+    _parseResponsesUsage(googleResponse) {
+        const usage = this._parseUsage(googleResponse);
+        return {
+            input_tokens: usage.prompt_tokens,
+            input_tokens_details: {
+                cached_tokens: googleResponse.usageMetadata?.cachedContentTokenCount || 0,
+            },
+            output_tokens: usage.completion_tokens,
+            output_tokens_details: {
+                reasoning_tokens: usage.completion_tokens_details.reasoning_tokens,
+            },
+            total_tokens: usage.total_tokens,
+        };
+    }
+
+    _buildResponsesObject(responseId, createdAt, modelName, status, output = [], usage = null) {
+        return {
+            created_at: createdAt,
+            error: null,
+            id: responseId,
+            incomplete_details: status === "incomplete" ? { reason: "max_output_tokens" } : null,
+            model: modelName,
+            object: "response",
+            output,
+            parallel_tool_calls: true,
+            status,
+            usage,
+        };
+    }
+
+    /**
+     * Convert Google non-stream response to OpenAI Responses API format
+     */
+    convertGoogleToOpenAIResponsesNonStream(googleResponse, modelName = "gemini-2.5-flash-lite") {
+        const candidate = googleResponse.candidates?.[0];
+        const output = [];
+        let reasoningText = "";
+        let outputText = "";
+
+        if (!candidate) {
+            this.logger.warn("[Adapter] No candidate found in Google response");
+        }
+
+        for (const part of candidate?.content?.parts || []) {
+            if (part.thought === true) {
+                reasoningText += part.text || "";
+            } else if (part.text) {
+                outputText += part.text;
+            } else if (part.inlineData) {
+                const image = part.inlineData;
+                outputText += `![Generated Image](data:${image.mimeType};base64,${image.data})`;
+            } else if (part.functionCall) {
+                const callId = `call_${this._generateRequestId()}`;
+                this.thoughtSignatures.set(callId, part.thoughtSignature);
+                output.push({
+                    arguments: JSON.stringify(part.functionCall.args || {}),
+                    call_id: callId,
+                    id: `fc_${this._generateRequestId()}`,
+                    name: part.functionCall.name,
+                    status: "completed",
+                    type: "function_call",
                 });
-                pendingToolParts = [];
+                this.logger.info(
+                    `[Adapter] Converted Gemini functionCall to Responses function_call: ${part.functionCall.name}`
+                );
             }
-        };
+        }
 
-        // Convert Claude messages to Google format
-        for (const message of claudeBody.messages) {
-            const googleParts = [];
+        if (outputText || output.length === 0) {
+            output.unshift({
+                content: [{ annotations: [], text: outputText, type: "output_text" }],
+                id: `msg_${this._generateRequestId()}`,
+                role: "assistant",
+                status: "completed",
+                type: "message",
+            });
+        }
+        if (reasoningText) {
+            output.unshift({
+                id: `rs_${this._generateRequestId()}`,
+                summary: [{ text: reasoningText, type: "summary_text" }],
+                type: "reasoning",
+            });
+        }
 
-            // Handle tool_result role (Claude's function response)
-            if (message.role === "user" && Array.isArray(message.content)) {
-                const toolResults = message.content.filter(block => block.type === "tool_result");
-                if (toolResults.length > 0) {
-                    for (const toolResult of toolResults) {
-                        let responseContent;
-                        if (typeof toolResult.content === "string") {
-                            try {
+        const status = candidate?.finishReason === "MAX_TOKENS" ? "incomplete" : "completed";
+        return this._buildResponsesObject(
+            `resp_${this._generateRequestId()}`,
+            Math.floor(Date.now() / 1000),
+            modelName,
+            status,
+            output,
+            this._parseResponsesUsage(googleResponse)
+        );
+    }
+
+    /**
+     * Convert Google streaming response chunk to OpenAI Responses API semantic SSE events
+     * @param {string} googleChunk - The Google response chunk
+     * @param {string} modelName - The model name
+     * @param {object} streamState - State object tracking open output items across chunks
+     * @returns {string|null} - SSE events to write, or null if nothing to send
+     */
+    translateGoogleToOpenAIResponsesStream(googleChunk, modelName = "gemini-2.5-flash-lite", streamState = {}) {
+        this.logger.debug(`[Adapter] Debug: Received Google chunk for OpenAI Responses: ${googleChunk}`);
+
+        if (!googleChunk || googleChunk.trim() === "") {
+            return null;
+        }
+
+        let jsonString = googleChunk;
+        if (jsonString.startsWith("data: ")) {
+            jsonString = jsonString.substring(6).trim();
+        }
+
+        let googleResponse;
+        try {
+            googleResponse = JSON.parse(jsonString);
+        } catch (e) {
+            this.logger.warn(`[Adapter] Unable to parse Google JSON chunk for OpenAI Responses: ${jsonString}`);
+            return null;
+        }
+
+        if (streamState.finished) return null;
+
+        const events = [];
+        this._ensureResponsesStreamStarted(streamState, modelName, events);
+
+        if (googleResponse.usageMetadata) {
+            streamState.usage = this._parseResponsesUsage(googleResponse);
+            streamState.usageMetadata = googleResponse.usageMetadata;
+        }
+
+        const candidate = googleResponse.candidates?.[0];
+        if (!candidate && googleResponse.promptFeedback) {
+            this.logger.warn(
+                `[Adapter] Google returned promptFeedback for OpenAI Responses stream, may have been blocked: ${JSON.stringify(
+                    googleResponse.promptFeedback
+                )}`
+            );
+            this._appendResponsesText(
+                streamState,
+                `[ProxySystem Error] Request blocked due to safety settings. Finish Reason: ${googleResponse.promptFeedback.blockReason}`,
+                events
+            );
+            this._finishResponsesStream(streamState, "completed", events);
+            return this._formatResponsesEvents(events);
+        }
+
+        for (const part of candidate?.content?.parts || []) {
+            if (part.thought === true) {
+                if (part.text) this._appendResponsesReasoning(streamState, part.text, events);
+            } else if (part.text) {
+                this._appendResponsesText(streamState, part.text, events);
+            } else if (part.inlineData) {
+                const image = part.inlineData;
+                this._appendResponsesText(
+                    streamState,
+                    `![Generated Image](data:${image.mimeType};base64,${image.data})`,
+                    events
+                );
+                this.logger.info("[Adapter] Successfully parsed image from streaming response chunk.");
+            } else if (part.functionCall) {
+                this._appendResponsesFunctionCall(streamState, part, events);
+            }
+        }
+
+        if (candidate?.finishReason) {
+            const status = candidate.finishReason === "MAX_TOKENS" ? "incomplete" : "completed";
+            this._finishResponsesStream(streamState, status, events);
+        }
+
+        return this._formatResponsesEvents(events);
+    }
+
+    /**
+     * Close an OpenAI Responses stream that ended without a finishReason
+     * @param {object} streamState - State object used by translateGoogleToOpenAIResponsesStream
+     * @param {string} modelName - The model name
+     * @returns {string|null} - Closing SSE events, or null if the stream was already finished
+     */
+    finishOpenAIResponsesStream(streamState, modelName = "gemini-2.5-flash-lite") {
+        if (streamState.finished) return null;
+        const events = [];
+        this._ensureResponsesStreamStarted(streamState, modelName, events);
+        this._finishResponsesStream(streamState, "completed", events);
+        return this._formatResponsesEvents(events);
+    }
+
+    _formatResponsesEvents(events) {
+        return events.length > 0 ? events.join("") : null;
+    }
+
+    _pushResponsesEvent(streamState, events, type, payload) {
+        // Serialize immediately, items keep changing after their "added" event
+        const event = { ...payload, sequence_number: streamState.sequenceNumber++, type };
+        events.push(`event: ${type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+
+    _ensureResponsesStreamStarted(streamState, modelName, events) {
+        if (streamState.id) return;
+        streamState.id = `resp_${this._generateRequestId()}`;
+        streamState.createdAt = Math.floor(Date.now() / 1000);
+        streamState.model = modelName;
+        streamState.output = [];
+        streamState.sequenceNumber = 0;
+        streamState.openItem = null;
+
+        const response = this._buildResponsesObject(streamState.id, streamState.createdAt, modelName, "in_progress");
+        this._pushResponsesEvent(streamState, events, "response.created", { response });
+        this._pushResponsesEvent(streamState, events, "response.in_progress", { response });
+    }
+
+    _closeResponsesOpenItem(streamState, events) {
+        const item = streamState.openItem;
+        if (!item) return;
+        const outputIndex = streamState.output.length - 1;
+
+        if (item.type === "reasoning") {
+            const part = item.summary[0];
+            this._pushResponsesEvent(streamState, events, "response.reasoning_summary_text.done", {
+                item_id: item.id,
+                output_index: outputIndex,
+                summary_index: 0,
+                text: part.text,
+            });
+            this._pushResponsesEvent(streamState, events, "response.reasoning_summary_part.done", {
+                item_id: item.id,
+                output_index: outputIndex,
+                part,
+                summary_index: 0,
+            });
+        } else if (item.type === "message") {
+            item.status = "completed";
+            const part = item.content[0];
+            this._pushResponsesEvent(streamState, events, "response.output_text.done", {
+                content_index: 0,
+                item_id: item.id,
+                output_index: outputIndex,
+                text: part.text,
+            });
+            this._pushResponsesEvent(streamState, events, "response.content_part.done", {
+                content_index: 0,
+                item_id: item.id,
+                output_index: outputIndex,
+                part,
+            });
+        }
+
+        this._pushResponsesEvent(streamState, events, "response.output_item.done", { item, output_index: outputIndex });
+        streamState.openItem = null;
+    }
+
+    _openResponsesItem(streamState, item, events) {
+        this._closeResponsesOpenItem(streamState, events);
+        streamState.output.push(item);
+        streamState.openItem = item;
+        this._pushResponsesEvent(streamState, events, "response.output_item.added", {
+            item,
+            output_index: streamState.output.length - 1,
+        });
+    }
+
+    _appendResponsesReasoning(streamState, text, events) {
+        let item = streamState.openItem;
+        if (!item || item.type !== "reasoning") {
+            item = { id: `rs_${this._generateRequestId()}`, summary: [], type: "reasoning" };
+            this._openResponsesItem(streamState, item, events);
+            const part = { text: "", type: "summary_text" };
+            item.summary.push(part);
+            this._pushResponsesEvent(streamState, events, "response.reasoning_summary_part.added", {
+                item_id: item.id,
+                output_index: streamState.output.length - 1,
+                part,
+                summary_index: 0,
+            });
+        }
+        item.summary[0].text += text;
+        this._pushResponsesEvent(streamState, events, "response.reasoning_summary_text.delta", {
+            delta: text,
+            item_id: item.id,
+            output_index: streamState.output.length - 1,
+            summary_index: 0,
+        });
+    }
+
+    _appendResponsesText(streamState, text, events) {
+        let item = streamState.openItem;
+        if (!item || item.type !== "message") {
+            item = {
+                content: [],
+                id: `msg_${this._generateRequestId()}`,
+                role: "assistant",
+                status: "in_progress",
+                type: "message",
+            };
+            this._openResponsesItem(streamState, item, events);
+            const part = { annotations: [], text: "", type: "output_text" };
+            item.content.push(part);
+            this._pushResponsesEvent(streamState, events, "response.content_part.added", {
+                content_index: 0,
+                item_id: item.id,
+                output_index: streamState.output.length - 1,
+                part,
+            });
+        }
+        item.content[0].text += text;
+        this._pushResponsesEvent(streamState, events, "response.output_text.delta", {
+            content_index: 0,
+            delta: text,
+            item_id: item.id,
+            output_index: streamState.output.length - 1,
+        });
+    }
+
+    _appendResponsesFunctionCall(streamState, part, events) {
+        const functionCall = part.functionCall;
+        const args = JSON.stringify(functionCall.args || {});
+        const item = {
+            arguments: "",
+            call_id: `call_${this._generateRequestId()}`,
+            id: `fc_${this._generateRequestId()}`,
+            name: functionCall.name,
+            status: "in_progress",
+            type: "function_call",
+        };
+        this.thoughtSignatures.set(item.call_id, part.thoughtSignature);
+        this._openResponsesItem(streamState, item, events);
+        const outputIndex = streamState.output.length - 1;
+
+        // Gemini delivers complete arguments in one part, so they are sent as a single delta
+        this._pushResponsesEvent(streamState, events, "response.function_call_arguments.delta", {
+            delta: args,
+            item_id: item.id,
+            output_index: outputIndex,
+        });
+        item.arguments = args;
+        item.status = "completed";
+        this._pushResponsesEvent(streamState, events, "response.function_call_arguments.done", {
+            arguments: args,
+            item_id: item.id,
+            output_index: outputIndex,
+        });
+        this._closeResponsesOpenItem(streamState, events);
+        this.logger.info(`[Adapter] Converted Gemini functionCall to Responses function_call: ${functionCall.name}`);
+    }
+
+    _finishResponsesStream(streamState, status, events) {
+        if (streamState.finished) return;
+        this._closeResponsesOpenItem(streamState, events);
+        streamState.finished = true;
+
+        const response = this._buildResponsesObject(
+            streamState.id,
+            streamState.createdAt,
+            streamState.model,
+            status,
+            streamState.output,
+            streamState.usage || null
+        );
+        const eventType = status === "incomplete" ? "response.incomplete" : "response.completed";
+        this._pushResponsesEvent(streamState, events, eventType, { response });
+    }
+
+    // ==================== OpenAI Embeddings Format Conversion ====================
+
+    // Gemini rejects batchEmbedContents calls with more requests than this
+    static GEMINI_EMBED_BATCH_LIMIT = 100;
+
+    /**
+     * Convert OpenAI embeddings request format to Gemini batchEmbedContents format
+     * Single inputs also go through batchEmbedContents, embedContent is not served through the browser proxy.
+     * Token array inputs are decoded back to text with OpenAI's cl100k_base tokenizer, Gemini only embeds text.
+     * Inputs are split into batchEmbedContents calls of at most GEMINI_EMBED_BATCH_LIMIT requests, in input order.
+     * @param {object} openaiBody - OpenAI embeddings request body
+     * @returns {{ googleRequests: object[], cleanModelName: string }} - Converted requests and cleaned model name
+     */
+    translateOpenAIEmbeddingsToGoogle(openaiBody) {
+        const rawModel = openaiBody.model || "gemini-embedding-001";
+        const cleanModelName = rawModel.replace(/^models\//, "");
+        const isTokenArray = value =>
+            Array.isArray(value) &&
+            value.length > 0 &&
+            value.every(token => Number.isInteger(token) && token >= 0 && token < CL100K_VOCABULARY_SIZE);
+        // A flat number array is one tokenized input, any other array holds one input per entry
+        const inputs =
+            isTokenArray(openaiBody.input) || !Array.isArray(openaiBody.input) ? [openaiBody.input] : openaiBody.input;
+
+        if (
+            inputs.length === 0 ||
+            inputs.some(input => !(typeof input === "string" && input.length > 0) && !isTokenArray(input))
+        ) {
+            throw new Error(
+                "input must be a non-empty string, array of non-empty strings, token array or array of token arrays"
+            );
+        }
+
+        const requests = inputs.map(input => {
+            const text = typeof input === "string" ? input : decodeOpenAITokens(input);
+            const request = {
+                content: { parts: [{ text }] },
+                model: `models/${cleanModelName}`,
+            };
+            if (openaiBody.dimensions) {
+                request.outputDimensionality = openaiBody.dimensions;
+            }
+            return request;
+        });
+
+        const googleRequests = [];
+        for (let i = 0; i < requests.length; i += FormatConverter.GEMINI_EMBED_BATCH_LIMIT) {
+            googleRequests.push({ requests: requests.slice(i, i + FormatConverter.GEMINI_EMBED_BATCH_LIMIT) });
+        }
+
+        this.logger.info(
+            `[Adapter] Converted ${requests.length} OpenAI embedding input(s) to Gemini format in ${googleRequests.length} call(s)`
+        );
+        return { cleanModelName, googleRequests };
+    }
+
+    /**
+     * Convert Gemini batchEmbedContents response to OpenAI embeddings format
+     * @param {object} googleResponse - Gemini batchEmbedContents response
+     * @param {string} modelName - The model name
+     * @param {string} encodingFormat - "float" or "base64"
+     */
+    convertGoogleToOpenAIEmbeddings(googleResponse, modelName, encodingFormat = "float") {
+        const data = (googleResponse.embeddings || []).map((embedding, index) => {
+            const values = embedding.values || [];
+            return {
+                embedding:
+                    encodingFormat === "base64"
+                        ? Buffer.from(new Float32Array(values).buffer).toString("base64")
+                        : values,
+                index,
+                object: "embedding",
+            };
+        });
+
+        const promptTokens = googleResponse.usageMetadata?.promptTokenCount || 0;
+        return {
+            data,
+            model: modelName,
+            object: "list",
+            usage: {
+                prompt_tokens: promptTokens,
+                total_tokens: promptTokens,
+            },
+        };
+    }
+
+    // ==================== OpenAI Images Format Conversion ====================
+
+    static GEMINI_IMAGE_ASPECT_RATIOS = ["1:1", "2:3", "3:2", "3:4", "4:3", "4:5", "5:4", "9:16", "16:9", "21:9"];
+    static IMAGEN_ASPECT_RATIOS = ["1:1", "3:4", "4:3", "9:16", "16:9"];
+
+    /**
+     * Map an OpenAI size (e.g. "1792x1024") to the closest supported aspect ratio
+     * @param {string} size - OpenAI size string
+     * @param {string[]} supportedRatios - Aspect ratios accepted by the target model
+     * @returns {string|null} - Aspect ratio, or null for "auto"/unparseable sizes
+     */
+    _mapSizeToAspectRatio(size, supportedRatios) {
+        const match = typeof size === "string" ? size.match(/^(\d+)x(\d+)$/) : null;
+        if (!match) return null;
+
+        const target = parseInt(match[1], 10) / parseInt(match[2], 10);
+        let closest = null;
+        let closestDiff = Infinity;
+        for (const ratio of supportedRatios) {
+            const [w, h] = ratio.split(":").map(Number);
+            const diff = Math.abs(Math.log(w / h / target));
+            if (diff < closestDiff) {
+                closest = ratio;
+                closestDiff = diff;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Convert OpenAI Images request format to Gemini (generateContent) or Imagen (predict) format
+     * Gemini image models return one image per call, so callers repeat the request `n` times;
+     * Imagen models take `n` directly as sampleCount.
+     * @param {object} openaiBody - OpenAI images generations/edits parameters
+     * @param {Array<{data: Buffer, mimeType: string}>} [inputImages] - Source images (and mask) for edits
+     * @returns {{ googleRequest: object, cleanModelName: string, isImagen: boolean }}
+     */
+    translateOpenAIImagesToGoogle(openaiBody, inputImages = []) {
+        const cleanModelName = (openaiBody.model || "gemini-2.5-flash-image").replace(/^models\//, "");
+        const isImagen = cleanModelName.startsWith("imagen");
+
+        if (!openaiBody.prompt || typeof openaiBody.prompt !== "string") {
+            throw new Error("prompt is required");
+        }
+
+        if (isImagen) {
+            if (inputImages.length > 0) {
+                throw new Error(`Model ${cleanModelName} does not support image edits, use a Gemini image model`);
+            }
+            // Imagen accepts at most 4 samples per call
+            const parameters = { sampleCount: Math.min(Math.max(1, parseInt(openaiBody.n, 10) || 1), 4) };
+            const aspectRatio = this._mapSizeToAspectRatio(openaiBody.size, FormatConverter.IMAGEN_ASPECT_RATIOS);
+            if (aspectRatio) parameters.aspectRatio = aspectRatio;
+
+            this.logger.info(`[Adapter] Converted OpenAI images request to Imagen predict format`);
+            return {
+                cleanModelName,
+                googleRequest: { instances: [{ prompt: openaiBody.prompt }], parameters },
+                isImagen,
+            };
+        }
+
+        const parts = inputImages.map(image => ({
+            inlineData: { data: image.data.toString("base64"), mimeType: image.mimeType },
+        }));
+        parts.push({ text: openaiBody.prompt });
+
+        const generationConfig = { responseModalities: ["TEXT", "IMAGE"] };
+        const aspectRatio = this._mapSizeToAspectRatio(openaiBody.size, FormatConverter.GEMINI_IMAGE_ASPECT_RATIOS);
+        if (aspectRatio) generationConfig.imageConfig = { aspectRatio };
+
+        const googleRequest = { contents: [{ parts, role: "user" }], generationConfig };
+        // Forced search/URL tools are not supported by image models
+        this._finalizeGoogleRequest(googleRequest, false);
+
+        this.logger.info(
+            `[Adapter] Converted OpenAI images request to Gemini format (${inputImages.length} input image(s))`
+        );
+        return { cleanModelName, googleRequest, isImagen };
+    }
+
+    /**
+     * Extract generated images from a Gemini generateContent or Imagen predict response
+     * @param {object} googleResponse - Gemini or Imagen response
+     * @returns {Array<{ data: string, mimeType: string, revisedPrompt?: string }>}
+     */
+    extractGoogleImages(googleResponse) {
+        if (Array.isArray(googleResponse.predictions)) {
+            return googleResponse.predictions
+                .filter(prediction => prediction.bytesBase64Encoded)
+                .map(prediction => ({
+                    data: prediction.bytesBase64Encoded,
+                    mimeType: prediction.mimeType || "image/png",
+                }));
+        }
+
+        const parts = googleResponse.candidates?.[0]?.content?.parts || [];
+        const text = parts
+            .filter(part => part.text && part.thought !== true)
+            .map(part => part.text)
+            .join("");
+        return parts
+            .filter(part => part.inlineData)
+            .map(part => ({
+                data: part.inlineData.data,
+                mimeType: part.inlineData.mimeType,
+                ...(text && { revisedPrompt: text }),
+            }));
+    }
+
+    // ==================== OpenAI Audio Speech Format Conversion ====================
+
+    // OpenAI voice name -> Gemini prebuilt voice with a similar character
+    static OPENAI_VOICE_MAP = {
+        alloy: "Kore",
+        ash: "Charon",
+        ballad: "Algieba",
+        coral: "Aoede",
+        echo: "Puck",
+        fable: "Fenrir",
+        nova: "Leda",
+        onyx: "Orus",
+        sage: "Zephyr",
+        shimmer: "Callirrhoe",
+        verse: "Enceladus",
+    };
+
+    static GEMINI_PREBUILT_VOICES = [
+        "Achernar",
+        "Achird",
+        "Algenib",
+        "Algieba",
+        "Alnilam",
+        "Aoede",
+        "Autonoe",
+        "Callirrhoe",
+        "Charon",
+        "Despina",
+        "Enceladus",
+        "Erinome",
+        "Fenrir",
+        "Gacrux",
+        "Iapetus",
+        "Kore",
+        "Laomedeia",
+        "Leda",
+        "Orus",
+        "Puck",
+        "Pulcherrima",
+        "Rasalgethi",
+        "Sadachbia",
+        "Sadaltager",
+        "Schedar",
+        "Sulafat",
+        "Umbriel",
+        "Vindemiatrix",
+        "Zephyr",
+        "Zubenelgenubi",
+    ];
+
+    /**
+     * Convert OpenAI audio speech request format to a Gemini TTS request
+     * OpenAI model names (tts-1, tts-1-hd, gpt-4o-mini-tts) are mapped onto the Gemini TTS models.
+     * @param {object} openaiBody - OpenAI audio speech request body
+     * @returns {{ googleRequest: object, cleanModelName: string }}
+     */
+    translateOpenAISpeechToGoogle(openaiBody) {
+        if (!openaiBody.input || typeof openaiBody.input !== "string") {
+            throw new Error("input is required");
+        }
+
+        const rawModel = (openaiBody.model || "").replace(/^models\//, "");
+        let cleanModelName = rawModel;
+        if (!rawModel.startsWith("gemini")) {
+            cleanModelName = rawModel.endsWith("-hd") ? "gemini-2.5-pro-preview-tts" : "gemini-2.5-flash-preview-tts";
+        }
+
+        const requestedVoice = String(openaiBody.voice || "alloy");
+        const voiceName =
+            FormatConverter.GEMINI_PREBUILT_VOICES.find(v => v.toLowerCase() === requestedVoice.toLowerCase()) ||
+            FormatConverter.OPENAI_VOICE_MAP[requestedVoice.toLowerCase()];
+        if (!voiceName) {
+            throw new Error(`Unknown voice: ${requestedVoice}`);
+        }
+
+        // Gemini TTS takes style directions as part of the spoken prompt
+        const text = openaiBody.instructions ? `${openaiBody.instructions}: ${openaiBody.input}` : openaiBody.input;
+
+        this.logger.info(`[Adapter] Converted OpenAI speech request to Gemini TTS (voice: ${voiceName})`);
+        return {
+            cleanModelName,
+            googleRequest: {
+                contents: [{ parts: [{ text }], role: "user" }],
+                generationConfig: {
+                    responseModalities: ["AUDIO"],
+                    speechConfig: {
+                        voiceConfig: { prebuiltVoiceConfig: { voiceName } },
+                    },
+                },
+            },
+        };
+    }
+
+    /**
+     * Extract the PCM audio returned by a Gemini TTS response
+     * @param {object} googleResponse - Gemini generateContent response
+     * @returns {{ data: Buffer, mimeType: string }|null}
+     */
+    extractGoogleAudio(googleResponse) {
+        const parts = googleResponse.candidates?.[0]?.content?.parts || [];
+        const audioParts = parts.filter(part => part.inlineData?.mimeType?.startsWith("audio/"));
+        if (audioParts.length === 0) return null;
+        return {
+            data: Buffer.concat(audioParts.map(part => Buffer.from(part.inlineData.data, "base64"))),
+            mimeType: audioParts[0].inlineData.mimeType,
+        };
+    }
+
+    // ==================== Claude API Format Conversion ====================
+
+    /**
+     * Convert Claude API request format to Google Gemini format
+     * @param {object} claudeBody - Claude API format request body
+     * @returns {Promise<{ googleRequest: object, cleanModelName: string }>} - Converted request and cleaned model name
+     */
+    async translateClaudeToGoogle(claudeBody) {
+        this.logger.info("[Adapter] Starting translation of Claude request format to Google format...");
+        const schemaWarnings = [];
+
+        // Route foreign model names through the alias table first, the target may carry a thinkingLevel suffix
+        const modelAlias = this._resolveModelAlias(claudeBody.model);
+        // Parse thinkingLevel suffix from model name
+        const rawModel = modelAlias?.model || claudeBody.model || "gemini-2.5-flash-lite";
+        const { cleanModelName, thinkingLevel: modelThinkingLevel } = FormatConverter.parseModelThinkingLevel(rawModel);
+
+        if (modelThinkingLevel) {
+            this.logger.info(
+                `[Adapter] Detected thinkingLevel suffix in model name: "${rawModel}" -> model="${cleanModelName}", thinkingLevel="${modelThinkingLevel}"`
+            );
+        }
+
+        // [DEBUG] Log incoming messages
+        this.logger.debug(`[Adapter] Debug: incoming Claude Body = ${JSON.stringify(claudeBody, null, 2)}`);
+
+        let systemInstruction = null;
+        const googleContents = [];
+
+        // Pre-scan messages to build a map of tool_use_id -> function_name
+        // This is required because Gemini's functionResponse needs the original function name,
+        // but Claude's tool_result only provides the tool_use_id.
+        const toolIdToNameMap = new Map();
+        if (claudeBody.messages && Array.isArray(claudeBody.messages)) {
+            for (const message of claudeBody.messages) {
+                if (message.role === "assistant" && Array.isArray(message.content)) {
+                    for (const block of message.content) {
+                        if (block.type === "tool_use" && block.id && block.name) {
+                            toolIdToNameMap.set(block.id, block.name);
+                        }
+                    }
+                }
+            }
+        }
+
+        // Extract system message (Claude uses a separate 'system' field)
+        if (claudeBody.system) {
+            const systemContent = Array.isArray(claudeBody.system)
+                ? claudeBody.system.map(block => (typeof block === "string" ? block : block.text || "")).join("\n")
+                : claudeBody.system;
+            systemInstruction = {
+                parts: [{ text: systemContent }],
+                role: "system",
+            };
+        }
+
+        // Buffer for accumulating consecutive tool result parts
+        let pendingToolParts = [];
+
+        const flushToolParts = () => {
+            if (pendingToolParts.length > 0) {
+                googleContents.push({
+                    parts: pendingToolParts,
+                    role: "user",
+                });
+                pendingToolParts = [];
+            }
+        };
+
+        // Convert Claude messages to Google format
+        for (const message of claudeBody.messages) {
+            const googleParts = [];
+
+            // Handle tool_result role (Claude's function response)
+            if (message.role === "user" && Array.isArray(message.content)) {
+                const toolResults = message.content.filter(block => block.type === "tool_result");
+                if (toolResults.length > 0) {
+                    for (const toolResult of toolResults) {
+                        let responseContent;
+                        if (typeof toolResult.content === "string") {
+                            try {
                                 responseContent = JSON.parse(toolResult.content);
                             } catch (e) {
                                 /* eslint-disable-line no-unused-vars */
@@ -1279,7 +2531,7 @@ class FormatConverter {
 
             // Handle assistant messages with tool_use
             if (message.role === "assistant" && Array.isArray(message.content)) {
-                let signatureAttachedToCall = false;
+                const functionCalls = [];
                 for (const block of message.content) {
                     if (block.type === "tool_use") {
                         const functionCallPart = {
@@ -1288,18 +2540,20 @@ class FormatConverter {
                                 name: block.name,
                             },
                         };
-                        if (!signatureAttachedToCall) {
-                            functionCallPart.thoughtSignature = FormatConverter.DUMMY_THOUGHT_SIGNATURE;
-                            signatureAttachedToCall = true;
-                        }
+                        functionCalls.push({ id: block.id, part: functionCallPart });
                         googleParts.push(functionCallPart);
                     } else if (block.type === "thinking") {
                         // Claude thinking block -> Gemini thought
                         googleParts.push({ text: block.thinking, thought: true });
                     } else if (block.type === "text") {
                         googleParts.push({ text: block.text });
+                    } else if (block.type === "server_tool_use" && block.name === "code_execution") {
+                        googleParts.push({ executableCode: { code: block.input?.code || "", language: "PYTHON" } });
+                    } else if (block.type === "code_execution_tool_result") {
+                        googleParts.push({ codeExecutionResult: this._toGeminiCodeExecutionResult(block.content) });
                     }
                 }
+                this._attachThoughtSignatures(functionCalls);
             }
 
             // Handle regular content
@@ -1391,22 +2645,30 @@ class FormatConverter {
         if (isThinkingEnabled) {
             thinkingConfig = { includeThoughts: true };
             if (thinkingParam.budget_tokens) {
-                // Gemini doesn't have budget_tokens, but we can log it
                 this.logger.info(`[Adapter] Claude thinking budget_tokens: ${thinkingParam.budget_tokens}`);
             }
         }
 
+        // Claude effort control (output_config.effort: low, medium, high)
+        const effort = claudeBody.output_config?.effort;
+        if (effort) {
+            this.logger.info(`[Adapter] Claude output_config.effort: ${effort}`);
+        }
+
         // Force thinking mode
         if (this.serverSystem.forceThinking && !thinkingConfig) {
             this.logger.info("[Adapter] ⚠️ Force thinking enabled, injecting thinkingConfig for Claude request.");
             thinkingConfig = { includeThoughts: true };
         }
 
-        // Apply model name suffix thinkingLevel
-        if (modelThinkingLevel) {
-            if (!thinkingConfig) thinkingConfig = {};
-            thinkingConfig.thinkingLevel = modelThinkingLevel;
-        }
+        // Map the budget or effort onto the model's thinking profile, the model name suffix has the highest priority
+        thinkingConfig = this.applyThinkingProfile(
+            thinkingConfig,
+            cleanModelName,
+            modelThinkingLevel
+                ? { level: modelThinkingLevel }
+                : { budget: isThinkingEnabled ? thinkingParam.budget_tokens : undefined, effort }
+        );
 
         if (thinkingConfig) {
             generationConfig.thinkingConfig = thinkingConfig;
@@ -1431,7 +2693,10 @@ class FormatConverter {
                 if (schema) {
                     this.logger.debug(`[Adapter] Debug: Converting Claude JSON Schema: ${JSON.stringify(schema)}`);
                     generationConfig.responseMimeType = "application/json";
-                    generationConfig.responseSchema = this._convertSchemaToGemini(schema, true);
+                    generationConfig.responseSchema = this._convertSchemaToGemini(
+                        this._normalizeSchema(schema, "output_format", schemaWarnings),
+                        true
+                    );
                     this.logger.debug(
                         `[Adapter] Debug: Converted Gemini JSON Schema: ${JSON.stringify(generationConfig.responseSchema)}`
                     );
@@ -1453,7 +2718,10 @@ class FormatConverter {
             if (format.type === "json_schema" && format.schema) {
                 this.logger.debug(`[Adapter] Debug: Converting Claude JSON Schema: ${JSON.stringify(format.schema)}`);
                 generationConfig.responseMimeType = "application/json";
-                generationConfig.responseSchema = this._convertSchemaToGemini(format.schema, true);
+                generationConfig.responseSchema = this._convertSchemaToGemini(
+                    this._normalizeSchema(format.schema, "output_config.format", schemaWarnings),
+                    true
+                );
                 this.logger.debug(
                     `[Adapter] Debug: Converted Gemini JSON Schema: ${JSON.stringify(generationConfig.responseSchema)}`
                 );
@@ -1469,11 +2737,12 @@ class FormatConverter {
         if (claudeBody.tools && Array.isArray(claudeBody.tools) && claudeBody.tools.length > 0) {
             let hasWebSearchTool = false;
             let hasUrlContextTool = false;
+            let hasCodeExecutionTool = false;
             const functionDeclarations = [];
 
             for (const tool of claudeBody.tools) {
                 // Handle specialized web search tool type (e.g. from Claude's search integration)
-                if (tool.type === "web_search_20250305" && tool.name === "web_search") {
+                if (typeof tool.type === "string" && tool.type.startsWith("web_search_")) {
                     hasWebSearchTool = true;
                     this.logger.info(
                         `[Adapter] Detected web search tool in Claude request (name: ${tool.name}, type: ${tool.type}), mapping to Gemini googleSearch.`
@@ -1490,11 +2759,22 @@ class FormatConverter {
                     continue; // Skip adding to functionDeclarations
                 }
 
+                // Handle code execution server tool, mapped to Gemini codeExecution
+                if (typeof tool.type === "string" && tool.type.startsWith("code_execution_")) {
+                    hasCodeExecutionTool = true;
+                    this.logger.info(
+                        `[Adapter] Detected code execution tool in Claude request (name: ${tool.name}, type: ${tool.type}), mapping to Gemini codeExecution.`
+                    );
+                    continue; // Skip adding to functionDeclarations
+                }
+
                 if (tool.name) {
                     const declaration = { name: tool.name };
                     if (tool.description) declaration.description = tool.description;
                     if (tool.input_schema) {
-                        declaration.parameters = this._convertSchemaToGemini(tool.input_schema);
+                        declaration.parameters = this._convertSchemaToGemini(
+                            this._normalizeSchema(tool.input_schema, `tool "${tool.name}"`, schemaWarnings)
+                        );
                     }
                     functionDeclarations.push(declaration);
                 }
@@ -1520,6 +2800,14 @@ class FormatConverter {
                     googleRequest.tools.push({ urlContext: {} });
                 }
             }
+
+            // If code execution tool was found, ensure codeExecution is added to tools
+            if (hasCodeExecutionTool) {
+                if (!googleRequest.tools) googleRequest.tools = [];
+                if (!googleRequest.tools.some(t => t.codeExecution)) {
+                    googleRequest.tools.push({ codeExecution: {} });
+                }
+            }
         }
 
         // Convert Claude tool_choice to Gemini toolConfig
@@ -1550,9 +2838,10 @@ class FormatConverter {
             );
         }
 
+        if (modelAlias) this._applyModelAliasDefaults(googleRequest, cleanModelName, modelAlias.defaults);
         this._finalizeGoogleRequest(googleRequest);
         this.logger.info("[Adapter] Claude to Google translation complete.");
-        return { cleanModelName, googleRequest };
+        return { cleanModelName, googleRequest, schemaWarnings };
     }
 
     /**
@@ -1595,6 +2884,7 @@ class FormatConverter {
 
         // Update stream state with usage if available
         if (usage) {
+            streamState.usageMetadata = usage;
             const inputTokens = (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0);
             const outputTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
 
@@ -1610,6 +2900,8 @@ class FormatConverter {
             if (!streamState.outputTokens) streamState.outputTokens = 0;
         }
 
+        const safetyBlock = this._getSafetyBlock(googleResponse);
+
         if (!candidate) {
             if (googleResponse.promptFeedback) {
                 this.logger.warn(
@@ -1618,7 +2910,7 @@ class FormatConverter {
                     )}`
                 );
             }
-            return null;
+            if (!safetyBlock) return null;
         }
 
         const events = [];
@@ -1644,6 +2936,21 @@ class FormatConverter {
             streamState.messageStartSent = true;
         }
 
+        // The prompt itself was blocked, end the message as a refusal
+        if (!candidate) {
+            events.push({
+                delta: {
+                    stop_details: this._buildClaudeStopDetails(safetyBlock),
+                    stop_reason: "refusal",
+                    stop_sequence: null,
+                },
+                type: "message_delta",
+                usage: { output_tokens: 0 },
+            });
+            events.push({ type: "message_stop" });
+            return events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join("");
+        }
+
         // Process content parts
         if (candidate.content && Array.isArray(candidate.content.parts)) {
             for (const part of candidate.content.parts) {
@@ -1688,6 +2995,7 @@ class FormatConverter {
                         index: streamState.textBlockIndex,
                         type: "content_block_delta",
                     });
+                    streamState.contentText = (streamState.contentText || "") + part.text;
                 } else if (part.inlineData) {
                     // Image output - convert to markdown image format for streaming
                     // Close thinking block if open
@@ -1720,6 +3028,7 @@ class FormatConverter {
                 } else if (part.functionCall) {
                     // Tool use
                     const toolUseId = `toolu_${this._generateRequestId()}`;
+                    this.thoughtSignatures.set(toolUseId, part.thoughtSignature);
                     events.push({
                         content_block: {
                             id: toolUseId,
@@ -1744,12 +3053,80 @@ class FormatConverter {
                     });
                     streamState.contentBlockIndex++;
                     streamState.hasToolUse = true;
+                } else if (part.executableCode || part.codeExecutionResult) {
+                    // Server tool blocks interrupt the text, later text continues in a new block
+                    if (streamState.thinkingBlockStarted && !streamState.thinkingBlockStopped) {
+                        events.push({ index: streamState.thinkingBlockIndex, type: "content_block_stop" });
+                        streamState.thinkingBlockStopped = true;
+                    }
+                    if (streamState.textBlockStarted && !streamState.textBlockStopped) {
+                        events.push({ index: streamState.textBlockIndex, type: "content_block_stop" });
+                        streamState.textBlockStarted = false;
+                    }
+
+                    if (part.executableCode) {
+                        const block = this._buildClaudeCodeExecutionToolUse(part.executableCode);
+                        streamState.codeExecutionToolUseId = block.id;
+                        events.push({
+                            content_block: { ...block, input: {} },
+                            index: streamState.contentBlockIndex,
+                            type: "content_block_start",
+                        });
+                        events.push({
+                            delta: { partial_json: JSON.stringify(block.input), type: "input_json_delta" },
+                            index: streamState.contentBlockIndex,
+                            type: "content_block_delta",
+                        });
+                    } else {
+                        events.push({
+                            content_block: this._buildClaudeCodeExecutionResult(
+                                part.codeExecutionResult,
+                                streamState.codeExecutionToolUseId
+                            ),
+                            index: streamState.contentBlockIndex,
+                            type: "content_block_start",
+                        });
+                    }
+                    events.push({ index: streamState.contentBlockIndex, type: "content_block_stop" });
+                    streamState.contentBlockIndex++;
                 }
             }
         }
 
+        // Grounding metadata usually arrives with the last chunk, keep the latest copy
+        if (candidate.groundingMetadata) {
+            streamState.groundingMetadata = candidate.groundingMetadata;
+        }
+
         // Handle finish
         if (candidate.finishReason) {
+            let webSearchBlocks = [];
+            if (streamState.groundingMetadata) {
+                const { citations, queries, sources } = this._parseGroundingMetadata(
+                    streamState.groundingMetadata,
+                    streamState.contentText || ""
+                );
+                // The text has already been streamed as one block, so citations are attached to it as a whole
+                if (streamState.textBlockStarted && !streamState.textBlockStopped) {
+                    for (const citation of citations) {
+                        for (const source of citation.sources) {
+                            events.push({
+                                delta: { citation: this._toClaudeCitation(citation, source), type: "citations_delta" },
+                                index: streamState.textBlockIndex,
+                                type: "content_block_delta",
+                            });
+                        }
+                    }
+                }
+                if (queries.length > 0 || sources.length > 0) {
+                    webSearchBlocks = this._buildClaudeWebSearchBlocks(queries, sources);
+                    streamState.webSearchRequests = Math.max(queries.length, 1);
+                }
+                this.logger.info(
+                    `[Adapter] Mapped Gemini grounding metadata to ${citations.length} Claude citation(s) from ${sources.length} source(s)`
+                );
+            }
+
             // Close any open blocks
             if (streamState.textBlockStarted && !streamState.textBlockStopped) {
                 events.push({
@@ -1766,10 +3143,31 @@ class FormatConverter {
                 streamState.thinkingBlockStopped = true;
             }
 
+            for (const block of webSearchBlocks) {
+                const isToolUse = block.type === "server_tool_use";
+                events.push({
+                    content_block: isToolUse ? { ...block, input: {} } : block,
+                    index: streamState.contentBlockIndex,
+                    type: "content_block_start",
+                });
+                if (isToolUse) {
+                    events.push({
+                        delta: { partial_json: JSON.stringify(block.input), type: "input_json_delta" },
+                        index: streamState.contentBlockIndex,
+                        type: "content_block_delta",
+                    });
+                }
+                events.push({ index: streamState.contentBlockIndex, type: "content_block_stop" });
+                streamState.contentBlockIndex++;
+            }
+
             // Determine stop reason
             let stopReason = "end_turn";
             if (streamState.hasToolUse) {
                 stopReason = "tool_use";
+            } else if (safetyBlock) {
+                stopReason = "refusal";
+                this.logger.warn(`[Adapter] Gemini response blocked (${safetyBlock.reason}) in Claude stream.`);
             } else if (candidate.finishReason === "MAX_TOKENS") {
                 stopReason = "max_tokens";
             } else if (candidate.finishReason === "STOP") {
@@ -1778,12 +3176,16 @@ class FormatConverter {
 
             events.push({
                 delta: {
+                    ...(stopReason === "refusal" && { stop_details: this._buildClaudeStopDetails(safetyBlock) }),
                     stop_reason: stopReason,
                     stop_sequence: null,
                 },
                 type: "message_delta",
                 usage: {
                     output_tokens: streamState.outputTokens || 0,
+                    ...(streamState.webSearchRequests && {
+                        server_tool_use: { web_search_requests: streamState.webSearchRequests },
+                    }),
                 },
             });
 
@@ -1804,6 +3206,7 @@ class FormatConverter {
 
         const messageId = `msg_${this._generateRequestId()}`;
         const content = [];
+        const safetyBlock = this._getSafetyBlock(googleResponse);
 
         if (!candidate) {
             return {
@@ -1811,7 +3214,8 @@ class FormatConverter {
                 id: messageId,
                 model: modelName,
                 role: "assistant",
-                stop_reason: "end_turn",
+                ...(safetyBlock && { stop_details: this._buildClaudeStopDetails(safetyBlock) }),
+                stop_reason: safetyBlock ? "refusal" : "end_turn",
                 stop_sequence: null,
                 type: "message",
                 usage: {
@@ -1823,6 +3227,11 @@ class FormatConverter {
         }
 
         let hasToolUse = false;
+        let codeExecutionToolUseId = null;
+        // With grounding, text parts are merged so they can be split again at the cited segments
+        const grounding = candidate.groundingMetadata;
+        let groundedText = "";
+        let groundedTextPosition = -1;
 
         if (candidate.content && Array.isArray(candidate.content.parts)) {
             for (const part of candidate.content.parts) {
@@ -1831,6 +3240,9 @@ class FormatConverter {
                         thinking: part.text,
                         type: "thinking",
                     });
+                } else if (part.text && grounding) {
+                    if (groundedTextPosition === -1) groundedTextPosition = content.length;
+                    groundedText += part.text;
                 } else if (part.text) {
                     content.push({
                         text: part.text,
@@ -1844,24 +3256,57 @@ class FormatConverter {
                     });
                 } else if (part.functionCall) {
                     hasToolUse = true;
+                    const toolUseId = `toolu_${this._generateRequestId()}`;
+                    this.thoughtSignatures.set(toolUseId, part.thoughtSignature);
                     content.push({
-                        id: `toolu_${this._generateRequestId()}`,
+                        id: toolUseId,
                         input: part.functionCall.args || {},
                         name: part.functionCall.name,
                         type: "tool_use",
                     });
+                } else if (part.executableCode) {
+                    const block = this._buildClaudeCodeExecutionToolUse(part.executableCode);
+                    codeExecutionToolUseId = block.id;
+                    content.push(block);
+                } else if (part.codeExecutionResult) {
+                    content.push(
+                        this._buildClaudeCodeExecutionResult(part.codeExecutionResult, codeExecutionToolUseId)
+                    );
                 }
             }
         }
 
+        let webSearchRequests = 0;
+        if (grounding) {
+            const { citations, queries, sources } = this._parseGroundingMetadata(grounding, groundedText);
+            const blocks = this._buildClaudeCitedTextBlocks(groundedText, citations);
+            if (queries.length > 0 || sources.length > 0) {
+                blocks.unshift(...this._buildClaudeWebSearchBlocks(queries, sources));
+                webSearchRequests = Math.max(queries.length, 1);
+            }
+            content.splice(groundedTextPosition === -1 ? 0 : groundedTextPosition, 0, ...blocks);
+            this.logger.info(
+                `[Adapter] Mapped Gemini grounding metadata to ${citations.length} Claude citation(s) from ${sources.length} source(s)`
+            );
+        }
+
         // Determine stop reason
         let stopReason = "end_turn";
         if (hasToolUse) {
             stopReason = "tool_use";
+        } else if (safetyBlock) {
+            stopReason = "refusal";
         } else if (candidate.finishReason === "MAX_TOKENS") {
             stopReason = "max_tokens";
-        } else if (candidate.finishReason === "SAFETY") {
-            stopReason = "end_turn"; // Claude doesn't have a direct equivalent
+        }
+
+        const claudeUsage = {
+            input_tokens: (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0),
+            // Match OpenAI logic: sum candidates tokens + thoughts tokens
+            output_tokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+        };
+        if (webSearchRequests > 0) {
+            claudeUsage.server_tool_use = { web_search_requests: webSearchRequests };
         }
 
         return {
@@ -1869,16 +3314,369 @@ class FormatConverter {
             id: messageId,
             model: modelName,
             role: "assistant",
+            ...(stopReason === "refusal" && { stop_details: this._buildClaudeStopDetails(safetyBlock) }),
             stop_reason: stopReason,
             stop_sequence: null,
             type: "message",
-            usage: {
-                input_tokens: (usage.promptTokenCount || 0) + (usage.toolUsePromptTokenCount || 0),
-                // Match OpenAI logic: sum candidates tokens + thoughts tokens
-                output_tokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+            usage: claudeUsage,
+        };
+    }
+
+    /**
+     * Build the stop_details sent with a Claude refusal, carrying Gemini's block reason and category ratings
+     */
+    _buildClaudeStopDetails(safetyBlock) {
+        return {
+            block_reason: safetyBlock.reason,
+            safety_ratings: safetyBlock.ratings,
+            type: "refusal",
+        };
+    }
+
+    /**
+     * Build a Claude web_search_result_location citation for one grounding source
+     */
+    _toClaudeCitation(citation, source) {
+        return {
+            cited_text: citation.citedText,
+            encrypted_index: "",
+            title: source.title,
+            type: "web_search_result_location",
+            url: source.url,
+        };
+    }
+
+    /**
+     * Build the server_tool_use / web_search_tool_result pair describing the search Gemini ran.
+     * Gemini does not attribute results to individual queries, so all queries share one tool call.
+     */
+    _buildClaudeWebSearchBlocks(queries, sources) {
+        const toolUseId = `srvtoolu_${this._generateRequestId()}`;
+        return [
+            {
+                id: toolUseId,
+                input: { query: queries.join("; ") },
+                name: "web_search",
+                type: "server_tool_use",
             },
+            {
+                content: sources.map(source => ({
+                    encrypted_content: "",
+                    page_age: null,
+                    title: source.title,
+                    type: "web_search_result",
+                    url: source.url,
+                })),
+                tool_use_id: toolUseId,
+                type: "web_search_tool_result",
+            },
+        ];
+    }
+
+    /**
+     * Split the response text into Claude text blocks, cited segments carry their own citations
+     */
+    _buildClaudeCitedTextBlocks(text, citations) {
+        const blocks = [];
+        let cursor = 0;
+        for (const citation of [...citations].sort((a, b) => a.start - b.start)) {
+            // Overlapping supports cannot be represented as separate blocks
+            if (citation.start < cursor) continue;
+            if (citation.start > cursor) {
+                blocks.push({ text: text.slice(cursor, citation.start), type: "text" });
+            }
+            blocks.push({
+                citations: citation.sources.map(source => this._toClaudeCitation(citation, source)),
+                text: text.slice(citation.start, citation.end),
+                type: "text",
+            });
+            cursor = citation.end;
+        }
+        if (cursor < text.length) {
+            blocks.push({ text: text.slice(cursor), type: "text" });
+        }
+        return blocks;
+    }
+
+    /**
+     * Build a Claude code_execution server_tool_use block from a Gemini executableCode part
+     */
+    _buildClaudeCodeExecutionToolUse(executableCode) {
+        return {
+            id: `srvtoolu_${this._generateRequestId()}`,
+            input: { code: executableCode.code || "" },
+            name: "code_execution",
+            type: "server_tool_use",
         };
     }
+
+    /**
+     * Build a Claude code_execution_tool_result block from a Gemini codeExecutionResult part
+     */
+    _buildClaudeCodeExecutionResult(codeExecutionResult, toolUseId) {
+        const { outcome, output = "" } = codeExecutionResult;
+        let content;
+        if (outcome === "OUTCOME_OK" || outcome === "OUTCOME_FAILED") {
+            const succeeded = outcome === "OUTCOME_OK";
+            content = {
+                content: [],
+                return_code: succeeded ? 0 : 1,
+                stderr: succeeded ? "" : output,
+                stdout: succeeded ? output : "",
+                type: "code_execution_result",
+            };
+        } else {
+            content = {
+                error_code: outcome === "OUTCOME_DEADLINE_EXCEEDED" ? "execution_time_exceeded" : "unavailable",
+                type: "code_execution_tool_result_error",
+            };
+        }
+        return { content, tool_use_id: toolUseId, type: "code_execution_tool_result" };
+    }
+
+    /**
+     * Convert a Claude code_execution_tool_result content back to a Gemini codeExecutionResult
+     */
+    _toGeminiCodeExecutionResult(content = {}) {
+        if (content.type === "code_execution_tool_result_error") {
+            return {
+                outcome:
+                    content.error_code === "execution_time_exceeded" ? "OUTCOME_DEADLINE_EXCEEDED" : "OUTCOME_FAILED",
+                output: "",
+            };
+        }
+        if (content.return_code === 0) {
+            return { outcome: "OUTCOME_OK", output: content.stdout || "" };
+        }
+        return { outcome: "OUTCOME_FAILED", output: content.stderr || content.stdout || "" };
+    }
+
+    // ==================== Ollama API Format Conversion ====================
+
+    // Ollama sends images as bare base64 strings, the MIME type is read from the file signature
+    _detectBase64ImageMimeType(base64Data) {
+        if (base64Data.startsWith("iVBORw0KGgo")) return "image/png";
+        if (base64Data.startsWith("R0lGOD")) return "image/gif";
+        if (base64Data.startsWith("UklGR")) return "image/webp";
+        return "image/jpeg";
+    }
+
+    /**
+     * Convert an Ollama /api/chat or /api/generate request to Google Gemini format
+     * Like the Responses API, the body is mapped onto an equivalent Chat Completions body first.
+     * @param {object} ollamaBody - Ollama format request body
+     * @param {boolean} [isGenerate=false] - Whether this is an /api/generate request (prompt instead of messages)
+     * @returns {Promise<{ googleRequest: object, cleanModelName: string }>} - Converted request and cleaned model name
+     */
+    async translateOllamaToGoogle(ollamaBody, isGenerate = false) {
+        this.logger.info("[Adapter] Starting translation of Ollama request to Chat Completions format...");
+
+        const convertContent = (text, images) => {
+            if (!Array.isArray(images) || images.length === 0) return text || "";
+            const parts = images.map(image => ({
+                image_url: { url: `data:${this._detectBase64ImageMimeType(image)};base64,${image}` },
+                type: "image_url",
+            }));
+            if (text) parts.unshift({ text, type: "text" });
+            return parts;
+        };
+
+        const messages = [];
+        if (isGenerate) {
+            if (ollamaBody.system) messages.push({ content: ollamaBody.system, role: "system" });
+            messages.push({ content: convertContent(ollamaBody.prompt, ollamaBody.images), role: "user" });
+        } else {
+            // Older clients send tool results without tool_name, they answer the open calls in order
+            const openCalls = [];
+            for (const message of ollamaBody.messages || []) {
+                if (message.role === "tool") {
+                    const name = message.tool_name || message.name || openCalls[0];
+                    if (openCalls.includes(name)) openCalls.splice(openCalls.indexOf(name), 1);
+                    messages.push({ content: message.content, name, role: "tool" });
+                    continue;
+                }
+
+                const converted = { content: convertContent(message.content, message.images), role: message.role };
+                if (
+                    message.role === "assistant" &&
+                    Array.isArray(message.tool_calls) &&
+                    message.tool_calls.length > 0
+                ) {
+                    converted.tool_calls = message.tool_calls.map(toolCall => ({
+                        function: { arguments: toolCall.function.arguments || {}, name: toolCall.function.name },
+                        type: "function",
+                    }));
+                    openCalls.splice(
+                        0,
+                        openCalls.length,
+                        ...converted.tool_calls.map(toolCall => toolCall.function.name)
+                    );
+                }
+                messages.push(converted);
+            }
+        }
+
+        let responseFormat;
+        if (ollamaBody.format === "json") {
+            responseFormat = { type: "json_object" };
+        } else if (ollamaBody.format && typeof ollamaBody.format === "object") {
+            responseFormat = { json_schema: { name: "response", schema: ollamaBody.format }, type: "json_schema" };
+        }
+
+        const options = ollamaBody.options || {};
+        const chatBody = {
+            // num_predict of -1 or -2 means no limit in Ollama
+            max_tokens: options.num_predict > 0 ? options.num_predict : undefined,
+            messages,
+            // Ollama clients may append the default tag to model names
+            model: ollamaBody.model ? ollamaBody.model.replace(/:latest$/, "") : undefined,
+            reasoning_effort: ollamaBody.think
+                ? typeof ollamaBody.think === "string"
+                    ? ollamaBody.think
+                    : "medium"
+                : undefined,
+            response_format: responseFormat,
+            stop: typeof options.stop === "string" ? [options.stop] : options.stop,
+            temperature: options.temperature,
+            tools: ollamaBody.tools,
+            top_k: options.top_k,
+            top_p: options.top_p,
+        };
+
+        return this.translateOpenAIToGoogle(chatBody);
+    }
+
+    _extractOllamaOutput(googleResponse) {
+        const output = { content: "", thinking: "", toolCalls: [] };
+        const candidate = googleResponse.candidates?.[0];
+
+        if (!candidate && googleResponse.promptFeedback) {
+            this.logger.warn(
+                `[Adapter] Google returned promptFeedback for Ollama request, may have been blocked: ${JSON.stringify(
+                    googleResponse.promptFeedback
+                )}`
+            );
+            output.content = `[ProxySystem Error] Request blocked due to safety settings. Finish Reason: ${googleResponse.promptFeedback.blockReason}`;
+            return output;
+        }
+
+        for (const part of candidate?.content?.parts || []) {
+            if (part.thought === true) {
+                output.thinking += part.text || "";
+            } else if (part.text) {
+                output.content += part.text;
+            } else if (part.inlineData) {
+                output.content += `![Generated Image](data:${part.inlineData.mimeType};base64,${part.inlineData.data})`;
+            } else if (part.functionCall) {
+                output.toolCalls.push({
+                    function: { arguments: part.functionCall.args || {}, name: part.functionCall.name },
+                });
+                this.logger.info(
+                    `[Adapter] Converted Gemini functionCall to Ollama tool_call: ${part.functionCall.name}`
+                );
+            }
+        }
+        return output;
+    }
+
+    _buildOllamaChunk(modelName, output, isGenerate) {
+        const chunk = { created_at: new Date().toISOString(), done: false, model: modelName };
+        if (isGenerate) {
+            chunk.response = output.content;
+            if (output.thinking) chunk.thinking = output.thinking;
+        } else {
+            chunk.message = { content: output.content, role: "assistant" };
+            if (output.thinking) chunk.message.thinking = output.thinking;
+            if (output.toolCalls.length > 0) chunk.message.tool_calls = output.toolCalls;
+        }
+        return chunk;
+    }
+
+    // Fields of the final Ollama object, durations are in nanoseconds
+    _buildOllamaDoneFields(usageMetadata, finishReason, startTime) {
+        const usage = this._parseUsage({ usageMetadata });
+        const totalDuration = (Date.now() - startTime) * 1e6;
+        return {
+            done: true,
+            done_reason: finishReason === "MAX_TOKENS" ? "length" : "stop",
+            eval_count: usage.completion_tokens,
+            eval_duration: totalDuration,
+            load_duration: 0,
+            prompt_eval_count: usage.prompt_tokens,
+            prompt_eval_duration: 0,
+            total_duration: totalDuration,
+        };
+    }
+
+    /**
+     * Convert Google non-stream response to an Ollama chat or generate response
+     * @param {object} googleResponse - The Google response
+     * @param {string} modelName - The model name
+     * @param {boolean} [isGenerate=false] - Whether to build an /api/generate response
+     * @param {number} [startTime=Date.now()] - Request start time in milliseconds, used for the durations
+     */
+    convertGoogleToOllamaNonStream(googleResponse, modelName, isGenerate = false, startTime = Date.now()) {
+        const candidate = googleResponse.candidates?.[0];
+        if (!candidate) {
+            this.logger.warn("[Adapter] No candidate found in Google response");
+        }
+        return {
+            ...this._buildOllamaChunk(modelName, this._extractOllamaOutput(googleResponse), isGenerate),
+            ...this._buildOllamaDoneFields(googleResponse.usageMetadata, candidate?.finishReason, startTime),
+        };
+    }
+
+    /**
+     * Convert Google streaming response chunk to an Ollama NDJSON line
+     * @param {string} googleChunk - The Google response chunk
+     * @param {string} modelName - The model name
+     * @param {object} streamState - State object collecting usage and finish reason for finishOllamaStream
+     * @param {boolean} [isGenerate=false] - Whether to build /api/generate chunks
+     * @returns {string|null} - NDJSON line to write, or null if nothing to send
+     */
+    translateGoogleToOllamaStream(googleChunk, modelName, streamState, isGenerate = false) {
+        this.logger.debug(`[Adapter] Debug: Received Google chunk for Ollama: ${googleChunk}`);
+
+        if (!googleChunk || googleChunk.trim() === "") {
+            return null;
+        }
+
+        let jsonString = googleChunk;
+        if (jsonString.startsWith("data: ")) {
+            jsonString = jsonString.substring(6).trim();
+        }
+
+        let googleResponse;
+        try {
+            googleResponse = JSON.parse(jsonString);
+        } catch (e) {
+            this.logger.warn(`[Adapter] Unable to parse Google JSON chunk for Ollama: ${jsonString}`);
+            return null;
+        }
+
+        if (googleResponse.usageMetadata) streamState.usageMetadata = googleResponse.usageMetadata;
+        const finishReason = googleResponse.candidates?.[0]?.finishReason;
+        if (finishReason) streamState.finishReason = finishReason;
+
+        const output = this._extractOllamaOutput(googleResponse);
+        if (!output.content && !output.thinking && output.toolCalls.length === 0) return null;
+        return `${JSON.stringify(this._buildOllamaChunk(modelName, output, isGenerate))}\n`;
+    }
+
+    /**
+     * Build the final NDJSON line of an Ollama stream, carrying done_reason and token counts
+     * @param {object} streamState - State object used by translateGoogleToOllamaStream, with startTime set
+     * @param {string} modelName - The model name
+     * @param {boolean} [isGenerate=false] - Whether to build an /api/generate chunk
+     * @returns {string}
+     */
+    finishOllamaStream(streamState, modelName, isGenerate = false) {
+        const output = { content: "", thinking: "", toolCalls: [] };
+        return `${JSON.stringify({
+            ...this._buildOllamaChunk(modelName, output, isGenerate),
+            ...this._buildOllamaDoneFields(streamState.usageMetadata, streamState.finishReason, streamState.startTime),
+        })}\n`;
+    }
 }
 
 module.exports = FormatConverter;
@@ -6,6 +6,7 @@
  */
 
 const { EventEmitter } = require("events");
+const crypto = require("crypto");
 const express = require("express");
 const WebSocket = require("ws");
 const http = require("http");
@@ -15,12 +16,43 @@ const net = require("net");
 const { URL } = require("url");
 
 const LoggingService = require("../utils/LoggingService");
+const ApiKeyManager = require("../auth/ApiKeyManager");
+const BatchManager = require("./BatchManager");
 const AuthSource = require("../auth/AuthSource");
 const BrowserManager = require("./BrowserManager");
+const BrowserPool = require("./BrowserPool");
 const ConnectionRegistry = require("./ConnectionRegistry");
+const FormatConverter = require("./FormatConverter");
 const RequestHandler = require("./RequestHandler");
 const ConfigLoader = require("../utils/ConfigLoader");
+const metrics = require("../utils/Metrics");
+const ImageStore = require("../utils/ImageStore");
+const ModelAliasManager = require("../utils/ModelAliasManager");
+const RequestLogStore = require("../utils/RequestLogStore");
+const { parseMultipartForm } = require("../utils/MultipartParser");
 const WebRoutes = require("../routes/WebRoutes");
+const BatchRoutes = require("../routes/BatchRoutes");
+
+const OLLAMA_JSON_PATHS = ["/api/chat", "/api/generate", "/api/show"];
+// Routes that take the model from the body and fall back to a default model when it is left out
+const MODEL_BODY_PATHS = [
+    "/api/chat",
+    "/api/generate",
+    "/v1/audio/speech",
+    "/v1/chat/completions",
+    "/v1/embeddings",
+    "/v1/images/edits",
+    "/v1/images/generations",
+    "/v1/messages",
+    "/v1/messages/count_tokens",
+    "/v1/responses",
+];
+// Vertex AI model paths, with or without the project/location prefix (Vertex express mode omits it)
+const VERTEX_MODEL_PATH =
+    /^\/v1(?:beta1)?\/(?:projects\/[^/]+\/locations\/[^/]+\/)?publishers\/google\/models\/([^/:]+):(generateContent|streamGenerateContent|countTokens|predict)$/;
+// Gemini native endpoints that reach the passthrough route and keep their own metrics label
+const GEMINI_METRICS_ENDPOINT =
+    /^\/v1(?:alpha|beta)?\/models(?:\/\{model\}:(?:generateContent|streamGenerateContent|countTokens|embedContent|batchEmbedContents|predict|predictLongRunning))?$/;
 
 /**
  * Proxy Server System
@@ -38,15 +70,27 @@ class ProxyServerSystem extends EventEmitter {
         this.forceWebSearch = this.config.forceWebSearch;
         this.forceUrlContext = this.config.forceUrlContext;
 
-        this.authSource = new AuthSource(this.logger);
+        this.authSource = new AuthSource(this.logger, this.config);
         this.browserManager = new BrowserManager(this.logger, this.config, this.authSource);
+        // In pool mode the main browserManager is the primary slot, extra accounts run in shared-browser contexts
+        this.browserPool =
+            this.config.browserPoolSize > 1
+                ? new BrowserPool(this.logger, this.config, this.authSource, this.browserManager)
+                : null;
 
         // Create ConnectionRegistry with lightweight reconnect callback
         // When WebSocket connection is lost but browser is still running,
         // this callback attempts to refresh the page and re-inject the script
-        this.connectionRegistry = new ConnectionRegistry(this.logger, async () => {
+        const onConnectionLost = async authIndex => {
+            // In pool mode only the account whose connection dropped is reconnected
+            const browserManager =
+                this.browserPool && authIndex !== null ? this.browserPool.getManager(authIndex) : this.browserManager;
+            if (!browserManager) {
+                this.logger.info(`[System] Account #${authIndex} is no longer live, skipping reconnect attempt.`);
+                return;
+            }
             // Skip if browser is being intentionally closed (not an unexpected disconnect)
-            if (this.browserManager.isClosingIntentionally) {
+            if (browserManager.isClosingIntentionally) {
                 this.logger.info("[System] Browser is closing intentionally, skipping reconnect attempt.");
                 return;
             }
@@ -58,11 +102,11 @@ class ProxyServerSystem extends EventEmitter {
                 return;
             }
 
-            if (this.browserManager.browser && this.browserManager.page && !this.browserManager.page.isClosed()) {
+            if (browserManager.browser && browserManager.page && !browserManager.page.isClosed()) {
                 this.logger.error(
                     "[System] WebSocket lost but browser still running, attempting lightweight reconnect..."
                 );
-                const success = await this.browserManager.attemptLightweightReconnect();
+                const success = await browserManager.attemptLightweightReconnect();
                 if (!success) {
                     this.logger.warn(
                         "[System] Lightweight reconnect failed. Will attempt full recovery on next request."
@@ -71,6 +115,14 @@ class ProxyServerSystem extends EventEmitter {
             } else {
                 this.logger.info("[System] Browser not available, skipping lightweight reconnect.");
             }
+        };
+        this.connectionRegistry = new ConnectionRegistry(this.logger, onConnectionLost, {
+            isAccountCoolingDown: (authIndex, model) =>
+                !!this.requestHandler?.authSwitcher.quotaCooldowns.isCoolingDown(
+                    this.authSource.getCanonicalIndex(authIndex) ?? authIndex,
+                    model
+                ),
+            poolMode: !!this.browserPool,
         });
         this.requestHandler = new RequestHandler(
             this,
@@ -81,6 +133,14 @@ class ProxyServerSystem extends EventEmitter {
             this.authSource
         );
 
+        // Generated images served for OpenAI Images requests with response_format "url"
+        this.imageStore = new ImageStore();
+        this.apiKeyManager = new ApiKeyManager(this.logger, this.config);
+        this.modelAliases = new ModelAliasManager(this.logger, this.config);
+        this.requestLogStore = new RequestLogStore(this.logger, this.config);
+        this.batchManager = new BatchManager(this);
+        this._registerStateMetrics();
+
         this.httpServer = null;
         this.wsServer = null;
         this.webRoutes = new WebRoutes(this);
@@ -90,6 +150,7 @@ class ProxyServerSystem extends EventEmitter {
         this.logger.info("[System] Starting flexible startup process...");
         await this._startHttpServer();
         await this._startWebSocketServer();
+        this.batchManager.start();
         this.logger.info(`[System] Proxy server system startup complete.`);
 
         const allAvailableIndices = this.authSource.availableIndices;
@@ -149,11 +210,48 @@ class ProxyServerSystem extends EventEmitter {
                 "[System] All authentication sources failed to initialize. Starting in account binding mode without an active account."
             );
             // Don't throw an error, just proceed to start servers
+        } else if (this.browserPool) {
+            await this.browserPool.fill();
         }
 
         this.emit("started");
     }
 
+    // Gauges read the current state at scrape time
+    _registerStateMetrics() {
+        metrics.registry.gauge("aistudio_queue_waiting", "Requests waiting in the admission queue", [], () => [
+            { labels: {}, value: this.requestHandler.requestQueue.getStatus().queued },
+        ]);
+        metrics.registry.gauge("aistudio_queue_in_flight", "Requests in flight to the browser", [], () => [
+            { labels: {}, value: this.requestHandler.requestQueue.getStatus().inFlight },
+        ]);
+        metrics.registry.gauge("aistudio_browser_connected", "Whether a browser connection is active", [], () => [
+            { labels: {}, value: this.connectionRegistry.hasActiveConnections() ? 1 : 0 },
+        ]);
+        metrics.registry.gauge("aistudio_current_account", "Index of the account currently in use", [], () => [
+            { labels: {}, value: this.requestHandler.currentAuthIndex },
+        ]);
+    }
+
+    // Rewrite Vertex AI SDK paths to the matching AI Studio model endpoint before anything reads req.path
+    _createVertexPathMiddleware() {
+        return (req, res, next) => {
+            const match = req.path.match(VERTEX_MODEL_PATH);
+            if (!match) return next();
+
+            const [, model, method] = match;
+            const originalPath = req.path;
+            req.url = `/v1beta/models/${model}:${method}${req.url.slice(req.path.length)}`;
+
+            // The Gemini API rejects the Vertex-only billing project header and request labels
+            delete req.headers["x-goog-user-project"];
+            if (req.body && req.body.labels) delete req.body.labels;
+
+            this.logger.info(`[Vertex] Rewrote ${originalPath} -> ${req.path}`);
+            next();
+        };
+    }
+
     _createAuthMiddleware() {
         return (req, res, next) => {
             // Allow access if session is authenticated (e.g. browser accessing /vnc or API from UI)
@@ -163,30 +261,24 @@ class ProxyServerSystem extends EventEmitter {
                 }
             }
 
-            const serverApiKeys = this.config.apiKeys;
-            if (!serverApiKeys || serverApiKeys.length === 0) {
-                return next();
-            }
-
             let clientKey = null;
             if (req.headers["x-goog-api-key"]) {
                 clientKey = req.headers["x-goog-api-key"];
-            } else if (req.headers.authorization && req.headers.authorization.startsWith("Bearer ")) {
-                clientKey = req.headers.authorization.substring(7);
+            } else if (req.headers.authorization && /^Bearer /i.test(req.headers.authorization)) {
+                // Vertex AI SDKs send the configured access token as a Bearer token
+                clientKey = req.headers.authorization.substring(7).trim();
             } else if (req.headers["x-api-key"]) {
                 clientKey = req.headers["x-api-key"];
             } else if (req.query.key) {
                 clientKey = req.query.key;
             }
 
-            if (clientKey && serverApiKeys.includes(clientKey)) {
-                this.logger.info(
-                    `[Auth] API Key verification passed (from: ${this.webRoutes.authRoutes.getClientIP(req)})`
-                );
+            const keyRecord = this.apiKeyManager.findByKey(clientKey);
+            if (keyRecord) {
                 if (req.query.key) {
                     delete req.query.key;
                 }
-                return next();
+                return this._admitApiKeyRequest(keyRecord, req, res, next);
             }
 
             if (req.path !== "/favicon.ico") {
@@ -204,6 +296,301 @@ class ProxyServerSystem extends EventEmitter {
         };
     }
 
+    // Apply a key's enabled flag, model allow-list and limits, then track the request until the response ends
+    _admitApiKeyRequest(keyRecord, req, res, next) {
+        const clientIp = this.webRoutes.authRoutes.getClientIP(req);
+        const keyName = keyRecord.label || keyRecord.id;
+
+        if (!keyRecord.enabled) {
+            this.logger.warn(`[Auth] Request with disabled API key "${keyName}" denied. IP: ${clientIp}`);
+            return res.status(403).json({ error: { message: "This API key has been disabled." } });
+        }
+
+        const model = this._getRequestedModel(req);
+        // An alias is allowed when the model it routes to is, routes without a model only need one when they default it
+        if (
+            (model || MODEL_BODY_PATHS.includes(req.path)) &&
+            !this.apiKeyManager.isModelAllowed(keyRecord, this.modelAliases.resolveName(model))
+        ) {
+            this.logger.warn(`[Auth] API key "${keyName}" is not allowed to use model ${model || "(default)"}.`);
+            return res.status(403).json({
+                error: {
+                    message: model
+                        ? `This API key is not allowed to use model "${model}".`
+                        : "This API key is limited to specific models, the request must name one.",
+                },
+            });
+        }
+
+        // Model listing and other metadata routes are not metered
+        if (req.method === "GET") {
+            req.apiKey = keyRecord;
+            return next();
+        }
+
+        const admission = this.apiKeyManager.acquire(keyRecord);
+        if (!admission.allowed) {
+            this.logger.warn(`[Auth] API key "${keyName}" limited: ${admission.reason}`);
+            if (admission.retryAfter) res.set("Retry-After", String(admission.retryAfter));
+            return res.status(429).json({ error: { message: admission.reason, type: "rate_limit_error" } });
+        }
+
+        this.logger.info(`[Auth] API Key "${keyName}" verification passed (from: ${clientIp})`);
+        req.apiKey = keyRecord;
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            this.apiKeyManager.release(keyRecord, res.locals.tokenUsage || null);
+        };
+        res.on("finish", release);
+        res.on("close", release);
+        return next();
+    }
+
+    // Write one structured entry per API request to the request log once the response ends
+    _createRequestLogMiddleware() {
+        return (req, res, next) => {
+            // Model listing and other metadata routes are not logged
+            if (!this.requestLogStore.enabled || req.method === "GET" || req.path === "/vnc") return next();
+
+            const startTime = Date.now();
+            const captureBodies = this.requestLogStore.captureBodies;
+            const responseChunks = [];
+            let responseLength = 0;
+
+            // Error bodies are always kept so their message can be logged, other bodies only when capturing
+            const collect = chunk => {
+                if (!chunk || typeof chunk === "function" || (!captureBodies && res.statusCode < 400)) return;
+                if (responseLength > 1024 * 1024) return;
+                if (!this._isTextContentType(res.getHeader("Content-Type"))) {
+                    responseLength += chunk.length;
+                    return;
+                }
+                const text = Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk);
+                responseChunks.push(text);
+                responseLength += text.length;
+            };
+            const originalWrite = res.write;
+            const originalEnd = res.end;
+            res.write = function (chunk, ...args) {
+                collect(chunk);
+                return originalWrite.call(this, chunk, ...args);
+            };
+            res.end = function (chunk, ...args) {
+                collect(chunk);
+                return originalEnd.call(this, chunk, ...args);
+            };
+
+            res.once("close", () => {
+                const upstream = res.locals.upstream || {};
+                const usage = res.locals.tokenUsage;
+                const responseBody = responseChunks.join("");
+                let error = res.locals.errorMessage || null;
+                if (!error && res.statusCode >= 400) error = this._extractErrorMessage(responseBody);
+                if (!error && !res.writableFinished) error = "Client disconnected before the response completed.";
+
+                const entry = {
+                    accountIndex: upstream.authIndex ?? null,
+                    apiKey: req.apiKey ? req.apiKey.label || req.apiKey.id : null,
+                    cached: res.locals.cacheHit === true,
+                    clientIp: this.webRoutes.authRoutes.getClientIP(req),
+                    endpoint: req.path,
+                    error,
+                    fallbackModel: res.locals.fallbackModel || null,
+                    format: this._getApiFormat(req.path),
+                    id: res.locals.requestId || this.requestHandler._generateRequestId(),
+                    latencyMs: Date.now() - startTime,
+                    method: req.method,
+                    model: String(this._getRequestedModel(req) || "").replace(/^models\//, "") || null,
+                    retries: upstream.retries || 0,
+                    status: res.statusCode,
+                    stream:
+                        req.path === "/api/chat" || req.path === "/api/generate"
+                            ? req.body?.stream !== false
+                            : req.body?.stream === true || req.path.includes(":streamGenerateContent"),
+                    timestamp: new Date(startTime).toISOString(),
+                    usage: usage
+                        ? {
+                              completionTokens: usage.completion_tokens || 0,
+                              promptTokens: usage.prompt_tokens || 0,
+                              totalTokens: usage.total_tokens || 0,
+                          }
+                        : null,
+                };
+
+                if (captureBodies) {
+                    entry.request = this._getLoggedRequestBody(req);
+                    entry.response =
+                        responseChunks.length > 0
+                            ? this.requestLogStore.truncateBody(responseBody)
+                            : responseLength > 0
+                              ? `[${res.getHeader("Content-Type")}, ${responseLength} bytes]`
+                              : null;
+                }
+                this.requestLogStore.add(entry);
+            });
+            next();
+        };
+    }
+
+    _getApiFormat(requestPath) {
+        if (requestPath.startsWith("/v1/messages")) return "claude";
+        if (requestPath.startsWith("/api/")) return "ollama";
+        if (requestPath.startsWith("/v1/")) return "openai";
+        return "gemini";
+    }
+
+    _isTextContentType(contentType) {
+        const type = String(contentType || "");
+        return !type || type.includes("json") || type.startsWith("text/");
+    }
+
+    _extractErrorMessage(body) {
+        if (!body) return null;
+        try {
+            const data = JSON.parse(body);
+            const message = data.error?.message || data.error || data.message;
+            if (typeof message === "string") return message;
+        } catch (e) {
+            // Not JSON, fall back to the raw text
+        }
+        return body.slice(0, 500);
+    }
+
+    _getLoggedRequestBody(req) {
+        if (!req.rawBody || req.rawBody.length === 0) return null;
+        if (req.headers["content-type"]?.includes("multipart/form-data")) {
+            return `[multipart/form-data, ${req.rawBody.length} bytes]`;
+        }
+        return this.requestLogStore.truncateBody(req.rawBody.toString());
+    }
+
+    // Record request count, latency, time-to-first-token and token usage once the response ends
+    _createMetricsMiddleware() {
+        return (req, res, next) => {
+            if (req.path === "/metrics" || req.path === "/vnc") return next();
+
+            const startTime = Date.now();
+            const endpoint = req.path
+                .replace(/\/models\/[^/:]+/, "/models/{model}")
+                .replace(/\/(?:file-|batch_|msgbatch_)[^/]+/, "/{id}")
+                .replace(/^\/upload\/.*/, "/upload");
+            const model = this._getMetricsModelLabel(this._getRequestedModel(req));
+            let labels = null;
+            // Resolved on first use, once the request has been routed; paths the client made up share one label
+            const getLabels = () => {
+                if (!labels) {
+                    const isKnown =
+                        typeof req.route?.path === "string" ||
+                        endpoint === "/upload" ||
+                        GEMINI_METRICS_ENDPOINT.test(endpoint);
+                    labels = { endpoint: isKnown ? endpoint : "other", model };
+                }
+                return labels;
+            };
+
+            // The first SSE event that is not a keep-alive comment marks the first token
+            const originalWrite = res.write;
+            res.write = function (chunk, ...args) {
+                if (
+                    res.getHeader("Content-Type")?.toString().includes("text/event-stream") &&
+                    !String(chunk).startsWith(":")
+                ) {
+                    metrics.timeToFirstToken.observe(getLabels(), (Date.now() - startTime) / 1000);
+                    res.write = originalWrite;
+                }
+                return originalWrite.call(this, chunk, ...args);
+            };
+
+            res.once("close", () => {
+                metrics.requests.inc({ ...getLabels(), status: res.statusCode });
+                metrics.requestDuration.observe(
+                    { ...getLabels(), status: res.statusCode },
+                    (Date.now() - startTime) / 1000
+                );
+                const usage = res.locals.tokenUsage;
+                if (usage) {
+                    metrics.tokens.inc({ direction: "input", model }, usage.prompt_tokens || 0);
+                    metrics.tokens.inc({ direction: "output", model }, usage.completion_tokens || 0);
+                }
+            });
+            next();
+        };
+    }
+
+    // Models outside the model list and the aliases are counted as "other", the client picks the name
+    _getMetricsModelLabel(requestedModel) {
+        if (!requestedModel || typeof requestedModel !== "string") return "";
+        const name = requestedModel.replace(/^models\//, "");
+        const { cleanModelName } = FormatConverter.parseModelThinkingLevel(name);
+        if (this.config.modelList.some(model => model.name.replace(/^models\//, "") === cleanModelName)) return name;
+        return this.modelAliases.resolve(name)?.alias ?? "other";
+    }
+
+    _sendMetrics(res) {
+        res.type("text/plain; version=0.0.4").send(metrics.registry.render());
+    }
+
+    _getAllowedModels(req) {
+        return this.config.modelList.filter(model => this.apiKeyManager.isModelAllowed(req.apiKey, model.name));
+    }
+
+    // Model entries for the exact (non-pattern) aliases whose target the key may use, copied from the target's entry
+    _getModelAliasEntries(req) {
+        return this.modelAliases
+            .list()
+            .filter(alias => !ModelAliasManager.isPattern(alias.pattern))
+            .filter(alias => this.apiKeyManager.isModelAllowed(req.apiKey, alias.target))
+            .map(alias => {
+                const baseName = alias.target.replace(/(\([a-z]+\)|-(minimal|low|medium|high))$/i, "");
+                const target = this.config.modelList.find(
+                    model =>
+                        model.name.replace("models/", "") === alias.target ||
+                        model.name.replace("models/", "") === baseName
+                );
+                return {
+                    ...(target || { description: "", displayName: alias.pattern }),
+                    name: `models/${alias.pattern}`,
+                };
+            });
+    }
+
+    // Ollama model entry for /api/tags and /api/show, built from a configs/models.json entry
+    _toOllamaModel(model) {
+        const name = model.name.replace("models/", "");
+        return {
+            details: {
+                families: ["gemini"],
+                family: "gemini",
+                format: "api",
+                parameter_size: "",
+                parent_model: "",
+                quantization_level: "",
+            },
+            digest: crypto.createHash("sha256").update(name).digest("hex"),
+            model: name,
+            modified_at: new Date().toISOString(),
+            name,
+            size: 0,
+        };
+    }
+
+    _getRequestedModel(req) {
+        const pathMatch = req.path.match(/\/models\/([^/:]+)/);
+        if (pathMatch) return pathMatch[1];
+        if (req.body && req.body.model) return req.body.model;
+        if (req.rawBody && req.headers["content-type"]?.includes("multipart/form-data")) {
+            try {
+                return parseMultipartForm(req.rawBody, req.headers["content-type"]).fields.model || null;
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
     async _startHttpServer() {
         const app = this._createExpressApp();
 
@@ -322,6 +709,7 @@ class ProxyServerSystem extends EventEmitter {
                 req.path !== "/favicon.ico" &&
                 req.path !== "/login" &&
                 req.path !== "/health" &&
+                req.path !== "/metrics" &&
                 !req.path.startsWith("/locales/") &&
                 !req.path.startsWith("/assets/") &&
                 req.path !== "/AIStudio_logo.svg" &&
@@ -344,8 +732,8 @@ class ProxyServerSystem extends EventEmitter {
                     "x-stainless-package-version, x-stainless-os, x-stainless-arch, x-stainless-runtime, x-stainless-runtime-version, " +
                     "x-stainless-retry-count, x-stainless-timeout, sec-ch-ua, sec-ch-ua-mobile, sec-ch-ua-platform, " +
                     "anthropic-version, anthropic-beta, anthropic-dangerous-direct-browser-access, " +
-                    "x-goog-upload-protocol, x-goog-upload-command, x-goog-upload-header-content-length, " +
-                    "x-goog-upload-header-content-type, x-goog-upload-url, x-goog-upload-offset, x-goog-upload-status"
+                    "x-goog-user-project, x-goog-upload-protocol, x-goog-upload-command, x-goog-upload-header-content-length, " +
+                    "x-goog-upload-header-content-type, x-goog-upload-url, x-goog-upload-offset, x-goog-upload-status, x-auto-continue"
             );
 
             // Expose all common Headers, including upload related ones (matched from BuildProxy)
@@ -355,7 +743,7 @@ class ProxyServerSystem extends EventEmitter {
                 "x-goog-upload-url, x-goog-upload-status, x-goog-upload-chunk-granularity, " +
                     "x-goog-upload-control-url, x-goog-upload-command, x-goog-upload-content-type, " +
                     "x-goog-upload-protocol, x-goog-upload-file-name, x-goog-upload-offset, " +
-                    "date, content-type, content-length, location"
+                    "date, content-type, content-length, location, x-schema-warnings"
             );
 
             if (req.method === "OPTIONS") {
@@ -378,7 +766,8 @@ class ProxyServerSystem extends EventEmitter {
                 req.rawBody = Buffer.concat(chunks);
 
                 // Try to parse JSON for req.body compatibility
-                if (req.headers["content-type"]?.includes("application/json")) {
+                // Ollama clients often omit the content type, its server always reads JSON
+                if (req.headers["content-type"]?.includes("application/json") || OLLAMA_JSON_PATHS.includes(req.path)) {
                     try {
                         req.body = JSON.parse(req.rawBody.toString());
                     } catch (e) {
@@ -418,13 +807,42 @@ class ProxyServerSystem extends EventEmitter {
         // Setup session and all routes (auth, status, and auth creation)
         this.webRoutes.setupSession(app);
 
+        // Generated image URLs are fetched by clients without API keys, the random ID acts as the credential
+        app.get("/v1/images/files/:id", (req, res) => {
+            const image = this.imageStore.get(req.params.id);
+            if (!image) {
+                return res.status(404).json({ error: { message: "Image not found or expired." } });
+            }
+            res.type(image.mimeType).send(image.buffer);
+        });
+
+        // With METRICS_TOKEN set, scrapers use that token instead of an API key
+        app.get("/metrics", (req, res, next) => {
+            if (!this.config.metricsToken) return next();
+            const token = req.headers.authorization?.startsWith("Bearer ")
+                ? req.headers.authorization.substring(7)
+                : req.query.token;
+            if (token !== this.config.metricsToken) {
+                return res.status(401).json({ error: { message: "Invalid metrics token." } });
+            }
+            this._sendMetrics(res);
+        });
+
+        app.use(this._createVertexPathMiddleware());
         // API authentication middleware
         app.use(this._createAuthMiddleware());
+        // Registered before the metrics middleware, which restores res.write after the first token
+        app.use(this._createRequestLogMiddleware());
+        app.use(this._createMetricsMiddleware());
+
+        app.get("/metrics", (req, res) => {
+            this._sendMetrics(res);
+        });
 
         // API routes
         app.get(["/v1/models"], (req, res) => {
             // OpenAI format
-            const models = this.config.modelList.map(model => ({
+            const models = [...this._getAllowedModels(req), ...this._getModelAliasEntries(req)].map(model => ({
                 context_window: model.inputTokenLimit,
                 created: Math.floor(Date.now() / 1000),
                 id: model.name.replace("models/", ""),
@@ -440,13 +858,86 @@ class ProxyServerSystem extends EventEmitter {
         });
 
         app.get(["/v1beta/models"], (req, res) => {
-            res.status(200).json({ models: this.config.modelList });
+            res.status(200).json({ models: this._getAllowedModels(req) });
+        });
+
+        // Ollama API compatible model endpoints
+        app.get("/api/tags", (req, res) => {
+            res.status(200).json({
+                models: [...this._getAllowedModels(req), ...this._getModelAliasEntries(req)].map(model =>
+                    this._toOllamaModel(model)
+                ),
+            });
+        });
+
+        app.post("/api/show", (req, res) => {
+            const name = String(req.body.model || req.body.name || "").replace(/:latest$/, "");
+            const model = [...this._getAllowedModels(req), ...this._getModelAliasEntries(req)].find(
+                entry => entry.name.replace("models/", "") === name
+            );
+            if (!model) {
+                return res.status(404).json({ error: `model '${name}' not found` });
+            }
+
+            const methods = model.supportedGenerationMethods || [];
+            const capabilities = methods.includes("generateContent") ? ["completion", "tools", "vision"] : [];
+            if (model.thinking) capabilities.push("thinking");
+            if (methods.includes("embedContent")) capabilities.push("embedding");
+
+            const { details, modified_at } = this._toOllamaModel(model);
+            res.status(200).json({
+                capabilities,
+                details,
+                model_info: {
+                    "gemini.context_length": model.inputTokenLimit,
+                    "general.architecture": "gemini",
+                },
+                modelfile: "",
+                modified_at,
+                parameters: "",
+                template: "",
+            });
+        });
+
+        // Clients check this before using newer Ollama features (tools, thinking), so report a recent release
+        app.get("/api/version", (req, res) => {
+            res.status(200).json({ version: "0.9.0" });
+        });
+
+        // Batch jobs are stored and answered directly, their items pass through the admission queue when run
+        new BatchRoutes(this).setupRoutes(app);
+
+        // Everything below is sent to the browser and passes through the admission queue
+        app.use(async (req, res, next) => {
+            if (req.path === "/vnc") return next();
+            if (await this.requestHandler.admitRequest(req, res)) next();
         });
 
         app.post("/v1/chat/completions", (req, res) => {
             this.requestHandler.processOpenAIRequest(req, res);
         });
 
+        // OpenAI Responses API compatible endpoint
+        app.post("/v1/responses", (req, res) => {
+            this.requestHandler.processOpenAIResponsesRequest(req, res);
+        });
+
+        app.post("/v1/embeddings", (req, res) => {
+            this.requestHandler.processOpenAIEmbeddingsRequest(req, res);
+        });
+
+        app.post("/v1/images/generations", (req, res) => {
+            this.requestHandler.processOpenAIImagesRequest(req, res);
+        });
+
+        app.post("/v1/images/edits", (req, res) => {
+            this.requestHandler.processOpenAIImagesRequest(req, res, true);
+        });
+
+        app.post("/v1/audio/speech", (req, res) => {
+            this.requestHandler.processOpenAISpeechRequest(req, res);
+        });
+
         // Claude API compatible endpoint
         app.post("/v1/messages", (req, res) => {
             this.requestHandler.processClaudeRequest(req, res);
@@ -457,6 +948,15 @@ class ProxyServerSystem extends EventEmitter {
             this.requestHandler.processClaudeCountTokens(req, res);
         });
 
+        // Ollama API compatible endpoints
+        app.post("/api/chat", (req, res) => {
+            this.requestHandler.processOllamaRequest(req, res);
+        });
+
+        app.post("/api/generate", (req, res) => {
+            this.requestHandler.processOllamaRequest(req, res, true);
+        });
+
         // VNC WebSocket downgrade / missing headers handler
         // If Nginx or another proxy strips "Upgrade: websocket" headers, the request appears as a normal GET.
         // We intercept it here to prevent it from falling through to the Gemini proxy.
@@ -510,8 +1010,11 @@ class ProxyServerSystem extends EventEmitter {
                 }
             });
             this.wsServer.on("connection", (ws, req) => {
+                // build.js reports which account it belongs to via ?authIndex=N
+                const authIndex = parseInt(new URL(req.url, "ws://localhost").searchParams.get("authIndex"), 10);
                 this.connectionRegistry.addConnection(ws, {
                     address: req.socket.remoteAddress,
+                    authIndex: Number.isNaN(authIndex) ? null : authIndex,
                 });
             });
         });
@@ -10,7 +10,14 @@
  * Main request handler that coordinates between other modules
  */
 const AuthSwitcher = require("../auth/AuthSwitcher");
+const AutoContinuation = require("./AutoContinuation");
 const FormatConverter = require("./FormatConverter");
+const RequestQueue = require("./RequestQueue");
+const ResponseCache = require("../utils/ResponseCache");
+const SafetyPolicy = require("../utils/SafetyPolicy");
+const metrics = require("../utils/Metrics");
+const { parseMultipartForm } = require("../utils/MultipartParser");
+const { parsePcmSampleRate, pcmToWav } = require("../utils/AudioUtils");
 
 class RequestHandler {
     constructor(serverSystem, connectionRegistry, logger, browserManager, config, authSource) {
@@ -22,12 +29,24 @@ class RequestHandler {
         this.authSource = authSource;
 
         // Initialize sub-modules
-        this.authSwitcher = new AuthSwitcher(logger, config, authSource, browserManager);
+        this.authSwitcher = new AuthSwitcher(logger, config, authSource, browserManager, serverSystem.browserPool);
         this.formatConverter = new FormatConverter(logger, serverSystem);
+        this.requestQueue = new RequestQueue(logger, {
+            getTabCount: () => (serverSystem.browserPool ? serverSystem.browserPool.getActiveAuthIndices().length : 1),
+            isPaused: () => this.authSwitcher.isSystemBusy,
+            maxInFlight: config.maxConcurrentRequests,
+            maxQueueLength: config.maxQueueLength,
+            mode: config.queueMode,
+        });
+        this.authSwitcher.onReady(() => this.requestQueue.pump());
+        this.responseCache = new ResponseCache(logger, config);
+        this.safetyPolicy = new SafetyPolicy(logger, config);
 
         this.maxRetries = this.config.maxRetries;
         this.retryDelay = this.config.retryDelay;
         this.needsSwitchingAfterRequest = false;
+        // Request ID -> client response, so forwarded attempts can be attributed in the request log
+        this.requestResponses = new Map();
     }
 
     // Delegate properties to AuthSwitcher
@@ -47,9 +66,17 @@ class RequestHandler {
         return this.authSwitcher.isSystemBusy;
     }
 
+    get quotaCooldowns() {
+        return this.authSwitcher.quotaCooldowns;
+    }
+
+    get rotationStrategy() {
+        return this.authSwitcher.rotationStrategy;
+    }
+
     // Delegate methods to AuthSwitcher
     async _switchToNextAuth() {
-        return this.authSwitcher.switchToNextAuth();
+        return this.authSwitcher.switchToNextAuth("manual");
     }
 
     async _switchToSpecificAuth(targetIndex) {
@@ -109,18 +136,54 @@ class RequestHandler {
         this.logger.info(`[System] System is busy (switching/recovering), waiting up to ${timeoutMs / 1000}s...`);
 
         const startTime = Date.now();
-        const checkInterval = 200; // Check every 200ms
+        const ready = await new Promise(resolve => {
+            const timer = setTimeout(() => {
+                unsubscribe();
+                resolve(false);
+            }, timeoutMs);
+            const unsubscribe = this.authSwitcher.onReady(() => {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(true);
+            });
+        });
 
-        while (Date.now() - startTime < timeoutMs) {
-            if (!this.authSwitcher.isSystemBusy) {
-                this.logger.info(`[System] System ready after ${Date.now() - startTime}ms.`);
-                return true;
-            }
-            await new Promise(resolve => setTimeout(resolve, checkInterval));
+        if (ready) {
+            this.logger.info(`[System] System ready after ${Date.now() - startTime}ms.`);
+        } else {
+            this.logger.warn(`[System] Timeout waiting for system after ${timeoutMs}ms.`);
         }
+        return ready;
+    }
 
-        this.logger.warn(`[System] Timeout waiting for system after ${timeoutMs}ms.`);
-        return false;
+    /**
+     * Hold a request in the admission queue until it may be sent to the browser.
+     * The slot is released when the response ends; clients that disconnect while waiting leave the queue.
+     * @returns {Promise<boolean>} true if admitted, false if an error response was sent or the client left
+     */
+    async admitRequest(req, res) {
+        const ticket = this.requestQueue.acquire(req.apiKey ? req.apiKey.id : null);
+        res.on("close", ticket.cancel);
+
+        const result = await ticket.promise;
+        res.off("close", ticket.cancel);
+
+        if (!result.success) {
+            if (result.error.status === 499) return false;
+            if (result.error.retryAfter) res.set("Retry-After", String(result.error.retryAfter));
+            this.logger.warn(`[Queue] Request rejected: ${result.error.message}`);
+            this._sendErrorResponse(res, result.error.status, result.error.message);
+            return false;
+        }
+
+        // The client may have left in the same tick the slot was granted
+        if (res.destroyed || res.writableEnded) {
+            result.release();
+            return false;
+        }
+        res.on("finish", result.release);
+        res.on("close", result.release);
+        return true;
     }
 
     /**
@@ -206,7 +269,7 @@ class RequestHandler {
             } else if (this.authSource.getRotationIndices().length > 0) {
                 this.logger.warn("⚠️ [System] No current account, attempting to switch to first available account...");
                 // Don't set isSystemBusy here - let switchToNextAuth manage it
-                const result = await this.authSwitcher.switchToNextAuth();
+                const result = await this.authSwitcher.switchToNextAuth("recovery");
                 if (!result.success) {
                     this.logger.error(`❌ [System] Failed to switch to available account: ${result.reason}`);
                     await this._sendErrorResponse(res, 503, `Service temporarily unavailable: ${result.reason}`);
@@ -234,7 +297,7 @@ class RequestHandler {
             if (wasDirectRecovery && this.authSource.getRotationIndices().length > 1) {
                 this.logger.warn("⚠️ [System] Attempting to switch to alternative account...");
                 try {
-                    const result = await this.authSwitcher.switchToNextAuth();
+                    const result = await this.authSwitcher.switchToNextAuth("recovery");
                     if (!result.success) {
                         this.logger.error(`❌ [System] Failed to switch to alternative account: ${result.reason}`);
                         await this._sendErrorResponse(res, 503, `Service temporarily unavailable: ${result.reason}`);
@@ -274,12 +337,19 @@ class RequestHandler {
             }
         }
 
+        // The other pooled contexts died with the browser, bring them back in the background
+        if (recoverySuccess && this.serverSystem.browserPool) {
+            this.serverSystem.browserPool.fill().catch(err => {
+                this.logger.error(`[Pool] Background pool refill failed: ${err.message}`);
+            });
+        }
+
         return recoverySuccess;
     }
 
     // Process standard Google API requests
     async processRequest(req, res) {
-        const requestId = this._generateRequestId();
+        const requestId = this._generateRequestId(res);
 
         // Check browser connection
         if (!this.connectionRegistry.hasActiveConnections()) {
@@ -368,7 +438,7 @@ class RequestHandler {
                 this.logger.info(
                     `[Auth] Rotation count reached switching threshold (${this.authSwitcher.usageCount}/${this.config.switchOnUses}), will automatically switch account in background...`
                 );
-                this.authSwitcher.switchToNextAuth().catch(err => {
+                this.authSwitcher.switchToNextAuth("usage_threshold").catch(err => {
                     this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
                 });
                 this.needsSwitchingAfterRequest = false;
@@ -379,7 +449,7 @@ class RequestHandler {
 
     // Process File Upload requests
     async processUploadRequest(req, res) {
-        const requestId = this._generateRequestId();
+        const requestId = this._generateRequestId(res);
         this.logger.info(`[Upload] Processing upload request ${req.method} ${req.path} (ID: ${requestId})`);
 
         // Check browser connection
@@ -446,7 +516,7 @@ class RequestHandler {
 
     // Process OpenAI format requests
     async processOpenAIRequest(req, res) {
-        const requestId = this._generateRequestId();
+        const requestId = this._generateRequestId(res);
 
         // Check browser connection
         if (!this.connectionRegistry.hasActiveConnections()) {
@@ -510,6 +580,7 @@ class RequestHandler {
             const result = await this.formatConverter.translateOpenAIToGoogle(req.body);
             googleBody = result.googleRequest;
             model = result.cleanModelName;
+            this._setSchemaWarningsHeader(res, result.schemaWarnings);
         } catch (error) {
             this.logger.error(`[Adapter] OpenAI request translation failed: ${error.message}`);
             return this._sendErrorResponse(res, 400, "Invalid OpenAI request format.");
@@ -531,8 +602,7 @@ class RequestHandler {
 
         try {
             if (useRealStream) {
-                this._forwardRequest(proxyRequest);
-                const initialMessage = await messageQueue.dequeue();
+                const initialMessage = await this._forwardWithModelFallback(proxyRequest, messageQueue);
 
                 if (initialMessage.event_type === "error") {
                     this.logger.error(
@@ -559,6 +629,7 @@ class RequestHandler {
                     );
                     this.authSwitcher.failureCount = 0;
                 }
+                model = res.locals.fallbackModel || model;
 
                 res.status(200).set({
                     "Cache-Control": "no-cache",
@@ -614,6 +685,7 @@ class RequestHandler {
                         this.logger.info(`✅ [Auth] OpenAI interface request successful - failure count reset to 0`);
                         this.authSwitcher.failureCount = 0;
                     }
+                    model = res.locals.fallbackModel || model;
 
                     if (isOpenAIStream) {
                         // Fake stream - ensure headers are set before sending data
@@ -640,6 +712,7 @@ class RequestHandler {
                                 this.logger.error(
                                     `[Request] Error received during OpenAI fake stream: ${message.message}`
                                 );
+                                res.locals.errorMessage = message.message;
                                 if (!res.writableEnded) {
                                     res.write(
                                         `data: ${JSON.stringify({ error: { code: 500, message: message.message, type: "api_error" } })}\n\n`
@@ -656,6 +729,7 @@ class RequestHandler {
                             model,
                             streamState
                         );
+                        this._recordTokenUsage(res, streamState.usageMetadata);
                         if (translatedChunk) res.write(translatedChunk);
                         res.write("data: [DONE]\n\n");
                         this.logger.info("[Request] Fake mode: Complete content sent at once.");
@@ -675,7 +749,7 @@ class RequestHandler {
                 this.logger.info(
                     `[Auth] Rotation count reached switching threshold, will automatically switch account in background...`
                 );
-                this.authSwitcher.switchToNextAuth().catch(err => {
+                this.authSwitcher.switchToNextAuth("usage_threshold").catch(err => {
                     this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
                 });
                 this.needsSwitchingAfterRequest = false;
@@ -684,9 +758,18 @@ class RequestHandler {
         }
     }
 
-    // Process Claude API format requests
-    async processClaudeRequest(req, res) {
-        const requestId = this._generateRequestId();
+    // Process OpenAI Responses API format requests
+    async processOpenAIResponsesRequest(req, res) {
+        const requestId = this._generateRequestId(res);
+
+        // Conversation state is not stored server-side, clients must resend the full input
+        if (req.body.previous_response_id) {
+            return this._sendErrorResponse(
+                res,
+                400,
+                "previous_response_id is not supported by this proxy, please send the full conversation in input."
+            );
+        }
 
         // Check browser connection
         if (!this.connectionRegistry.hasActiveConnections()) {
@@ -698,26 +781,24 @@ class RequestHandler {
         if (this.authSwitcher.isSystemBusy) {
             const ready = await this._waitForSystemReady();
             if (!ready) {
-                return this._sendClaudeErrorResponse(
+                return this._sendErrorResponse(
                     res,
                     503,
-                    "overloaded_error",
-                    "Server undergoing internal maintenance, please try again later."
+                    "Server undergoing internal maintenance (account switching/recovery), please try again later."
                 );
             }
+            // After system ready, ensure connection is available
             if (!this.connectionRegistry.hasActiveConnections()) {
                 const connectionReady = await this._waitForConnection(10000);
                 if (!connectionReady) {
-                    return this._sendClaudeErrorResponse(
+                    return this._sendErrorResponse(
                         res,
                         503,
-                        "overloaded_error",
-                        "Service temporarily unavailable: Connection not established."
+                        "Service temporarily unavailable: Connection not established after switching."
                     );
                 }
             }
         }
-
         if (this.browserManager) {
             this.browserManager.notifyUserActivity();
         }
@@ -729,9 +810,9 @@ class RequestHandler {
             }
         });
 
-        const isClaudeStream = req.body.stream === true;
+        const isResponsesStream = req.body.stream === true;
         const systemStreamMode = this.serverSystem.streamingMode;
-        const useRealStream = isClaudeStream && systemStreamMode === "real";
+        const useRealStream = isResponsesStream && systemStreamMode === "real";
 
         // Handle usage counting
         const usageCount = this.authSwitcher.incrementUsageCount();
@@ -739,22 +820,23 @@ class RequestHandler {
             const rotationCountText =
                 this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
             this.logger.info(
-                `[Request] Claude generation request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex})`
+                `[Request] OpenAI Responses generation request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex})`
             );
             if (this.authSwitcher.shouldSwitchByUsage()) {
                 this.needsSwitchingAfterRequest = true;
             }
         }
 
-        // Translate Claude format to Google format
+        // Translate OpenAI Responses format to Google format (also handles model name suffix parsing)
         let googleBody, model;
         try {
-            const result = await this.formatConverter.translateClaudeToGoogle(req.body);
+            const result = await this.formatConverter.translateOpenAIResponsesToGoogle(req.body);
             googleBody = result.googleRequest;
             model = result.cleanModelName;
+            this._setSchemaWarningsHeader(res, result.schemaWarnings);
         } catch (error) {
-            this.logger.error(`[Adapter] Claude request translation failed: ${error.message}`);
-            return this._sendClaudeErrorResponse(res, 400, "invalid_request_error", "Invalid Claude request format.");
+            this.logger.error(`[Adapter] OpenAI Responses request translation failed: ${error.message}`);
+            return this._sendErrorResponse(res, 400, "Invalid OpenAI Responses request format.");
         }
 
         const googleEndpoint = useRealStream ? "streamGenerateContent" : "generateContent";
@@ -773,43 +855,49 @@ class RequestHandler {
 
         try {
             if (useRealStream) {
-                this._forwardRequest(proxyRequest);
-                const initialMessage = await messageQueue.dequeue();
+                const initialMessage = await this._forwardWithModelFallback(proxyRequest, messageQueue);
 
                 if (initialMessage.event_type === "error") {
                     this.logger.error(
                         `[Request] Received error from browser, will trigger switching logic. Status code: ${initialMessage.status}, message: ${initialMessage.message}`
                     );
-                    this._sendClaudeErrorResponse(
-                        res,
-                        initialMessage.status || 500,
-                        "api_error",
-                        initialMessage.message
-                    );
+
+                    // Send standard HTTP error response
+                    this._sendErrorResponse(res, initialMessage.status || 500, initialMessage.message);
+
+                    // Avoid switching account if the error is just a connection reset
                     if (!this._isConnectionResetError(initialMessage)) {
                         await this.authSwitcher.handleRequestFailureAndSwitch(initialMessage, null);
+                    } else {
+                        this.logger.info(
+                            "[Request] Failure due to connection reset (Real Stream), skipping account switch."
+                        );
                     }
                     return;
                 }
 
                 if (this.authSwitcher.failureCount > 0) {
-                    this.logger.info(`✅ [Auth] Claude request successful - failure count reset to 0`);
+                    this.logger.info(
+                        `✅ [Auth] OpenAI Responses interface request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
+                    );
                     this.authSwitcher.failureCount = 0;
                 }
+                model = res.locals.fallbackModel || model;
 
                 res.status(200).set({
                     "Cache-Control": "no-cache",
                     Connection: "keep-alive",
                     "Content-Type": "text/event-stream",
                 });
-                this.logger.info(`[Request] Claude streaming response (Real Mode) started...`);
-                await this._streamClaudeResponse(messageQueue, res, model);
+                this.logger.info(`[Request] OpenAI Responses streaming response (Real Mode) started...`);
+                await this._streamOpenAIResponsesResponse(messageQueue, res, model);
             } else {
-                // Claude Fake Stream / Non-Stream mode
+                // OpenAI Responses Fake Stream / Non-Stream mode
+                // Set up keep-alive timer for fake stream mode to prevent client timeout
                 let connectionMaintainer;
-                if (isClaudeStream) {
+                if (isResponsesStream) {
                     const scheduleNextKeepAlive = () => {
-                        const randomInterval = 12000 + Math.floor(Math.random() * 6000);
+                        const randomInterval = 12000 + Math.floor(Math.random() * 6000); // 12 - 18 seconds
                         connectionMaintainer = setTimeout(() => {
                             if (!res.headersSent) {
                                 res.status(200).set({
@@ -819,7 +907,7 @@ class RequestHandler {
                                 });
                             }
                             if (!res.writableEnded) {
-                                res.write("event: ping\ndata: {}\n\n");
+                                res.write(": keep-alive\n\n");
                                 scheduleNextKeepAlive();
                             }
                         }, randomInterval);
@@ -831,26 +919,31 @@ class RequestHandler {
                     const result = await this._executeRequestWithRetries(proxyRequest, messageQueue);
 
                     if (!result.success) {
+                        // Send standard HTTP error response for both streaming and non-streaming
                         if (connectionMaintainer) clearTimeout(connectionMaintainer);
-                        this._sendClaudeErrorResponse(
-                            res,
-                            result.error.status || 500,
-                            "api_error",
-                            result.error.message
-                        );
+                        this._sendErrorResponse(res, result.error.status || 500, result.error.message);
+
+                        // Avoid switching account if the error is just a connection reset
                         if (!this._isConnectionResetError(result.error)) {
                             await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                        } else {
+                            this.logger.info(
+                                "[Request] Failure due to connection reset (OpenAI Responses), skipping account switch."
+                            );
                         }
                         return;
                     }
 
                     if (this.authSwitcher.failureCount > 0) {
-                        this.logger.info(`✅ [Auth] Claude request successful - failure count reset to 0`);
+                        this.logger.info(
+                            `✅ [Auth] OpenAI Responses interface request successful - failure count reset to 0`
+                        );
                         this.authSwitcher.failureCount = 0;
                     }
+                    model = res.locals.fallbackModel || model;
 
-                    if (isClaudeStream) {
-                        // Fake stream
+                    if (isResponsesStream) {
+                        // Fake stream - ensure headers are set before sending data
                         if (!res.headersSent) {
                             res.status(200).set({
                                 "Cache-Control": "no-cache",
@@ -858,9 +951,11 @@ class RequestHandler {
                                 "Content-Type": "text/event-stream",
                             });
                         }
+                        // Clear keep-alive timer as we are about to send real data
                         if (connectionMaintainer) clearTimeout(connectionMaintainer);
 
-                        this.logger.info(`[Request] Claude streaming response (Fake Mode) started...`);
+                        this.logger.info(`[Request] OpenAI Responses streaming response (Fake Mode) started...`);
+                        const streamState = {};
                         let fullBody = "";
                         // eslint-disable-next-line no-constant-condition
                         while (true) {
@@ -871,49 +966,41 @@ class RequestHandler {
 
                             if (message.event_type === "error") {
                                 this.logger.error(
-                                    `[Request] Error received during Claude fake stream: ${message.message}`
+                                    `[Request] Error received during OpenAI Responses fake stream: ${message.message}`
                                 );
-                                if (!res.writableEnded) {
-                                    res.write(
-                                        `event: error\ndata: ${JSON.stringify({
-                                            error: {
-                                                message: message.message,
-                                                type: "api_error",
-                                            },
-                                            type: "error",
-                                        })}\n\n`
-                                    );
-                                }
-                                break;
+                                this._sendResponsesStreamError(res, streamState, message.message);
+                                return;
                             }
 
                             if (message.data) fullBody += message.data;
                         }
-                        const streamState = {};
-                        const translatedChunk = this.formatConverter.translateGoogleToClaudeStream(
+                        const translatedEvents = this.formatConverter.translateGoogleToOpenAIResponsesStream(
                             fullBody,
                             model,
                             streamState
                         );
-                        if (translatedChunk) res.write(translatedChunk);
-                        this.logger.info("[Request] Claude fake mode: Complete content sent at once.");
+                        if (translatedEvents) res.write(translatedEvents);
+                        this._recordTokenUsage(res, streamState.usageMetadata);
+                        const closingEvents = this.formatConverter.finishOpenAIResponsesStream(streamState, model);
+                        if (closingEvents) res.write(closingEvents);
+                        this.logger.info("[Request] Fake mode: Complete content sent at once.");
                     } else {
                         // Non-stream
-                        await this._sendClaudeNonStreamResponse(messageQueue, res, model);
+                        await this._sendOpenAIResponsesNonStreamResponse(messageQueue, res, model);
                     }
                 } finally {
                     if (connectionMaintainer) clearTimeout(connectionMaintainer);
                 }
             }
         } catch (error) {
-            this._handleClaudeRequestError(error, res);
+            this._handleRequestError(error, res);
         } finally {
             this.connectionRegistry.removeMessageQueue(requestId);
             if (this.needsSwitchingAfterRequest) {
                 this.logger.info(
                     `[Auth] Rotation count reached switching threshold, will automatically switch account in background...`
                 );
-                this.authSwitcher.switchToNextAuth().catch(err => {
+                this.authSwitcher.switchToNextAuth("usage_threshold").catch(err => {
                     this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
                 });
                 this.needsSwitchingAfterRequest = false;
@@ -922,9 +1009,9 @@ class RequestHandler {
         }
     }
 
-    // Process Claude count tokens request
-    async processClaudeCountTokens(req, res) {
-        const requestId = this._generateRequestId();
+    // Process OpenAI embeddings requests
+    async processOpenAIEmbeddingsRequest(req, res) {
+        let activeRequestId = this._generateRequestId(res);
 
         // Check browser connection
         if (!this.connectionRegistry.hasActiveConnections()) {
@@ -936,126 +1023,981 @@ class RequestHandler {
         if (this.authSwitcher.isSystemBusy) {
             const ready = await this._waitForSystemReady();
             if (!ready) {
-                return this._sendClaudeErrorResponse(
+                return this._sendErrorResponse(
                     res,
                     503,
-                    "overloaded_error",
-                    "Server undergoing internal maintenance, please try again later."
+                    "Server undergoing internal maintenance (account switching/recovery), please try again later."
                 );
             }
+            // After system ready, ensure connection is available
             if (!this.connectionRegistry.hasActiveConnections()) {
                 const connectionReady = await this._waitForConnection(10000);
                 if (!connectionReady) {
-                    return this._sendClaudeErrorResponse(
+                    return this._sendErrorResponse(
                         res,
                         503,
-                        "overloaded_error",
-                        "Service temporarily unavailable: Connection not established."
+                        "Service temporarily unavailable: Connection not established after switching."
                     );
                 }
             }
         }
-
         if (this.browserManager) {
             this.browserManager.notifyUserActivity();
         }
 
         res.on("close", () => {
             if (!res.writableEnded) {
-                this.logger.warn(`[Request] Client closed request #${requestId} connection prematurely.`);
-                this._cancelBrowserRequest(requestId);
+                this.logger.warn(`[Request] Client closed request #${activeRequestId} connection prematurely.`);
+                this._cancelBrowserRequest(activeRequestId);
             }
         });
 
-        // Translate Claude format to Google format
-        let googleBody, model;
+        // Translate OpenAI embeddings format to Gemini batchEmbedContents format
+        let googleRequests, model;
         try {
-            const result = await this.formatConverter.translateClaudeToGoogle(req.body);
-            googleBody = result.googleRequest;
+            const result = this.formatConverter.translateOpenAIEmbeddingsToGoogle(req.body);
+            googleRequests = result.googleRequests;
             model = result.cleanModelName;
         } catch (error) {
-            this.logger.error(`[Adapter] Claude request translation failed: ${error.message}`);
-            return this._sendClaudeErrorResponse(res, 400, "invalid_request_error", "Invalid Claude request format.");
+            this.logger.error(`[Adapter] OpenAI embeddings request translation failed: ${error.message}`);
+            return this._sendErrorResponse(res, 400, `Invalid OpenAI embeddings request: ${error.message}`);
         }
 
-        // Build countTokens request
-        // Per Gemini API docs, countTokens accepts:
-        // - contents[] (simple mode)
-        // - generateContentRequest (full request with model, contents, tools, systemInstruction, etc.)
-        const countTokensBody = {
-            generateContentRequest: {
-                model: `models/${model}`,
-                ...googleBody,
-            },
-        };
+        try {
+            // Calls run one after another, their embeddings are joined in input order
+            const googleResponse = { embeddings: [], usageMetadata: { promptTokenCount: 0 } };
+            for (const [i, googleBody] of googleRequests.entries()) {
+                if (i > 0) activeRequestId = this._generateRequestId(res);
+                const result = await this._fetchGoogleJson({
+                    body: JSON.stringify(googleBody),
+                    headers: { "Content-Type": "application/json" },
+                    is_generative: false,
+                    method: "POST",
+                    path: `/v1beta/models/${model}:batchEmbedContents`,
+                    query_params: {},
+                    request_id: activeRequestId,
+                    streaming_mode: "fake",
+                });
 
-        const proxyRequest = {
-            body: JSON.stringify(countTokensBody),
-            headers: { "Content-Type": "application/json" },
-            is_generative: false,
-            method: "POST",
-            path: `/v1beta/models/${model}:countTokens`,
-            query_params: {},
-            request_id: requestId,
-        };
+                if (!result.success) {
+                    this._sendErrorResponse(res, result.error.status || 500, result.error.message);
 
-        const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+                    // Avoid switching account if the error is just a connection reset
+                    if (!this._isConnectionResetError(result.error)) {
+                        await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                    } else {
+                        this.logger.info(
+                            "[Request] Failure due to connection reset (Embeddings), skipping account switch."
+                        );
+                    }
+                    return;
+                }
 
-        try {
-            this._forwardRequest(proxyRequest);
-            const response = await messageQueue.dequeue();
+                googleResponse.embeddings.push(...(result.body.embeddings || []));
+                googleResponse.usageMetadata.promptTokenCount += result.body.usageMetadata?.promptTokenCount || 0;
+            }
 
-            if (response.event_type === "error") {
-                this.logger.error(
-                    `[Request] Received error from browser, will trigger switching logic. Status code: ${response.status}, message: ${response.message}`
+            const openAIResponse = this.formatConverter.convertGoogleToOpenAIEmbeddings(
+                googleResponse,
+                model,
+                req.body.encoding_format
+            );
+            res.type("application/json").send(JSON.stringify(openAIResponse));
+            this.logger.info(`[Request] OpenAI embeddings completed: ${openAIResponse.data.length} embedding(s)`);
+        } catch (error) {
+            this._handleRequestError(error, res);
+        } finally {
+            if (!res.writableEnded) res.end();
+        }
+    }
+
+    // Process OpenAI Images API requests (generations and edits)
+    async processOpenAIImagesRequest(req, res, isEdit = false) {
+        let activeRequestId = null;
+
+        // Edits are uploaded as multipart/form-data with the source image(s) and an optional mask
+        let params = req.body || {};
+        const inputImages = [];
+        if (isEdit) {
+            try {
+                const { fields, files } = parseMultipartForm(
+                    req.rawBody || Buffer.alloc(0),
+                    req.headers["content-type"]
                 );
-                this._sendClaudeErrorResponse(res, response.status || 500, "api_error", response.message);
-                if (!this._isConnectionResetError(response)) {
-                    await this.authSwitcher.handleRequestFailureAndSwitch(response, null);
+                params = fields;
+                inputImages.push(...files.filter(file => file.fieldName === "image" || file.fieldName === "image[]"));
+                const mask = files.find(file => file.fieldName === "mask");
+                if (mask) {
+                    // Gemini has no mask input, so the mask is sent as an extra image with an instruction
+                    inputImages.push(mask);
+                    params.prompt = `${params.prompt || ""}\n\nThe last image is a mask: only change the areas where the mask is transparent.`;
                 }
-                return;
+            } catch (error) {
+                this.logger.error(`[Adapter] Failed to parse images edit upload: ${error.message}`);
+                return this._sendErrorResponse(res, 400, "Image edits require a multipart/form-data upload.");
             }
-
-            // For non-streaming requests, consume all chunks until STREAM_END
-            let fullBody = "";
-            if (response.type !== "STREAM_END") {
-                if (response.data) fullBody += response.data;
-                // eslint-disable-next-line no-constant-condition
-                while (true) {
-                    const message = await messageQueue.dequeue();
-                    if (message.type === "STREAM_END") {
-                        break;
-                    }
-                    if (message.event_type === "error") {
-                        this.logger.error(`[Request] Error received during count tokens: ${message.message}`);
-                        return this._sendClaudeErrorResponse(res, 500, "api_error", message.message);
-                    }
-                    if (message.data) fullBody += message.data;
-                }
+            if (inputImages.length === 0) {
+                return this._sendErrorResponse(res, 400, "Image edits require at least one image file.");
             }
+        }
 
-            // Parse Gemini response
-            const geminiResponse = JSON.parse(fullBody || response.body);
-            const totalTokens = geminiResponse.totalTokens || 0;
+        // Check browser connection
+        if (!this.connectionRegistry.hasActiveConnections()) {
+            const recovered = await this._handleBrowserRecovery(res);
+            if (!recovered) return;
+        }
 
-            // Reset failure count on success
-            if (this.authSwitcher.failureCount > 0) {
-                this.logger.info(
-                    `✅ [Auth] Count tokens request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
+        // Wait for system to become ready if it's busy
+        if (this.authSwitcher.isSystemBusy) {
+            const ready = await this._waitForSystemReady();
+            if (!ready) {
+                return this._sendErrorResponse(
+                    res,
+                    503,
+                    "Server undergoing internal maintenance (account switching/recovery), please try again later."
                 );
-                this.authSwitcher.failureCount = 0;
             }
+            // After system ready, ensure connection is available
+            if (!this.connectionRegistry.hasActiveConnections()) {
+                const connectionReady = await this._waitForConnection(10000);
+                if (!connectionReady) {
+                    return this._sendErrorResponse(
+                        res,
+                        503,
+                        "Service temporarily unavailable: Connection not established after switching."
+                    );
+                }
+            }
+        }
+        if (this.browserManager) {
+            this.browserManager.notifyUserActivity();
+        }
 
-            // Return Claude-compatible response
+        res.on("close", () => {
+            if (!res.writableEnded && activeRequestId) {
+                this.logger.warn(`[Request] Client closed request #${activeRequestId} connection prematurely.`);
+                this._cancelBrowserRequest(activeRequestId);
+            }
+        });
+
+        // Handle usage counting
+        const usageCount = this.authSwitcher.incrementUsageCount();
+        if (usageCount > 0) {
+            const rotationCountText =
+                this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
+            this.logger.info(
+                `[Request] OpenAI images request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex})`
+            );
+            if (this.authSwitcher.shouldSwitchByUsage()) {
+                this.needsSwitchingAfterRequest = true;
+            }
+        }
+
+        let googleBody, model, isImagen;
+        try {
+            const result = this.formatConverter.translateOpenAIImagesToGoogle(params, inputImages);
+            googleBody = result.googleRequest;
+            model = result.cleanModelName;
+            isImagen = result.isImagen;
+        } catch (error) {
+            this.logger.error(`[Adapter] OpenAI images request translation failed: ${error.message}`);
+            return this._sendErrorResponse(res, 400, `Invalid OpenAI images request: ${error.message}`);
+        }
+
+        const n = Math.min(Math.max(1, parseInt(params.n, 10) || 1), 10);
+        const responseFormat = params.response_format === "url" ? "url" : "b64_json";
+
+        try {
+            const images = [];
+            let lastText = "";
+            // Imagen returns all samples in one call, Gemini image models return one image per call
+            const callCount = isImagen ? 1 : n;
+            for (let i = 0; i < callCount; i++) {
+                activeRequestId = this._generateRequestId(res);
+                const result = await this._fetchGoogleJson({
+                    body: JSON.stringify(googleBody),
+                    headers: { "Content-Type": "application/json" },
+                    is_generative: true,
+                    method: "POST",
+                    path: `/v1beta/models/${model}:${isImagen ? "predict" : "generateContent"}`,
+                    query_params: {},
+                    request_id: activeRequestId,
+                    streaming_mode: "fake",
+                });
+
+                if (!result.success) {
+                    this._sendErrorResponse(res, result.error.status || 500, result.error.message);
+
+                    // Avoid switching account if the error is just a connection reset
+                    if (!this._isConnectionResetError(result.error)) {
+                        await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                    } else {
+                        this.logger.info(
+                            "[Request] Failure due to connection reset (Images), skipping account switch."
+                        );
+                    }
+                    return;
+                }
+
+                this._recordTokenUsage(res, result.body.usageMetadata, true);
+                const generated = this.formatConverter.extractGoogleImages(result.body);
+                if (generated.length === 0) {
+                    lastText = this.formatConverter.convertGoogleToOpenAINonStream(result.body, model).choices[0]
+                        .message.content;
+                }
+                images.push(...generated);
+            }
+
+            if (this.authSwitcher.failureCount > 0) {
+                this.logger.info(`✅ [Auth] OpenAI images request successful - failure count reset to 0`);
+                this.authSwitcher.failureCount = 0;
+            }
+
+            if (images.length === 0) {
+                return this._sendErrorResponse(
+                    res,
+                    500,
+                    `No image was generated by ${model}${lastText ? `: ${lastText}` : "."}`
+                );
+            }
+
+            const data = images.map(image => {
+                const item = {};
+                if (responseFormat === "url") {
+                    const imageId = this.serverSystem.imageStore.save(image.data, image.mimeType);
+                    item.url = `${req.protocol}://${req.get("host")}/v1/images/files/${imageId}`;
+                } else {
+                    item.b64_json = image.data;
+                }
+                if (image.revisedPrompt) item.revised_prompt = image.revisedPrompt;
+                return item;
+            });
+
+            res.status(200).json({ created: Math.floor(Date.now() / 1000), data });
+            this.logger.info(`[Request] OpenAI images request completed: ${data.length} image(s) (${responseFormat})`);
+        } catch (error) {
+            this._handleRequestError(error, res);
+        } finally {
+            if (this.needsSwitchingAfterRequest) {
+                this.logger.info(
+                    `[Auth] Rotation count reached switching threshold, will automatically switch account in background...`
+                );
+                this.authSwitcher.switchToNextAuth("usage_threshold").catch(err => {
+                    this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
+                });
+                this.needsSwitchingAfterRequest = false;
+            }
+            if (!res.writableEnded) res.end();
+        }
+    }
+
+    // Process OpenAI audio speech (TTS) requests
+    async processOpenAISpeechRequest(req, res) {
+        const requestId = this._generateRequestId(res);
+
+        // Only formats that can be produced without an encoder are supported, the default is wav
+        const responseFormat = req.body.response_format || "wav";
+        if (!["pcm", "wav"].includes(responseFormat)) {
+            return this._sendErrorResponse(
+                res,
+                400,
+                `Unsupported response_format "${responseFormat}", supported formats are: wav, pcm.`
+            );
+        }
+
+        // Check browser connection
+        if (!this.connectionRegistry.hasActiveConnections()) {
+            const recovered = await this._handleBrowserRecovery(res);
+            if (!recovered) return;
+        }
+
+        // Wait for system to become ready if it's busy
+        if (this.authSwitcher.isSystemBusy) {
+            const ready = await this._waitForSystemReady();
+            if (!ready) {
+                return this._sendErrorResponse(
+                    res,
+                    503,
+                    "Server undergoing internal maintenance (account switching/recovery), please try again later."
+                );
+            }
+            // After system ready, ensure connection is available
+            if (!this.connectionRegistry.hasActiveConnections()) {
+                const connectionReady = await this._waitForConnection(10000);
+                if (!connectionReady) {
+                    return this._sendErrorResponse(
+                        res,
+                        503,
+                        "Service temporarily unavailable: Connection not established after switching."
+                    );
+                }
+            }
+        }
+        if (this.browserManager) {
+            this.browserManager.notifyUserActivity();
+        }
+
+        res.on("close", () => {
+            if (!res.writableEnded) {
+                this.logger.warn(`[Request] Client closed request #${requestId} connection prematurely.`);
+                this._cancelBrowserRequest(requestId);
+            }
+        });
+
+        // Handle usage counting
+        const usageCount = this.authSwitcher.incrementUsageCount();
+        if (usageCount > 0) {
+            const rotationCountText =
+                this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
+            this.logger.info(
+                `[Request] OpenAI speech request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex})`
+            );
+            if (this.authSwitcher.shouldSwitchByUsage()) {
+                this.needsSwitchingAfterRequest = true;
+            }
+        }
+
+        let googleBody, model;
+        try {
+            const result = this.formatConverter.translateOpenAISpeechToGoogle(req.body);
+            googleBody = result.googleRequest;
+            model = result.cleanModelName;
+        } catch (error) {
+            this.logger.error(`[Adapter] OpenAI speech request translation failed: ${error.message}`);
+            return this._sendErrorResponse(res, 400, `Invalid OpenAI speech request: ${error.message}`);
+        }
+
+        try {
+            const result = await this._fetchGoogleJson({
+                body: JSON.stringify(googleBody),
+                headers: { "Content-Type": "application/json" },
+                is_generative: true,
+                method: "POST",
+                path: `/v1beta/models/${model}:generateContent`,
+                query_params: {},
+                request_id: requestId,
+                streaming_mode: "fake",
+            });
+
+            if (!result.success) {
+                this._sendErrorResponse(res, result.error.status || 500, result.error.message);
+
+                // Avoid switching account if the error is just a connection reset
+                if (!this._isConnectionResetError(result.error)) {
+                    await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                } else {
+                    this.logger.info("[Request] Failure due to connection reset (Speech), skipping account switch.");
+                }
+                return;
+            }
+
+            if (this.authSwitcher.failureCount > 0) {
+                this.logger.info(`✅ [Auth] OpenAI speech request successful - failure count reset to 0`);
+                this.authSwitcher.failureCount = 0;
+            }
+
+            this._recordTokenUsage(res, result.body.usageMetadata);
+            const audio = this.formatConverter.extractGoogleAudio(result.body);
+            if (!audio) {
+                return this._sendErrorResponse(res, 500, `No audio was generated by ${model}.`);
+            }
+
+            const sampleRate = parsePcmSampleRate(audio.mimeType);
+            if (responseFormat === "wav") {
+                res.status(200).type("audio/wav").send(pcmToWav(audio.data, sampleRate));
+            } else {
+                res.status(200).type(`audio/pcm;rate=${sampleRate}`).send(audio.data);
+            }
+            this.logger.info(
+                `[Request] OpenAI speech request completed: ${audio.data.length} bytes of ${sampleRate}Hz audio (${responseFormat})`
+            );
+        } catch (error) {
+            this._handleRequestError(error, res);
+        } finally {
+            if (this.needsSwitchingAfterRequest) {
+                this.logger.info(
+                    `[Auth] Rotation count reached switching threshold, will automatically switch account in background...`
+                );
+                this.authSwitcher.switchToNextAuth("usage_threshold").catch(err => {
+                    this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
+                });
+                this.needsSwitchingAfterRequest = false;
+            }
+            if (!res.writableEnded) res.end();
+        }
+    }
+
+    // Process Claude API format requests
+    async processClaudeRequest(req, res) {
+        const requestId = this._generateRequestId(res);
+
+        // Check browser connection
+        if (!this.connectionRegistry.hasActiveConnections()) {
+            const recovered = await this._handleBrowserRecovery(res);
+            if (!recovered) return;
+        }
+
+        // Wait for system to become ready if it's busy
+        if (this.authSwitcher.isSystemBusy) {
+            const ready = await this._waitForSystemReady();
+            if (!ready) {
+                return this._sendClaudeErrorResponse(
+                    res,
+                    503,
+                    "overloaded_error",
+                    "Server undergoing internal maintenance, please try again later."
+                );
+            }
+            if (!this.connectionRegistry.hasActiveConnections()) {
+                const connectionReady = await this._waitForConnection(10000);
+                if (!connectionReady) {
+                    return this._sendClaudeErrorResponse(
+                        res,
+                        503,
+                        "overloaded_error",
+                        "Service temporarily unavailable: Connection not established."
+                    );
+                }
+            }
+        }
+
+        if (this.browserManager) {
+            this.browserManager.notifyUserActivity();
+        }
+
+        res.on("close", () => {
+            if (!res.writableEnded) {
+                this.logger.warn(`[Request] Client closed request #${requestId} connection prematurely.`);
+                this._cancelBrowserRequest(requestId);
+            }
+        });
+
+        const isClaudeStream = req.body.stream === true;
+        const systemStreamMode = this.serverSystem.streamingMode;
+        const useRealStream = isClaudeStream && systemStreamMode === "real";
+
+        // Handle usage counting
+        const usageCount = this.authSwitcher.incrementUsageCount();
+        if (usageCount > 0) {
+            const rotationCountText =
+                this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
+            this.logger.info(
+                `[Request] Claude generation request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex})`
+            );
+            if (this.authSwitcher.shouldSwitchByUsage()) {
+                this.needsSwitchingAfterRequest = true;
+            }
+        }
+
+        // Translate Claude format to Google format
+        let googleBody, model;
+        try {
+            const result = await this.formatConverter.translateClaudeToGoogle(req.body);
+            googleBody = result.googleRequest;
+            model = result.cleanModelName;
+            this._setSchemaWarningsHeader(res, result.schemaWarnings);
+        } catch (error) {
+            this.logger.error(`[Adapter] Claude request translation failed: ${error.message}`);
+            return this._sendClaudeErrorResponse(res, 400, "invalid_request_error", "Invalid Claude request format.");
+        }
+
+        const googleEndpoint = useRealStream ? "streamGenerateContent" : "generateContent";
+        const proxyRequest = {
+            body: JSON.stringify(googleBody),
+            headers: { "Content-Type": "application/json" },
+            is_generative: true,
+            method: "POST",
+            path: `/v1beta/models/${model}:${googleEndpoint}`,
+            query_params: useRealStream ? { alt: "sse" } : {},
+            request_id: requestId,
+            streaming_mode: useRealStream ? "real" : "fake",
+        };
+
+        const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+
+        try {
+            if (useRealStream) {
+                const initialMessage = await this._forwardWithModelFallback(proxyRequest, messageQueue);
+
+                if (initialMessage.event_type === "error") {
+                    this.logger.error(
+                        `[Request] Received error from browser, will trigger switching logic. Status code: ${initialMessage.status}, message: ${initialMessage.message}`
+                    );
+                    this._sendClaudeErrorResponse(
+                        res,
+                        initialMessage.status || 500,
+                        "api_error",
+                        initialMessage.message
+                    );
+                    if (!this._isConnectionResetError(initialMessage)) {
+                        await this.authSwitcher.handleRequestFailureAndSwitch(initialMessage, null);
+                    }
+                    return;
+                }
+
+                if (this.authSwitcher.failureCount > 0) {
+                    this.logger.info(`✅ [Auth] Claude request successful - failure count reset to 0`);
+                    this.authSwitcher.failureCount = 0;
+                }
+                model = res.locals.fallbackModel || model;
+
+                res.status(200).set({
+                    "Cache-Control": "no-cache",
+                    Connection: "keep-alive",
+                    "Content-Type": "text/event-stream",
+                });
+                this.logger.info(`[Request] Claude streaming response (Real Mode) started...`);
+                await this._streamClaudeResponse(messageQueue, res, model);
+            } else {
+                // Claude Fake Stream / Non-Stream mode
+                let connectionMaintainer;
+                if (isClaudeStream) {
+                    const scheduleNextKeepAlive = () => {
+                        const randomInterval = 12000 + Math.floor(Math.random() * 6000);
+                        connectionMaintainer = setTimeout(() => {
+                            if (!res.headersSent) {
+                                res.status(200).set({
+                                    "Cache-Control": "no-cache",
+                                    Connection: "keep-alive",
+                                    "Content-Type": "text/event-stream",
+                                });
+                            }
+                            if (!res.writableEnded) {
+                                res.write("event: ping\ndata: {}\n\n");
+                                scheduleNextKeepAlive();
+                            }
+                        }, randomInterval);
+                    };
+                    scheduleNextKeepAlive();
+                }
+
+                try {
+                    const result = await this._executeRequestWithRetries(proxyRequest, messageQueue);
+
+                    if (!result.success) {
+                        if (connectionMaintainer) clearTimeout(connectionMaintainer);
+                        this._sendClaudeErrorResponse(
+                            res,
+                            result.error.status || 500,
+                            "api_error",
+                            result.error.message
+                        );
+                        if (!this._isConnectionResetError(result.error)) {
+                            await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                        }
+                        return;
+                    }
+
+                    if (this.authSwitcher.failureCount > 0) {
+                        this.logger.info(`✅ [Auth] Claude request successful - failure count reset to 0`);
+                        this.authSwitcher.failureCount = 0;
+                    }
+                    model = res.locals.fallbackModel || model;
+
+                    if (isClaudeStream) {
+                        // Fake stream
+                        if (!res.headersSent) {
+                            res.status(200).set({
+                                "Cache-Control": "no-cache",
+                                Connection: "keep-alive",
+                                "Content-Type": "text/event-stream",
+                            });
+                        }
+                        if (connectionMaintainer) clearTimeout(connectionMaintainer);
+
+                        this.logger.info(`[Request] Claude streaming response (Fake Mode) started...`);
+                        let fullBody = "";
+                        // eslint-disable-next-line no-constant-condition
+                        while (true) {
+                            const message = await messageQueue.dequeue();
+                            if (message.type === "STREAM_END") {
+                                break;
+                            }
+
+                            if (message.event_type === "error") {
+                                this.logger.error(
+                                    `[Request] Error received during Claude fake stream: ${message.message}`
+                                );
+                                res.locals.errorMessage = message.message;
+                                if (!res.writableEnded) {
+                                    res.write(
+                                        `event: error\ndata: ${JSON.stringify({
+                                            error: {
+                                                message: message.message,
+                                                type: "api_error",
+                                            },
+                                            type: "error",
+                                        })}\n\n`
+                                    );
+                                }
+                                break;
+                            }
+
+                            if (message.data) fullBody += message.data;
+                        }
+                        const streamState = {};
+                        const translatedChunk = this.formatConverter.translateGoogleToClaudeStream(
+                            fullBody,
+                            model,
+                            streamState
+                        );
+                        this._recordTokenUsage(res, streamState.usageMetadata);
+                        if (translatedChunk) res.write(translatedChunk);
+                        this.logger.info("[Request] Claude fake mode: Complete content sent at once.");
+                    } else {
+                        // Non-stream
+                        await this._sendClaudeNonStreamResponse(messageQueue, res, model);
+                    }
+                } finally {
+                    if (connectionMaintainer) clearTimeout(connectionMaintainer);
+                }
+            }
+        } catch (error) {
+            this._handleClaudeRequestError(error, res);
+        } finally {
+            this.connectionRegistry.removeMessageQueue(requestId);
+            if (this.needsSwitchingAfterRequest) {
+                this.logger.info(
+                    `[Auth] Rotation count reached switching threshold, will automatically switch account in background...`
+                );
+                this.authSwitcher.switchToNextAuth("usage_threshold").catch(err => {
+                    this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
+                });
+                this.needsSwitchingAfterRequest = false;
+            }
+            if (!res.writableEnded) res.end();
+        }
+    }
+
+    // Process Claude count tokens request
+    async processClaudeCountTokens(req, res) {
+        const requestId = this._generateRequestId(res);
+
+        // Check browser connection
+        if (!this.connectionRegistry.hasActiveConnections()) {
+            const recovered = await this._handleBrowserRecovery(res);
+            if (!recovered) return;
+        }
+
+        // Wait for system to become ready if it's busy
+        if (this.authSwitcher.isSystemBusy) {
+            const ready = await this._waitForSystemReady();
+            if (!ready) {
+                return this._sendClaudeErrorResponse(
+                    res,
+                    503,
+                    "overloaded_error",
+                    "Server undergoing internal maintenance, please try again later."
+                );
+            }
+            if (!this.connectionRegistry.hasActiveConnections()) {
+                const connectionReady = await this._waitForConnection(10000);
+                if (!connectionReady) {
+                    return this._sendClaudeErrorResponse(
+                        res,
+                        503,
+                        "overloaded_error",
+                        "Service temporarily unavailable: Connection not established."
+                    );
+                }
+            }
+        }
+
+        if (this.browserManager) {
+            this.browserManager.notifyUserActivity();
+        }
+
+        res.on("close", () => {
+            if (!res.writableEnded) {
+                this.logger.warn(`[Request] Client closed request #${requestId} connection prematurely.`);
+                this._cancelBrowserRequest(requestId);
+            }
+        });
+
+        // Translate Claude format to Google format
+        let googleBody, model;
+        try {
+            const result = await this.formatConverter.translateClaudeToGoogle(req.body);
+            googleBody = result.googleRequest;
+            model = result.cleanModelName;
+            this._setSchemaWarningsHeader(res, result.schemaWarnings);
+        } catch (error) {
+            this.logger.error(`[Adapter] Claude request translation failed: ${error.message}`);
+            return this._sendClaudeErrorResponse(res, 400, "invalid_request_error", "Invalid Claude request format.");
+        }
+
+        // Build countTokens request
+        // Per Gemini API docs, countTokens accepts:
+        // - contents[] (simple mode)
+        // - generateContentRequest (full request with model, contents, tools, systemInstruction, etc.)
+        const countTokensBody = {
+            generateContentRequest: {
+                model: `models/${model}`,
+                ...googleBody,
+            },
+        };
+
+        const proxyRequest = {
+            body: JSON.stringify(countTokensBody),
+            headers: { "Content-Type": "application/json" },
+            is_generative: false,
+            method: "POST",
+            path: `/v1beta/models/${model}:countTokens`,
+            query_params: {},
+            request_id: requestId,
+        };
+
+        const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+
+        try {
+            this._forwardRequest(proxyRequest);
+            const response = await messageQueue.dequeue();
+
+            if (response.event_type === "error") {
+                this.logger.error(
+                    `[Request] Received error from browser, will trigger switching logic. Status code: ${response.status}, message: ${response.message}`
+                );
+                this._sendClaudeErrorResponse(res, response.status || 500, "api_error", response.message);
+                if (!this._isConnectionResetError(response)) {
+                    await this.authSwitcher.handleRequestFailureAndSwitch(response, null);
+                }
+                return;
+            }
+
+            // For non-streaming requests, consume all chunks until STREAM_END
+            let fullBody = "";
+            if (response.type !== "STREAM_END") {
+                if (response.data) fullBody += response.data;
+                // eslint-disable-next-line no-constant-condition
+                while (true) {
+                    const message = await messageQueue.dequeue();
+                    if (message.type === "STREAM_END") {
+                        break;
+                    }
+                    if (message.event_type === "error") {
+                        this.logger.error(`[Request] Error received during count tokens: ${message.message}`);
+                        return this._sendClaudeErrorResponse(res, 500, "api_error", message.message);
+                    }
+                    if (message.data) fullBody += message.data;
+                }
+            }
+
+            // Parse Gemini response
+            const geminiResponse = JSON.parse(fullBody || response.body);
+            const totalTokens = geminiResponse.totalTokens || 0;
+
+            // Reset failure count on success
+            if (this.authSwitcher.failureCount > 0) {
+                this.logger.info(
+                    `✅ [Auth] Count tokens request successful - failure count reset from ${this.authSwitcher.failureCount} to 0`
+                );
+                this.authSwitcher.failureCount = 0;
+            }
+
+            // Return Claude-compatible response
             res.status(200).json({
                 input_tokens: totalTokens,
             });
 
-            this.logger.info(`[Request] Claude count tokens completed: ${totalTokens} input tokens`);
+            this.logger.info(`[Request] Claude count tokens completed: ${totalTokens} input tokens`);
+        } catch (error) {
+            this._handleClaudeRequestError(error, res);
+        } finally {
+            this.connectionRegistry.removeMessageQueue(requestId);
+            if (!res.writableEnded) res.end();
+        }
+    }
+
+    // Process Ollama /api/chat and /api/generate requests
+    async processOllamaRequest(req, res, isGenerate = false) {
+        const requestId = this._generateRequestId(res);
+        const startTime = Date.now();
+
+        // Check browser connection
+        if (!this.connectionRegistry.hasActiveConnections()) {
+            const recovered = await this._handleBrowserRecovery(res);
+            if (!recovered) return;
+        }
+
+        // Wait for system to become ready if it's busy
+        if (this.authSwitcher.isSystemBusy) {
+            const ready = await this._waitForSystemReady();
+            if (!ready) {
+                return this._sendOllamaErrorResponse(
+                    res,
+                    503,
+                    "Server undergoing internal maintenance, please try again later."
+                );
+            }
+            if (!this.connectionRegistry.hasActiveConnections()) {
+                const connectionReady = await this._waitForConnection(10000);
+                if (!connectionReady) {
+                    return this._sendOllamaErrorResponse(
+                        res,
+                        503,
+                        "Service temporarily unavailable: Connection not established."
+                    );
+                }
+            }
+        }
+
+        if (this.browserManager) {
+            this.browserManager.notifyUserActivity();
+        }
+
+        res.on("close", () => {
+            if (!res.writableEnded) {
+                this.logger.warn(`[Request] Client closed request #${requestId} connection prematurely.`);
+                this._cancelBrowserRequest(requestId);
+            }
+        });
+
+        // Ollama streams unless the client sends "stream": false
+        const isOllamaStream = req.body.stream !== false;
+        const systemStreamMode = this.serverSystem.streamingMode;
+        const useRealStream = isOllamaStream && systemStreamMode === "real";
+        const endpointName = isGenerate ? "generate" : "chat";
+
+        // Handle usage counting
+        const usageCount = this.authSwitcher.incrementUsageCount();
+        if (usageCount > 0) {
+            const rotationCountText =
+                this.config.switchOnUses > 0 ? `${usageCount}/${this.config.switchOnUses}` : `${usageCount}`;
+            this.logger.info(
+                `[Request] Ollama ${endpointName} request - account rotation count: ${rotationCountText} (Current account: ${this.currentAuthIndex})`
+            );
+            if (this.authSwitcher.shouldSwitchByUsage()) {
+                this.needsSwitchingAfterRequest = true;
+            }
+        }
+
+        // Translate Ollama format to Google format
+        let googleBody, model;
+        try {
+            const result = await this.formatConverter.translateOllamaToGoogle(req.body, isGenerate);
+            googleBody = result.googleRequest;
+            model = result.cleanModelName;
+            this._setSchemaWarningsHeader(res, result.schemaWarnings);
+        } catch (error) {
+            this.logger.error(`[Adapter] Ollama request translation failed: ${error.message}`);
+            return this._sendOllamaErrorResponse(res, 400, "Invalid Ollama request format.");
+        }
+
+        const googleEndpoint = useRealStream ? "streamGenerateContent" : "generateContent";
+        const proxyRequest = {
+            body: JSON.stringify(googleBody),
+            headers: { "Content-Type": "application/json" },
+            is_generative: true,
+            method: "POST",
+            path: `/v1beta/models/${model}:${googleEndpoint}`,
+            query_params: useRealStream ? { alt: "sse" } : {},
+            request_id: requestId,
+            streaming_mode: useRealStream ? "real" : "fake",
+        };
+
+        const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+
+        try {
+            if (useRealStream) {
+                const initialMessage = await this._forwardWithModelFallback(proxyRequest, messageQueue);
+
+                if (initialMessage.event_type === "error") {
+                    this.logger.error(
+                        `[Request] Received error from browser, will trigger switching logic. Status code: ${initialMessage.status}, message: ${initialMessage.message}`
+                    );
+                    this._sendOllamaErrorResponse(res, initialMessage.status || 500, initialMessage.message);
+                    if (!this._isConnectionResetError(initialMessage)) {
+                        await this.authSwitcher.handleRequestFailureAndSwitch(initialMessage, null);
+                    }
+                    return;
+                }
+
+                if (this.authSwitcher.failureCount > 0) {
+                    this.logger.info(`✅ [Auth] Ollama request successful - failure count reset to 0`);
+                    this.authSwitcher.failureCount = 0;
+                }
+                model = res.locals.fallbackModel || model;
+
+                res.status(200).set({
+                    "Cache-Control": "no-cache",
+                    Connection: "keep-alive",
+                    "Content-Type": "application/x-ndjson",
+                });
+                this.logger.info(`[Request] Ollama streaming response (Real Mode) started...`);
+                await this._streamOllamaResponse(messageQueue, res, model, isGenerate, startTime);
+            } else {
+                // Ollama Fake Stream / Non-Stream mode
+                // NDJSON has no comment lines, so unlike SSE no keep-alive is written while waiting
+                const result = await this._executeRequestWithRetries(proxyRequest, messageQueue);
+
+                if (!result.success) {
+                    this._sendOllamaErrorResponse(res, result.error.status || 500, result.error.message);
+                    if (!this._isConnectionResetError(result.error)) {
+                        await this.authSwitcher.handleRequestFailureAndSwitch(result.error, null);
+                    }
+                    return;
+                }
+
+                if (this.authSwitcher.failureCount > 0) {
+                    this.logger.info(`✅ [Auth] Ollama request successful - failure count reset to 0`);
+                    this.authSwitcher.failureCount = 0;
+                }
+                model = res.locals.fallbackModel || model;
+
+                if (isOllamaStream) {
+                    // Fake stream
+                    this.logger.info(`[Request] Ollama streaming response (Fake Mode) started...`);
+                    let fullBody = "";
+                    // eslint-disable-next-line no-constant-condition
+                    while (true) {
+                        const message = await messageQueue.dequeue();
+                        if (message.type === "STREAM_END") {
+                            break;
+                        }
+
+                        if (message.event_type === "error") {
+                            this.logger.error(`[Request] Error received during Ollama fake stream: ${message.message}`);
+                            this._sendOllamaErrorResponse(res, 500, message.message);
+                            return;
+                        }
+
+                        if (message.data) fullBody += message.data;
+                    }
+
+                    res.status(200).set({
+                        "Cache-Control": "no-cache",
+                        Connection: "keep-alive",
+                        "Content-Type": "application/x-ndjson",
+                    });
+                    const streamState = { startTime };
+                    const translatedChunk = this.formatConverter.translateGoogleToOllamaStream(
+                        fullBody,
+                        model,
+                        streamState,
+                        isGenerate
+                    );
+                    if (translatedChunk) res.write(translatedChunk);
+                    this._recordTokenUsage(res, streamState.usageMetadata);
+                    res.write(this.formatConverter.finishOllamaStream(streamState, model, isGenerate));
+                    this.logger.info("[Request] Ollama fake mode: Complete content sent at once.");
+                } else {
+                    // Non-stream
+                    await this._sendOllamaNonStreamResponse(messageQueue, res, model, isGenerate, startTime);
+                }
+            }
         } catch (error) {
-            this._handleClaudeRequestError(error, res);
+            this._handleOllamaRequestError(error, res);
         } finally {
             this.connectionRegistry.removeMessageQueue(requestId);
+            if (this.needsSwitchingAfterRequest) {
+                this.logger.info(
+                    `[Auth] Rotation count reached switching threshold, will automatically switch account in background...`
+                );
+                this.authSwitcher.switchToNextAuth("usage_threshold").catch(err => {
+                    this.logger.error(`[Auth] Background account switching task failed: ${err.message}`);
+                });
+                this.needsSwitchingAfterRequest = false;
+            }
             if (!res.writableEnded) res.end();
         }
     }
@@ -1076,6 +2018,7 @@ class RequestHandler {
 
             if (message.event_type === "error") {
                 this.logger.error(`[Request] Error received during Claude stream: ${message.message}`);
+                res.locals.errorMessage = message.message;
                 // Attempt to send error event to client if headers allowed, then close
                 if (!res.writableEnded) {
                     res.write(
@@ -1102,6 +2045,7 @@ class RequestHandler {
                 }
             }
         }
+        this._recordTokenUsage(res, streamState.usageMetadata);
     }
 
     async _sendClaudeNonStreamResponse(messageQueue, res, model) {
@@ -1128,8 +2072,9 @@ class RequestHandler {
 
         try {
             const googleResponse = JSON.parse(fullBody);
+            this._recordTokenUsage(res, googleResponse.usageMetadata);
             const claudeResponse = this.formatConverter.convertGoogleToClaudeNonStream(googleResponse, model);
-            res.type("application/json").send(JSON.stringify(claudeResponse));
+            res.type("application/json").send(JSON.stringify(this._addFallbackField(res, claudeResponse)));
         } catch (e) {
             this.logger.error(`[Adapter] Failed to parse response for Claude: ${e.message}`);
             this._sendClaudeErrorResponse(res, 500, "api_error", "Failed to parse backend response");
@@ -1137,6 +2082,7 @@ class RequestHandler {
     }
 
     _sendClaudeErrorResponse(res, status, errorType, message) {
+        res.locals.errorMessage = message;
         if (!res.headersSent) {
             res.status(status)
                 .type("application/json")
@@ -1171,6 +2117,104 @@ class RequestHandler {
         }
     }
 
+    async _streamOllamaResponse(messageQueue, res, model, isGenerate, startTime) {
+        const streamState = { startTime };
+
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            const message = await messageQueue.dequeue(30000);
+            if (message.type === "STREAM_END") {
+                this.logger.info("[Request] Ollama stream end signal received.");
+                res.write(this.formatConverter.finishOllamaStream(streamState, model, isGenerate));
+                break;
+            }
+
+            if (message.event_type === "error") {
+                this.logger.error(`[Request] Error received during Ollama stream: ${message.message}`);
+                this._sendOllamaErrorResponse(res, 500, message.message);
+                break;
+            }
+
+            if (message.data) {
+                const ollamaChunk = this.formatConverter.translateGoogleToOllamaStream(
+                    message.data,
+                    model,
+                    streamState,
+                    isGenerate
+                );
+                if (ollamaChunk) {
+                    res.write(ollamaChunk);
+                }
+            }
+        }
+        this._recordTokenUsage(res, streamState.usageMetadata);
+    }
+
+    async _sendOllamaNonStreamResponse(messageQueue, res, model, isGenerate, startTime) {
+        let fullBody = "";
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            const message = await messageQueue.dequeue();
+            if (message.type === "STREAM_END") {
+                break;
+            }
+
+            if (message.event_type === "error") {
+                this.logger.error(`[Adapter] Error during Ollama non-stream conversion: ${message.message}`);
+                this._sendOllamaErrorResponse(res, 500, message.message);
+                return;
+            }
+
+            if (message.event_type === "chunk" && message.data) {
+                fullBody += message.data;
+            }
+        }
+
+        try {
+            const googleResponse = JSON.parse(fullBody);
+            this._recordTokenUsage(res, googleResponse.usageMetadata);
+            const ollamaResponse = this.formatConverter.convertGoogleToOllamaNonStream(
+                googleResponse,
+                model,
+                isGenerate,
+                startTime
+            );
+            res.type("application/json").send(JSON.stringify(this._addFallbackField(res, ollamaResponse)));
+        } catch (e) {
+            this.logger.error(`[Adapter] Failed to parse response for Ollama: ${e.message}`);
+            this._sendOllamaErrorResponse(res, 500, "Failed to parse backend response");
+        }
+    }
+
+    // Ollama errors are a plain { error } object, sent as the last NDJSON line once streaming has started
+    _sendOllamaErrorResponse(res, status, message) {
+        res.locals.errorMessage = message;
+        if (!res.headersSent) {
+            res.status(status || 500)
+                .type("application/json")
+                .send(JSON.stringify({ error: message }));
+        } else if (!res.writableEnded) {
+            res.write(`${JSON.stringify({ error: message })}\n`);
+        }
+    }
+
+    _handleOllamaRequestError(error, res) {
+        if (res.headersSent) {
+            this.logger.error(`[Request] Ollama request error (headers already sent): ${error.message}`);
+            this._sendOllamaErrorResponse(res, 500, `Processing failed: ${error.message}`);
+            if (!res.writableEnded) res.end();
+        } else {
+            this.logger.error(`[Request] Ollama request error: ${error.message}`);
+            let status = 500;
+            if (error.message.toLowerCase().includes("timeout")) {
+                status = 504;
+            } else if (this._isConnectionResetError(error)) {
+                status = 503;
+            }
+            this._sendOllamaErrorResponse(res, status, `Proxy error: ${error.message}`);
+        }
+    }
+
     async _handlePseudoStreamResponse(proxyRequest, messageQueue, req, res) {
         this.logger.info("[Request] Entering pseudo-stream mode...");
 
@@ -1264,6 +2308,7 @@ class RequestHandler {
 
             try {
                 const googleResponse = JSON.parse(fullData);
+                this._recordTokenUsage(res, googleResponse.usageMetadata);
                 const candidate = googleResponse.candidates?.[0];
 
                 if (candidate && candidate.content && Array.isArray(candidate.content.parts)) {
@@ -1362,8 +2407,7 @@ class RequestHandler {
 
     async _handleRealStreamResponse(proxyRequest, messageQueue, req, res) {
         this.logger.info(`[Request] Request dispatched to browser for processing...`);
-        this._forwardRequest(proxyRequest);
-        const headerMessage = await messageQueue.dequeue();
+        const headerMessage = await this._forwardWithModelFallback(proxyRequest, messageQueue);
 
         if (headerMessage.event_type === "error") {
             if (headerMessage.message && headerMessage.message.includes("The user aborted a request")) {
@@ -1411,6 +2455,7 @@ class RequestHandler {
 
                 if (dataMessage.event_type === "error") {
                     this.logger.error(`[Request] Error received during Gemini real stream: ${dataMessage.message}`);
+                    res.locals.errorMessage = dataMessage.message;
                     if (!res.writableEnded) {
                         res.write(
                             `data: ${JSON.stringify({ error: { code: 500, message: dataMessage.message, status: "INTERNAL_ERROR" } })}\n\n`
@@ -1429,6 +2474,7 @@ class RequestHandler {
                     const jsonString = lastChunk.substring(6).trim();
                     if (jsonString) {
                         const lastResponse = JSON.parse(jsonString);
+                        this._recordTokenUsage(res, lastResponse.usageMetadata);
                         const finishReason = lastResponse.candidates?.[0]?.finishReason || "UNKNOWN";
                         this.logger.info(
                             `✅ [Request] Response ended, reason: ${finishReason}, request ID: ${proxyRequest.request_id}`
@@ -1503,10 +2549,14 @@ class RequestHandler {
                 }
             }
 
-            const fullBodyBuffer = Buffer.concat(chunks);
+            let fullBodyBuffer = Buffer.concat(chunks);
 
             try {
                 const fullResponse = JSON.parse(fullBodyBuffer.toString());
+                if (res.locals.fallbackModel) {
+                    fullBodyBuffer = Buffer.from(JSON.stringify(this._addFallbackField(res, fullResponse)));
+                }
+                this._recordTokenUsage(res, fullResponse.usageMetadata);
                 const finishReason = fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
                 this.logger.info(
                     `✅ [Request] Response ended, reason: ${finishReason}, request ID: ${proxyRequest.request_id}`
@@ -1532,6 +2582,20 @@ class RequestHandler {
 
     // === Helper Methods ===
 
+    // Keep the latest usage of the request for per-key accounting, Google reports cumulative usage per stream chunk.
+    // Requests made of several upstream calls (e.g. image generation with n > 1) accumulate instead.
+    _recordTokenUsage(res, usageMetadata, accumulate = false) {
+        if (!usageMetadata) return;
+        const usage = this.formatConverter._parseUsage({ usageMetadata });
+        const previous = res.locals.tokenUsage;
+        if (accumulate && previous) {
+            usage.prompt_tokens += previous.prompt_tokens;
+            usage.completion_tokens += previous.completion_tokens;
+            usage.total_tokens += previous.total_tokens;
+        }
+        res.locals.tokenUsage = usage;
+    }
+
     _processImageInResponse(fullBody) {
         try {
             const parsedBody = JSON.parse(fullBody);
@@ -1566,6 +2630,37 @@ class RequestHandler {
         return fullBody;
     }
 
+    /**
+     * Send a non-streaming request through the browser and parse the complete JSON response
+     * @param {object} proxyRequest - Request to forward
+     * @returns {Promise<{success: boolean, body?: object, error?: object}>}
+     */
+    async _fetchGoogleJson(proxyRequest) {
+        const messageQueue = this.connectionRegistry.createMessageQueue(proxyRequest.request_id);
+        try {
+            const result = await this._executeRequestWithRetries(proxyRequest, messageQueue);
+            if (!result.success) return result;
+
+            let fullBody = "";
+            // eslint-disable-next-line no-constant-condition
+            while (true) {
+                const message = await messageQueue.dequeue();
+                if (message.type === "STREAM_END") {
+                    break;
+                }
+                if (message.event_type === "error") {
+                    return { error: { message: message.message, status: message.status || 500 }, success: false };
+                }
+                if (message.event_type === "chunk" && message.data) {
+                    fullBody += message.data;
+                }
+            }
+            return { body: JSON.parse(fullBody), success: true };
+        } finally {
+            this.connectionRegistry.removeMessageQueue(proxyRequest.request_id);
+        }
+    }
+
     async _executeRequestWithRetries(proxyRequest, messageQueue) {
         let lastError = null;
 
@@ -1637,14 +2732,107 @@ class RequestHandler {
                 }
 
                 // Wait before the next retry
+                metrics.retries.inc({ status: errorPayload.status || 500 });
                 await new Promise(resolve => setTimeout(resolve, this.retryDelay));
             }
         }
 
+        if (this._applyModelFallback(proxyRequest, lastError)) {
+            return this._executeRequestWithRetries(proxyRequest, messageQueue);
+        }
+
         // After all retries, return the final failure result
         return { error: lastError, success: false };
     }
 
+    /**
+     * Forward a request and wait for its first message, re-issuing it with the next fallback model
+     * while the model is out of quota or overloaded (used by real streams, which do not retry)
+     * @param {object} proxyRequest - Proxy request
+     * @param {object} messageQueue - Message queue of the request
+     * @returns {Promise<object>} First message of the response, or the last error
+     */
+    async _forwardWithModelFallback(proxyRequest, messageQueue) {
+        this._forwardRequest(proxyRequest);
+        let message = await messageQueue.dequeue();
+        while (message.event_type === "error" && this._applyModelFallback(proxyRequest, message)) {
+            this._forwardRequest(proxyRequest);
+            message = await messageQueue.dequeue();
+        }
+        return message;
+    }
+
+    /**
+     * Point a failed generation request at the next model of its MODEL_FALLBACKS chain. 503 falls back
+     * right away, 429 only once every other rotation account is cooling down for the model too, until
+     * then switching accounts can still serve it. Models the API key may not use are skipped.
+     * @param {object} proxyRequest - Proxy request, its path and thinking config are rewritten
+     * @param {object} error - Error of the last attempt
+     * @returns {boolean} True if the request should be sent again
+     */
+    _applyModelFallback(proxyRequest, error) {
+        if (!proxyRequest.is_generative || ![429, 503].includes(error?.status)) return false;
+        if (this._isConnectionResetError(error)) return false;
+        const modelMatch = proxyRequest.path.match(/\/models\/([^/:]+)/);
+        const res = this.requestResponses.get(proxyRequest.request_id);
+        if (!modelMatch || !res) return false;
+
+        const currentModel = modelMatch[1];
+        const requestedModel = res.locals.requestedModel || currentModel;
+        const chain = this.config.modelFallbacks[requestedModel];
+        if (!chain) return false;
+
+        if (error.status === 429) {
+            const failedIndex = this.authSource.getCanonicalIndex(
+                Number.isInteger(error.auth_index) ? error.auth_index : this.currentAuthIndex
+            );
+            const canSwitch = this.authSource
+                .getRotationIndices()
+                .some(index => index !== failedIndex && !this.quotaCooldowns.isCoolingDown(index, currentModel));
+            if (canSwitch) return false;
+        }
+
+        const apiKey = res.req?.apiKey || null;
+        const nextModel = chain
+            .slice(chain.indexOf(currentModel) + 1)
+            .find(model => this.serverSystem.apiKeyManager.isModelAllowed(apiKey, model));
+        if (!nextModel) return false;
+
+        // The request no longer fails on this account, the quota it ran out of is still remembered
+        if (error.status === 429) this.authSwitcher._recordQuotaCooldown(error);
+
+        try {
+            const body = JSON.parse(proxyRequest.body);
+            const thinkingConfig = body.generationConfig?.thinkingConfig;
+            if (thinkingConfig && (thinkingConfig.thinkingBudget !== undefined || thinkingConfig.thinkingLevel)) {
+                // Gemini 3 models take a thinkingLevel, 2.5 models a thinkingBudget
+                body.generationConfig.thinkingConfig = this.formatConverter.applyThinkingProfile(
+                    thinkingConfig,
+                    nextModel,
+                    { budget: thinkingConfig.thinkingBudget, level: thinkingConfig.thinkingLevel }
+                );
+                proxyRequest.body = JSON.stringify(body);
+            }
+        } catch (e) {
+            // Not a JSON body, sent unchanged
+        }
+
+        this.logger.warn(
+            `[Request] Model ${currentModel} returned ${error.status} for request #${proxyRequest.request_id}, falling back to ${nextModel}.`
+        );
+        proxyRequest.path = proxyRequest.path.replace(`/models/${currentModel}`, `/models/${nextModel}`);
+        res.locals.requestedModel = requestedModel;
+        res.locals.fallbackModel = nextModel;
+        if (!res.headersSent) res.set("X-Fallback-Model", nextModel);
+        return true;
+    }
+
+    // Non-stream bodies name the model that answered when a model fallback was used
+    _addFallbackField(res, body) {
+        if (res.locals.fallbackModel) body["x-fallback-model"] = res.locals.fallbackModel;
+        return body;
+    }
+
     async _streamOpenAIResponse(messageQueue, res, model) {
         const streamState = {};
 
@@ -1659,6 +2847,7 @@ class RequestHandler {
 
             if (message.event_type === "error") {
                 this.logger.error(`[Request] Error received during OpenAI stream: ${message.message}`);
+                res.locals.errorMessage = message.message;
                 // Attempt to send error event to client if headers allowed, then close
                 if (!res.writableEnded) {
                     res.write(
@@ -1679,6 +2868,7 @@ class RequestHandler {
                 }
             }
         }
+        this._recordTokenUsage(res, streamState.usageMetadata);
     }
 
     async _sendOpenAINonStreamResponse(messageQueue, res, model) {
@@ -1706,14 +2896,99 @@ class RequestHandler {
         // Parse and convert to OpenAI format
         try {
             const googleResponse = JSON.parse(fullBody);
+            this._recordTokenUsage(res, googleResponse.usageMetadata);
             const openAIResponse = this.formatConverter.convertGoogleToOpenAINonStream(googleResponse, model);
-            res.type("application/json").send(JSON.stringify(openAIResponse));
+            res.type("application/json").send(JSON.stringify(this._addFallbackField(res, openAIResponse)));
         } catch (e) {
             this.logger.error(`[Adapter] Failed to parse response for OpenAI: ${e.message}`);
             this._sendErrorResponse(res, 500, "Failed to parse backend response");
         }
     }
 
+    async _streamOpenAIResponsesResponse(messageQueue, res, model) {
+        const streamState = {};
+
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            const message = await messageQueue.dequeue(30000);
+            if (message.type === "STREAM_END") {
+                this.logger.info("[Request] OpenAI Responses stream end signal received.");
+                const closingEvents = this.formatConverter.finishOpenAIResponsesStream(streamState, model);
+                if (closingEvents) res.write(closingEvents);
+                break;
+            }
+
+            if (message.event_type === "error") {
+                this.logger.error(`[Request] Error received during OpenAI Responses stream: ${message.message}`);
+                this._sendResponsesStreamError(res, streamState, message.message);
+                break;
+            }
+
+            if (message.data) {
+                const responsesEvents = this.formatConverter.translateGoogleToOpenAIResponsesStream(
+                    message.data,
+                    model,
+                    streamState
+                );
+                if (responsesEvents) {
+                    res.write(responsesEvents);
+                }
+            }
+        }
+        this._recordTokenUsage(res, streamState.usageMetadata);
+    }
+
+    async _sendOpenAIResponsesNonStreamResponse(messageQueue, res, model) {
+        let fullBody = "";
+        let receiving = true;
+        while (receiving) {
+            const message = await messageQueue.dequeue();
+            if (message.type === "STREAM_END") {
+                this.logger.info("[Request] OpenAI Responses received end signal.");
+                receiving = false;
+                break;
+            }
+
+            if (message.event_type === "error") {
+                this.logger.error(`[Adapter] Error during OpenAI Responses non-stream conversion: ${message.message}`);
+                this._sendErrorResponse(res, 500, message.message);
+                return;
+            }
+
+            if (message.event_type === "chunk" && message.data) {
+                fullBody += message.data;
+            }
+        }
+
+        // Parse and convert to OpenAI Responses format
+        try {
+            const googleResponse = JSON.parse(fullBody);
+            this._recordTokenUsage(res, googleResponse.usageMetadata);
+            const responsesResponse = this.formatConverter.convertGoogleToOpenAIResponsesNonStream(
+                googleResponse,
+                model
+            );
+            res.type("application/json").send(JSON.stringify(this._addFallbackField(res, responsesResponse)));
+        } catch (e) {
+            this.logger.error(`[Adapter] Failed to parse response for OpenAI Responses: ${e.message}`);
+            this._sendErrorResponse(res, 500, "Failed to parse backend response");
+        }
+    }
+
+    _sendResponsesStreamError(res, streamState, message) {
+        res.locals.errorMessage = message;
+        if (!res.writableEnded) {
+            const errorEvent = {
+                code: "api_error",
+                message,
+                param: null,
+                sequence_number: streamState.sequenceNumber ?? 0,
+                type: "error",
+            };
+            res.write(`event: error\ndata: ${JSON.stringify(errorEvent)}\n\n`);
+        }
+    }
+
     _setResponseHeaders(res, headerMessage, req) {
         res.status(headerMessage.status || 200);
         const headers = headerMessage.headers || {};
@@ -1780,7 +3055,16 @@ class RequestHandler {
         }
     }
 
+    // Lossy tool and response schema conversions are reported to the client instead of being dropped silently
+    _setSchemaWarningsHeader(res, schemaWarnings) {
+        if (!res || res.headersSent || !schemaWarnings || schemaWarnings.length === 0) return;
+        // Header values must be printable ASCII, property names in the warnings may not be
+        const value = schemaWarnings.join("; ").replace(/[^\x20-\x7e]/g, "?");
+        res.set("X-Schema-Warnings", value.length > 2000 ? `${value.slice(0, 1997)}...` : value);
+    }
+
     _sendErrorResponse(res, status, message) {
+        res.locals.errorMessage = message;
         if (!res.headersSent) {
             const errorPayload = {
                 error: {
@@ -1796,6 +3080,7 @@ class RequestHandler {
     }
 
     _sendErrorChunkToClient(res, message) {
+        res.locals.errorMessage = message;
         if (!res.headersSent) {
             res.setHeader("Content-Type", "text/event-stream");
             res.setHeader("Cache-Control", "no-cache");
@@ -1807,7 +3092,7 @@ class RequestHandler {
     }
 
     _cancelBrowserRequest(requestId) {
-        const connection = this.connectionRegistry.getFirstConnection();
+        const connection = this.connectionRegistry.getConnectionForRequest(requestId);
         if (connection) {
             this.logger.info(`[Request] Cancelling request #${requestId}`);
             connection.send(
@@ -1834,14 +3119,15 @@ class RequestHandler {
             return false;
         }
 
-        const connection = this.connectionRegistry.getFirstConnection();
-        if (connection) {
-            connection.send(
-                JSON.stringify({
-                    event_type: "set_log_level",
-                    level: upperLevel,
-                })
-            );
+        if (this.connectionRegistry.hasActiveConnections()) {
+            for (const connection of this.connectionRegistry.connections) {
+                connection.send(
+                    JSON.stringify({
+                        event_type: "set_log_level",
+                        level: upperLevel,
+                    })
+                );
+            }
             this.logger.info(`[Config] Browser log level set to: ${upperLevel}`);
 
             // Also update server-side LoggingService level to keep in sync
@@ -1869,6 +3155,7 @@ class RequestHandler {
             /^(\/v1beta\/models\/)([^:]+)(:(generateContent|streamGenerateContent).*)$/
         );
         let modelThinkingLevel = null;
+        let modelName = null;
 
         if (modelPathMatch) {
             const pathPrefix = modelPathMatch[1];
@@ -1877,6 +3164,7 @@ class RequestHandler {
 
             const FormatConverter = require("./FormatConverter");
             const { cleanModelName, thinkingLevel } = FormatConverter.parseModelThinkingLevel(rawModelName);
+            modelName = cleanModelName;
 
             if (thinkingLevel) {
                 modelThinkingLevel = thinkingLevel;
@@ -1911,19 +3199,25 @@ class RequestHandler {
             }
         }
 
-        // If thinkingLevel is parsed from model name suffix, inject into thinkingConfig (after force thinking, higher priority, direct override)
-        if (modelThinkingLevel && req.method === "POST" && bodyObj && bodyObj.contents) {
-            if (!bodyObj.generationConfig) {
-                bodyObj.generationConfig = {};
+        // Map the thinking budget/level onto the model's thinking profile (after force thinking).
+        // A thinkingLevel parsed from the model name suffix has the highest priority and overrides the client's config.
+        if (modelName && req.method === "POST" && bodyObj && bodyObj.contents) {
+            const currentConfig = bodyObj.generationConfig?.thinkingConfig || null;
+            const thinkingConfig = this.formatConverter.applyThinkingProfile(
+                currentConfig,
+                modelName,
+                modelThinkingLevel
+                    ? { level: modelThinkingLevel }
+                    : { budget: currentConfig?.thinkingBudget, level: currentConfig?.thinkingLevel }
+            );
+            if (thinkingConfig) {
+                bodyObj.generationConfig = { ...(bodyObj.generationConfig || {}), thinkingConfig };
             }
-            if (!bodyObj.generationConfig.thinkingConfig) {
-                bodyObj.generationConfig.thinkingConfig = {};
+            if (modelThinkingLevel) {
+                this.logger.info(
+                    `[Proxy] Applied thinkingLevel from model name suffix: ${modelThinkingLevel} (Google Native)`
+                );
             }
-            // Model name suffix thinkingLevel has highest priority, direct override
-            bodyObj.generationConfig.thinkingConfig.thinkingLevel = modelThinkingLevel;
-            this.logger.info(
-                `[Proxy] Applied thinkingLevel from model name suffix: ${modelThinkingLevel} (Google Native)`
-            );
         }
 
         // Pre-process native Google requests
@@ -1934,7 +3228,9 @@ class RequestHandler {
                 this.formatConverter.ensureThoughtSignature(bodyObj);
             }
             if (bodyObj.tools) {
-                this.formatConverter.sanitizeGeminiTools(bodyObj);
+                const schemaWarnings = [];
+                this.formatConverter.sanitizeGeminiTools(bodyObj, schemaWarnings);
+                this._setSchemaWarningsHeader(req.res, schemaWarnings);
             }
         }
 
@@ -1984,6 +3280,12 @@ class RequestHandler {
             }
         }
 
+        // auto_continue is a proxy option, Gemini rejects unknown fields
+        if (bodyObj && typeof bodyObj === "object" && "auto_continue" in bodyObj) {
+            this._getAutoContinueRounds(req);
+            delete bodyObj.auto_continue;
+        }
+
         this.logger.debug(`[Proxy] Debug: Final Gemini Request (Google Native) = ${JSON.stringify(bodyObj, null, 2)}`);
 
         return {
@@ -2001,21 +3303,199 @@ class RequestHandler {
     }
 
     _forwardRequest(proxyRequest) {
-        const connection = this.connectionRegistry.getFirstConnection();
+        this._applySafetyPolicy(proxyRequest);
+        const modelMatch = proxyRequest.path.match(/\/models\/([^/:]+)/);
+        if (modelMatch) this.connectionRegistry.setRequestModel(proxyRequest.request_id, modelMatch[1]);
+        this._setupAutoContinuation(proxyRequest);
+        const cacheInfo = this._getCacheInfo(proxyRequest);
+        if (cacheInfo && this._replayCachedResponse(proxyRequest, cacheInfo)) return;
+
+        const connection = this.connectionRegistry.getConnectionForRequest(proxyRequest.request_id);
         if (connection) {
+            if (cacheInfo) this._cacheResponseWhenComplete(proxyRequest, cacheInfo);
             connection.send(
                 JSON.stringify({
                     event_type: "proxy_request",
                     ...proxyRequest,
                 })
             );
+            this._recordAttempt(proxyRequest.request_id);
+            if (proxyRequest.is_generative) {
+                this.authSwitcher.recordAccountUse(
+                    this.connectionRegistry.getAuthIndexForRequest(proxyRequest.request_id) ?? this.currentAuthIndex
+                );
+            }
         } else {
             throw new Error("Unable to forward request: No available WebSocket connection.");
         }
     }
 
-    _generateRequestId() {
-        return `req_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    /**
+     * Resolve how many continuation rounds a request may use: the X-Auto-Continue header, then auto_continue
+     * in the body (top level or extra_body), then AUTO_CONTINUE. true means AUTO_CONTINUE_MAX_ROUNDS, a number
+     * asks for that many rounds up to AUTO_CONTINUE_MAX_ROUNDS.
+     * @param {object} req - Client request
+     * @returns {number}
+     */
+    _getAutoContinueRounds(req) {
+        if (req.autoContinueRounds !== undefined) return req.autoContinueRounds;
+
+        const maxRounds = this.config.autoContinueMaxRounds;
+        const value =
+            req.headers?.["x-auto-continue"] ?? req.body?.auto_continue ?? req.body?.extra_body?.auto_continue;
+        let rounds = this.config.autoContinue ? maxRounds : 0;
+        if (value !== undefined && value !== null) {
+            const text = String(value).trim().toLowerCase();
+            if (text === "true") {
+                rounds = maxRounds;
+            } else if (text === "false") {
+                rounds = 0;
+            } else if (!isNaN(parseInt(text, 10))) {
+                rounds = Math.min(Math.max(0, parseInt(text, 10)), maxRounds);
+            }
+        }
+
+        req.autoContinueRounds = rounds;
+        return rounds;
+    }
+
+    // Each attempt gets a fresh continuation state, requests without continuation get no interceptor
+    _setupAutoContinuation(proxyRequest) {
+        const messageQueue = this.connectionRegistry.getMessageQueue(proxyRequest.request_id);
+        if (!messageQueue) return;
+
+        const res = this.requestResponses.get(proxyRequest.request_id);
+        const maxRounds = res?.req ? this._getAutoContinueRounds(res.req) : 0;
+        if (maxRounds <= 0 || !AutoContinuation.supports(proxyRequest)) {
+            messageQueue.setInterceptor(null);
+            return;
+        }
+
+        const continuation = new AutoContinuation(this.logger, proxyRequest, maxRounds, request => {
+            const connection = this.connectionRegistry.getConnectionForRequest(request.request_id);
+            if (!connection) return false;
+            connection.send(JSON.stringify({ event_type: "proxy_request", ...request }));
+            return true;
+        });
+        messageQueue.setInterceptor(message => continuation.intercept(message));
+    }
+
+    // Generation requests from every API format get their safetySettings here, using the policy of the
+    // API key that made the request. This runs before the cache key is computed.
+    _applySafetyPolicy(proxyRequest) {
+        if (proxyRequest.method !== "POST" || !/:(generateContent|streamGenerateContent)$/.test(proxyRequest.path)) {
+            return;
+        }
+        let body;
+        try {
+            body = JSON.parse(proxyRequest.body);
+        } catch (error) {
+            return;
+        }
+        if (!body || typeof body !== "object" || Array.isArray(body)) return;
+
+        const res = this.requestResponses.get(proxyRequest.request_id);
+        this.safetyPolicy.apply(body, res?.req?.apiKey || null);
+        proxyRequest.body = JSON.stringify(body);
+    }
+
+    // Only complete generation requests are cached, a client can skip the lookup with "Cache-Control: no-cache"
+    // or keep its response out of the cache with "no-store"
+    _getCacheInfo(proxyRequest) {
+        if (!this.responseCache.enabled || proxyRequest.method !== "POST") return null;
+        const match = proxyRequest.path.match(/^\/v1beta\/models\/([^:/]+):(generateContent|streamGenerateContent)$/);
+        if (!match) return null;
+
+        const res = this.requestResponses.get(proxyRequest.request_id);
+        const cacheControl = String(res?.req.headers["cache-control"] || "").toLowerCase();
+        if (cacheControl.includes("no-store")) return null;
+
+        const cacheKey = ResponseCache.computeKey(match[1], proxyRequest.body);
+        if (!cacheKey) return null;
+        return { bypass: cacheControl.includes("no-cache"), key: cacheKey };
+    }
+
+    // Feed a cached response into the message queue as if the browser had sent it,
+    // streaming requests get it as a single SSE event
+    _replayCachedResponse(proxyRequest, cacheInfo) {
+        const messageQueue = this.connectionRegistry.getMessageQueue(proxyRequest.request_id);
+        if (cacheInfo.bypass || !messageQueue) return false;
+        const body = this.responseCache.get(cacheInfo.key);
+        if (!body) return false;
+
+        const isSse = proxyRequest.query_params?.alt === "sse";
+        const isStream = proxyRequest.path.endsWith(":streamGenerateContent");
+        this.logger.info(`[Cache] Serving request #${proxyRequest.request_id} from the response cache.`);
+
+        const res = this.requestResponses.get(proxyRequest.request_id);
+        if (res) {
+            res.locals.cacheHit = true;
+            if (!res.headersSent) res.set("X-Cache", "HIT");
+        }
+
+        const requestId = proxyRequest.request_id;
+        messageQueue.enqueue({
+            event_type: "response_headers",
+            headers: { "content-type": isSse ? "text/event-stream" : "application/json; charset=UTF-8" },
+            request_id: requestId,
+            status: 200,
+        });
+        messageQueue.enqueue({
+            data: isSse ? `data: ${body}\n\n` : isStream ? `[${body}]` : body,
+            event_type: "chunk",
+            request_id: requestId,
+        });
+        messageQueue.enqueue({ type: "STREAM_END" });
+        return true;
+    }
+
+    // Collect the non-streaming response of the current attempt and store it once it completed successfully
+    _cacheResponseWhenComplete(proxyRequest, cacheInfo) {
+        const messageQueue = this.connectionRegistry.getMessageQueue(proxyRequest.request_id);
+        if (!messageQueue || !proxyRequest.path.endsWith(":generateContent")) return;
+
+        // A retry replaces the listener of the failed attempt
+        messageQueue.removeAllListeners("message");
+        let status = null;
+        let body = "";
+        messageQueue.on("message", message => {
+            if (message.event_type === "response_headers") {
+                status = message.status;
+                body = "";
+            } else if (message.event_type === "chunk" && message.data) {
+                body += message.data;
+            } else if (message.event_type === "error") {
+                status = null;
+            } else if (message.type === "STREAM_END") {
+                messageQueue.removeAllListeners("message");
+                if (status === 200) this.responseCache.set(cacheInfo.key, body);
+            }
+        });
+    }
+
+    // Track the account and retries of a client request for the request log,
+    // forwarding the same request ID again means the previous attempt failed
+    _recordAttempt(requestId) {
+        const res = this.requestResponses.get(requestId);
+        if (!res) return;
+
+        const upstream = res.locals.upstream || (res.locals.upstream = { requestIds: new Set(), retries: 0 });
+        if (upstream.requestIds.has(requestId)) {
+            upstream.retries++;
+        } else {
+            upstream.requestIds.add(requestId);
+        }
+        upstream.authIndex = this.connectionRegistry.getAuthIndexForRequest(requestId) ?? this.currentAuthIndex;
+    }
+
+    _generateRequestId(res = null) {
+        const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+        if (res) {
+            res.locals.requestId = res.locals.requestId || requestId;
+            this.requestResponses.set(requestId, res);
+            res.once("close", () => this.requestResponses.delete(requestId));
+        }
+        return requestId;
     }
 }
 
@@ -0,0 +1,176 @@
+/**
+ * File: src/core/RequestQueue.js
+ * Description: Admission queue that limits requests in flight to the browser and orders waiting requests FIFO or fairly per API key
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+/**
+ * Request Queue Module
+ * Requests wait here until a slot is free and the system is not busy switching accounts.
+ * In "fair" mode waiting requests are grouped by API key and served round-robin, so one key
+ * sending a burst cannot starve the others.
+ */
+class RequestQueue {
+    /**
+     * @param {object} logger - Logger instance
+     * @param {object} options - Queue options
+     * @param {number} options.maxInFlight - Max requests in flight per browser tab (0 = unlimited)
+     * @param {number} options.maxQueueLength - Max waiting requests before new ones are rejected
+     * @param {string} options.mode - "fifo" or "fair"
+     * @param {number} [options.timeoutMs=120000] - Max time a request may wait for a slot
+     * @param {Function} options.getTabCount - Returns the number of live browser tabs
+     * @param {Function} options.isPaused - Returns true while requests must not be dispatched
+     */
+    constructor(logger, options) {
+        this.logger = logger;
+        this.maxInFlight = options.maxInFlight;
+        this.maxQueueLength = options.maxQueueLength;
+        this.mode = options.mode;
+        this.timeoutMs = options.timeoutMs || 120000;
+        this.getTabCount = options.getTabCount;
+        this.isPaused = options.isPaused;
+
+        this.inFlight = 0;
+        // group key -> waiting entries, Map keeps the round-robin order
+        this.groups = new Map();
+        this.queuedCount = 0;
+        this.lastServedGroup = null;
+        // Moving average of request duration, used for Retry-After hints
+        this.avgDurationMs = 10000;
+    }
+
+    _getCapacity() {
+        if (this.maxInFlight <= 0) return Infinity;
+        return this.maxInFlight * Math.max(1, this.getTabCount());
+    }
+
+    _estimateWaitSeconds() {
+        const capacity = this._getCapacity();
+        const slots = capacity === Infinity ? 1 : capacity;
+        return Math.max(1, Math.ceil(((this.queuedCount + 1) * this.avgDurationMs) / slots / 1000));
+    }
+
+    /**
+     * Wait for an execution slot
+     * @param {string|null} groupKey - API key ID used for fair ordering
+     * @returns {{promise: Promise<{success: boolean, release?: Function, error?: object}>, cancel: Function}}
+     */
+    acquire(groupKey) {
+        const group = this.mode === "fair" ? groupKey || "default" : "default";
+        let entry = null;
+
+        const promise = new Promise(resolve => {
+            if (this.queuedCount === 0 && this._canDispatch()) {
+                resolve({ release: this._grant(), success: true });
+                return;
+            }
+
+            if (this.queuedCount >= this.maxQueueLength) {
+                resolve({
+                    error: {
+                        message: `Too many queued requests (${this.queuedCount}), please retry later.`,
+                        retryAfter: this._estimateWaitSeconds(),
+                        status: 429,
+                    },
+                    success: false,
+                });
+                return;
+            }
+
+            entry = { group, resolve };
+            entry.timer = setTimeout(() => {
+                this._remove(entry);
+                this.logger.warn(`[Queue] Request waited ${this.timeoutMs / 1000}s without a free slot.`);
+                resolve({
+                    error: {
+                        message: "Timed out waiting for a free slot, the server is busy. Please try again later.",
+                        retryAfter: this._estimateWaitSeconds(),
+                        status: 503,
+                    },
+                    success: false,
+                });
+            }, this.timeoutMs);
+
+            if (!this.groups.has(group)) this.groups.set(group, []);
+            this.groups.get(group).push(entry);
+            this.queuedCount++;
+            this.logger.debug(`[Queue] Request queued (group: ${group}, waiting: ${this.queuedCount})`);
+        });
+
+        const cancel = () => {
+            if (entry && this._remove(entry)) {
+                this.logger.info(`[Queue] Queued request cancelled by client (group: ${group}).`);
+                entry.resolve({ error: { message: "Client disconnected", status: 499 }, success: false });
+            }
+        };
+
+        return { cancel, promise };
+    }
+
+    _canDispatch() {
+        return !this.isPaused() && this.inFlight < this._getCapacity();
+    }
+
+    _grant() {
+        this.inFlight++;
+        const startedAt = Date.now();
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.inFlight--;
+            this.avgDurationMs = this.avgDurationMs * 0.8 + (Date.now() - startedAt) * 0.2;
+            this.pump();
+        };
+    }
+
+    _remove(entry) {
+        const entries = this.groups.get(entry.group);
+        const position = entries ? entries.indexOf(entry) : -1;
+        if (position === -1) return false;
+
+        clearTimeout(entry.timer);
+        entries.splice(position, 1);
+        if (entries.length === 0) this.groups.delete(entry.group);
+        this.queuedCount--;
+        return true;
+    }
+
+    _nextEntry() {
+        const groupKeys = [...this.groups.keys()];
+        if (groupKeys.length === 0) return null;
+
+        // Round-robin: continue with the group after the one served last
+        const lastPosition = groupKeys.indexOf(this.lastServedGroup);
+        const group = groupKeys[(lastPosition + 1) % groupKeys.length];
+        this.lastServedGroup = group;
+        return this.groups.get(group)[0];
+    }
+
+    /**
+     * Dispatch waiting requests while slots are free
+     */
+    pump() {
+        while (this.queuedCount > 0 && this._canDispatch()) {
+            const entry = this._nextEntry();
+            this._remove(entry);
+            entry.resolve({ release: this._grant(), success: true });
+        }
+    }
+
+    getStatus() {
+        const capacity = this._getCapacity();
+        return {
+            inFlight: this.inFlight,
+            maxInFlight: capacity === Infinity ? 0 : capacity,
+            maxQueueLength: this.maxQueueLength,
+            mode: this.mode,
+            paused: this.isPaused(),
+            queued: this.queuedCount,
+            queuedByGroup: Object.fromEntries([...this.groups.entries()].map(([key, list]) => [key, list.length])),
+        };
+    }
+}
+
+module.exports = RequestQueue;
@@ -0,0 +1,190 @@
+/**
+ * File: src/routes/BatchRoutes.js
+ * Description: OpenAI Files/Batches and Anthropic Message Batches routes
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const BatchManager = require("../core/BatchManager");
+const { parseMultipartForm } = require("../utils/MultipartParser");
+
+/**
+ * Batch Routes Manager
+ * Exposes the batch job store in the OpenAI and Anthropic API formats. Files and batches are only visible
+ * to the API key that created them.
+ */
+class BatchRoutes {
+    constructor(serverSystem) {
+        this.serverSystem = serverSystem;
+        this.logger = serverSystem.logger;
+        this.batchManager = serverSystem.batchManager;
+    }
+
+    _sendOpenAIError(res, status, message, code = null) {
+        res.status(status).json({
+            error: { code, message, type: status === 404 ? "not_found_error" : "invalid_request_error" },
+        });
+    }
+
+    _sendAnthropicError(res, status, message) {
+        res.status(status).json({
+            error: { message, type: status === 404 ? "not_found_error" : "invalid_request_error" },
+            type: "error",
+        });
+    }
+
+    /**
+     * Setup batch routes, registered after the API authentication middleware
+     */
+    setupRoutes(app) {
+        const manager = this.batchManager;
+        const getOwner = req => BatchManager.getOwnerId(req.apiKey);
+
+        // === OpenAI Files ===
+
+        app.post("/v1/files", (req, res) => {
+            let form;
+            try {
+                form = parseMultipartForm(req.rawBody || Buffer.alloc(0), req.headers["content-type"]);
+            } catch (error) {
+                return this._sendOpenAIError(res, 400, "Files must be uploaded as multipart/form-data.");
+            }
+            const upload = form.files.find(file => file.fieldName === "file");
+            if (!upload) {
+                return this._sendOpenAIError(res, 400, "Missing file.");
+            }
+            if (form.fields.purpose !== "batch") {
+                return this._sendOpenAIError(res, 400, 'Only files with purpose "batch" are supported.');
+            }
+
+            const file = manager.createFile(getOwner(req), upload.filename, form.fields.purpose, upload.data);
+            this.logger.info(`[Batch] File ${file.id} uploaded (${file.bytes} bytes).`);
+            res.status(200).json(manager.toOpenAIFile(file));
+        });
+
+        app.get("/v1/files", (req, res) => {
+            const files = manager.listFiles(getOwner(req), req.query.purpose);
+            res.status(200).json({ data: files.map(file => manager.toOpenAIFile(file)), object: "list" });
+        });
+
+        app.get("/v1/files/:id", (req, res) => {
+            const file = manager.getFile(getOwner(req), req.params.id);
+            if (!file) return this._sendOpenAIError(res, 404, `No such file: ${req.params.id}`);
+            res.status(200).json(manager.toOpenAIFile(file));
+        });
+
+        app.get("/v1/files/:id/content", (req, res) => {
+            const file = manager.getFile(getOwner(req), req.params.id);
+            if (!file) return this._sendOpenAIError(res, 404, `No such file: ${req.params.id}`);
+            res.type("application/jsonl").send(manager.readFileContent(file));
+        });
+
+        app.delete("/v1/files/:id", (req, res) => {
+            const file = manager.getFile(getOwner(req), req.params.id);
+            if (!file) return this._sendOpenAIError(res, 404, `No such file: ${req.params.id}`);
+            manager.deleteFile(file);
+            res.status(200).json({ deleted: true, id: file.id, object: "file" });
+        });
+
+        // === OpenAI Batches ===
+
+        app.post("/v1/batches", (req, res) => {
+            try {
+                const job = manager.createOpenAIBatch(getOwner(req), req.body || {});
+                res.status(200).json(manager.toOpenAIBatch(job));
+            } catch (error) {
+                this._sendOpenAIError(res, 400, error.message);
+            }
+        });
+
+        app.get("/v1/batches", (req, res) => {
+            const { hasMore, jobs } = manager.listJobs(getOwner(req), "openai", {
+                after: req.query.after,
+                limit: req.query.limit,
+            });
+            res.status(200).json({
+                data: jobs.map(job => manager.toOpenAIBatch(job)),
+                first_id: jobs.length > 0 ? jobs[0].id : null,
+                has_more: hasMore,
+                last_id: jobs.length > 0 ? jobs[jobs.length - 1].id : null,
+                object: "list",
+            });
+        });
+
+        app.get("/v1/batches/:id", (req, res) => {
+            const job = manager.getJob(getOwner(req), req.params.id, "openai");
+            if (!job) return this._sendOpenAIError(res, 404, `No such batch: ${req.params.id}`);
+            res.status(200).json(manager.toOpenAIBatch(job));
+        });
+
+        app.post("/v1/batches/:id/cancel", (req, res) => {
+            const job = manager.getJob(getOwner(req), req.params.id, "openai");
+            if (!job) return this._sendOpenAIError(res, 404, `No such batch: ${req.params.id}`);
+            if (job.status !== "in_progress" && job.status !== "cancelling") {
+                return this._sendOpenAIError(res, 409, `Cannot cancel a batch with status "${job.status}".`);
+            }
+            manager.cancelJob(job);
+            res.status(200).json(manager.toOpenAIBatch(job));
+        });
+
+        // === Anthropic Message Batches ===
+
+        const getBaseUrl = req => `${req.protocol}://${req.get("host")}`;
+
+        app.post("/v1/messages/batches", (req, res) => {
+            try {
+                const job = manager.createAnthropicBatch(getOwner(req), req.body?.requests);
+                res.status(200).json(manager.toAnthropicBatch(job, getBaseUrl(req)));
+            } catch (error) {
+                this._sendAnthropicError(res, 400, error.message);
+            }
+        });
+
+        app.get("/v1/messages/batches", (req, res) => {
+            const { hasMore, jobs } = manager.listJobs(getOwner(req), "anthropic", {
+                after: req.query.after_id,
+                before: req.query.before_id,
+                limit: req.query.limit,
+            });
+            res.status(200).json({
+                data: jobs.map(job => manager.toAnthropicBatch(job, getBaseUrl(req))),
+                first_id: jobs.length > 0 ? jobs[0].id : null,
+                has_more: hasMore,
+                last_id: jobs.length > 0 ? jobs[jobs.length - 1].id : null,
+            });
+        });
+
+        app.get("/v1/messages/batches/:id", (req, res) => {
+            const job = manager.getJob(getOwner(req), req.params.id, "anthropic");
+            if (!job) return this._sendAnthropicError(res, 404, `No such message batch: ${req.params.id}`);
+            res.status(200).json(manager.toAnthropicBatch(job, getBaseUrl(req)));
+        });
+
+        app.post("/v1/messages/batches/:id/cancel", (req, res) => {
+            const job = manager.getJob(getOwner(req), req.params.id, "anthropic");
+            if (!job) return this._sendAnthropicError(res, 404, `No such message batch: ${req.params.id}`);
+            manager.cancelJob(job);
+            res.status(200).json(manager.toAnthropicBatch(job, getBaseUrl(req)));
+        });
+
+        app.get("/v1/messages/batches/:id/results", (req, res) => {
+            const job = manager.getJob(getOwner(req), req.params.id, "anthropic");
+            if (!job) return this._sendAnthropicError(res, 404, `No such message batch: ${req.params.id}`);
+            if (job.status !== "cancelled" && job.status !== "completed" && job.status !== "expired") {
+                return this._sendAnthropicError(res, 400, "Results are available once processing has ended.");
+            }
+            res.type("application/x-jsonl").send(manager.getAnthropicResults(job));
+        });
+
+        app.delete("/v1/messages/batches/:id", (req, res) => {
+            const job = manager.getJob(getOwner(req), req.params.id, "anthropic");
+            if (!job) return this._sendAnthropicError(res, 404, `No such message batch: ${req.params.id}`);
+            if (!manager.deleteJob(job)) {
+                return this._sendAnthropicError(res, 400, "Batches can only be deleted once processing has ended.");
+            }
+            res.status(200).json({ id: job.id, type: "message_batch_deleted" });
+        });
+    }
+}
+
+module.exports = BatchRoutes;
@@ -294,6 +294,7 @@ class StatusRoutes {
             for (const targetIndex of validIndices) {
                 try {
                     authSource.removeAuth(targetIndex);
+                    this.serverSystem.requestHandler.quotaCooldowns.clear(targetIndex);
                     successIndices.push(targetIndex);
                     this.logger.warn(`[WebUI] Account #${targetIndex} deleted via batch delete.`);
                 } catch (error) {
@@ -446,6 +447,7 @@ class StatusRoutes {
 
             try {
                 authSource.removeAuth(targetIndex);
+                this.serverSystem.requestHandler.quotaCooldowns.clear(targetIndex);
 
                 // If deleting current account, close browser connection
                 if (targetIndex === currentAuthIndex) {
@@ -473,6 +475,135 @@ class StatusRoutes {
             }
         });
 
+        app.patch("/api/accounts/:index", isAuthenticated, (req, res) => {
+            const targetIndex = Number(req.params.index);
+            const { authSource } = this.serverSystem;
+
+            if (!Number.isInteger(targetIndex)) {
+                return res.status(400).json({ message: "errorInvalidIndex" });
+            }
+            if (!authSource.availableIndices.includes(targetIndex)) {
+                return res.status(404).json({ index: targetIndex, message: "errorAccountNotFound" });
+            }
+
+            const patch = req.body || {};
+            const isValid =
+                (patch.enabled === undefined || typeof patch.enabled === "boolean") &&
+                (patch.label === undefined || typeof patch.label === "string") &&
+                (patch.notes === undefined || typeof patch.notes === "string") &&
+                (patch.tags === undefined ||
+                    (Array.isArray(patch.tags) && patch.tags.every(t => typeof t === "string"))) &&
+                (patch.weight === undefined || (typeof patch.weight === "number" && patch.weight >= 0));
+            if (!isValid) {
+                return res.status(400).json({ message: "errorInvalidAccountMetadata" });
+            }
+
+            const metadata = authSource.updateAccountMetadata(targetIndex, patch);
+            if (patch.enabled !== undefined) {
+                this.logger.info(
+                    `[WebUI] Account #${targetIndex} ${patch.enabled ? "enabled" : "disabled"} for rotation via web interface.`
+                );
+                // A disabled account that is serving requests is switched away from in the background
+                if (!patch.enabled) {
+                    this.serverSystem.requestHandler.authSwitcher.retireAccount(targetIndex).catch(error => {
+                        this.logger.error(
+                            `[WebUI] Failed to switch away from account #${targetIndex}: ${error.message}`
+                        );
+                    });
+                }
+            } else {
+                this.logger.info(`[WebUI] Account #${targetIndex} metadata updated via web interface.`);
+            }
+            res.status(200).json({ index: targetIndex, message: "accountMetadataUpdateSuccess", metadata });
+        });
+
+        app.get("/api/keys", isAuthenticated, (req, res) => {
+            res.status(200).json({ keys: this.serverSystem.apiKeyManager.list() });
+        });
+
+        app.post("/api/keys", isAuthenticated, (req, res) => {
+            try {
+                const key = this.serverSystem.apiKeyManager.create(req.body || {});
+                this.logger.info(`[WebUI] API key "${key.label}" created via web interface.`);
+                res.status(200).json({ key, message: "apiKeyCreateSuccess" });
+            } catch (error) {
+                res.status(409).json({ error: error.message, message: "apiKeyExists" });
+            }
+        });
+
+        app.put("/api/keys/:id", isAuthenticated, (req, res) => {
+            const key = this.serverSystem.apiKeyManager.update(req.params.id, req.body || {});
+            if (!key) {
+                return res.status(404).json({ message: "apiKeyNotFound" });
+            }
+            this.logger.info(`[WebUI] API key "${key.label}" updated via web interface.`);
+            res.status(200).json({ key, message: "apiKeyUpdateSuccess" });
+        });
+
+        app.delete("/api/keys/:id", isAuthenticated, (req, res) => {
+            try {
+                if (!this.serverSystem.apiKeyManager.remove(req.params.id)) {
+                    return res.status(404).json({ message: "apiKeyNotFound" });
+                }
+                this.logger.warn(`[WebUI] API key ${req.params.id} deleted via web interface.`);
+                res.status(200).json({ message: "apiKeyDeleteSuccess" });
+            } catch (error) {
+                res.status(400).json({ error: error.message, message: "apiKeyEnvReadonly" });
+            }
+        });
+
+        app.get("/api/model-aliases", isAuthenticated, (req, res) => {
+            res.status(200).json({ aliases: this.serverSystem.modelAliases.list() });
+        });
+
+        app.post("/api/model-aliases", isAuthenticated, (req, res) => {
+            try {
+                const alias = this.serverSystem.modelAliases.create(req.body || {});
+                this.logger.info(
+                    `[WebUI] Model alias "${alias.pattern}" -> ${alias.target} created via web interface.`
+                );
+                res.status(200).json({ alias, message: "modelAliasCreateSuccess" });
+            } catch (error) {
+                res.status(400).json({ error: error.message, message: "modelAliasInvalid" });
+            }
+        });
+
+        app.put("/api/model-aliases/:id", isAuthenticated, (req, res) => {
+            try {
+                const alias = this.serverSystem.modelAliases.update(req.params.id, req.body || {});
+                if (!alias) {
+                    return res.status(404).json({ message: "modelAliasNotFound" });
+                }
+                this.logger.info(
+                    `[WebUI] Model alias "${alias.pattern}" -> ${alias.target} updated via web interface.`
+                );
+                res.status(200).json({ alias, message: "modelAliasUpdateSuccess" });
+            } catch (error) {
+                res.status(400).json({ error: error.message, message: "modelAliasInvalid" });
+            }
+        });
+
+        app.delete("/api/model-aliases/:id", isAuthenticated, (req, res) => {
+            if (!this.serverSystem.modelAliases.remove(req.params.id)) {
+                return res.status(404).json({ message: "modelAliasNotFound" });
+            }
+            this.logger.warn(`[WebUI] Model alias ${req.params.id} deleted via web interface.`);
+            res.status(200).json({ message: "modelAliasDeleteSuccess" });
+        });
+
+        app.get("/api/requests", isAuthenticated, (req, res) => {
+            const result = this.serverSystem.requestLogStore.query(req.query);
+            res.status(200).json({ ...result, status: this.serverSystem.requestLogStore.getStatus() });
+        });
+
+        app.get("/api/requests/:id", isAuthenticated, async (req, res) => {
+            const entry = await this.serverSystem.requestLogStore.get(req.params.id);
+            if (!entry) {
+                return res.status(404).json({ message: "requestLogNotFound" });
+            }
+            res.status(200).json({ entry });
+        });
+
         app.put("/api/settings/streaming-mode", isAuthenticated, (req, res) => {
             const newMode = req.body.mode;
             if (newMode === "fake" || newMode === "real") {
@@ -486,6 +617,25 @@ class StatusRoutes {
             }
         });
 
+        app.put("/api/settings/rotation-strategy", isAuthenticated, (req, res) => {
+            const { rotationStrategy } = this.serverSystem.requestHandler;
+            const intervalMinutes =
+                req.body.intervalMinutes !== undefined ? parseInt(req.body.intervalMinutes, 10) : undefined;
+            if (!rotationStrategy.setStrategy(req.body.strategy, intervalMinutes)) {
+                return res.status(400).json({ message: "errorInvalidRotationStrategy" });
+            }
+            this.logger.info(
+                `[WebUI] Rotation strategy switched to: ${rotationStrategy.strategy}${
+                    rotationStrategy.strategy === "timed" ? ` (every ${rotationStrategy.intervalMinutes} minutes)` : ""
+                }`
+            );
+            res.status(200).json({
+                message: "settingUpdateSuccess",
+                setting: "rotationStrategy",
+                value: rotationStrategy.strategy,
+            });
+        });
+
         app.put("/api/settings/force-thinking", isAuthenticated, (req, res) => {
             this.serverSystem.forceThinking = !this.serverSystem.forceThinking;
             const statusText = this.serverSystem.forceThinking;
@@ -594,7 +744,8 @@ class StatusRoutes {
     }
 
     _getStatusData() {
-        const { config, requestHandler, authSource, browserManager } = this.serverSystem;
+        const { config, requestHandler, authSource, browserManager, browserPool, connectionRegistry } =
+            this.serverSystem;
         const initialIndices = authSource.initialIndices || [];
         const invalidIndices = initialIndices.filter(i => !authSource.availableIndices.includes(i));
         const rotationIndices = authSource.getRotationIndices();
@@ -611,7 +762,10 @@ class StatusRoutes {
             const isDuplicate = canonicalIndex !== null && canonicalIndex !== index;
             const isRotation = rotationIndices.includes(index);
 
-            return { canonicalIndex, index, isDuplicate, isInvalid, isRotation, name };
+            const cooldowns = isInvalid ? [] : requestHandler.quotaCooldowns.getCooldowns(canonicalIndex);
+            const metadata = isInvalid ? null : authSource.getAccountMetadata(index);
+
+            return { canonicalIndex, cooldowns, index, isDuplicate, isInvalid, isRotation, metadata, name };
         });
 
         const currentAuthIndex = requestHandler.currentAuthIndex;
@@ -632,8 +786,11 @@ class StatusRoutes {
             logs: displayLogs.join("\n"),
             status: {
                 accountDetails,
+                apiKeys: this.serverSystem.apiKeyManager.list(),
                 apiKeySource: config.apiKeySource,
+                batches: this.serverSystem.batchManager.getStatus(),
                 browserConnected: !!browserManager.browser,
+                browserPool: browserPool ? browserPool.getStatus(connectionRegistry.getAuthLoads()) : null,
                 currentAccountName,
                 currentAuthIndex,
                 debugMode: LoggingService.isDebugEnabled(),
@@ -650,7 +807,11 @@ class StatusRoutes {
                 invalidIndicesRaw: invalidIndices,
                 isSystemBusy: requestHandler.isSystemBusy,
                 logMaxCount: limit,
+                modelAliases: this.serverSystem.modelAliases.list(),
+                requestQueue: requestHandler.requestQueue.getStatus(),
+                responseCache: requestHandler.responseCache.getStatus(),
                 rotationIndicesRaw: rotationIndices,
+                rotationStrategy: requestHandler.rotationStrategy.getStatus(),
                 streamingMode: this.serverSystem.streamingMode,
                 usageCount,
             },
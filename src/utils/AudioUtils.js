@@ -0,0 +1,48 @@
+/**
+ * File: src/utils/AudioUtils.js
+ * Description: Audio helpers for wrapping raw PCM returned by Gemini TTS into playable containers
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+/**
+ * Parse the sample rate from a Gemini audio MIME type
+ * @param {string} mimeType - e.g. "audio/L16;codec=pcm;rate=24000"
+ * @param {number} [fallback=24000] - Sample rate used when the MIME type has none
+ * @returns {number}
+ */
+const parsePcmSampleRate = (mimeType, fallback = 24000) => {
+    const match = typeof mimeType === "string" ? mimeType.match(/rate=(\d+)/i) : null;
+    return match ? parseInt(match[1], 10) : fallback;
+};
+
+/**
+ * Wrap signed 16-bit little-endian PCM in a WAV (RIFF) container
+ * @param {Buffer} pcmBuffer - Raw PCM samples
+ * @param {number} sampleRate - Samples per second
+ * @param {number} [channels=1] - Channel count
+ * @param {number} [bitsPerSample=16] - Bits per sample
+ * @returns {Buffer}
+ */
+const pcmToWav = (pcmBuffer, sampleRate, channels = 1, bitsPerSample = 16) => {
+    const blockAlign = (channels * bitsPerSample) / 8;
+    const header = Buffer.alloc(44);
+
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + pcmBuffer.length, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM format
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(pcmBuffer.length, 40);
+
+    return Buffer.concat([header, pcmBuffer]);
+};
+
+module.exports = { parsePcmSampleRate, pcmToWav };
@@ -7,6 +7,8 @@
 
 const fs = require("fs");
 const path = require("path");
+const RotationStrategy = require("../auth/RotationStrategy");
+const SafetyPolicy = require("./SafetyPolicy");
 
 /**
  * Configuration Loader Module
@@ -19,9 +21,18 @@ class ConfigLoader {
 
     loadConfiguration() {
         const config = {
+            accountMetadataFile: "data/account-metadata.json",
+            allowClientSafetySettings: true,
             apiKeys: [],
+            apiKeysFile: "configs/api-keys.json",
             apiKeySource: "Not set",
+            autoContinue: false,
+            autoContinueMaxRounds: 3,
+            batchConcurrency: 2,
+            batchDataDir: "data/batches",
+            batchRequestsPerMinute: 0,
             browserExecutablePath: null,
+            browserPoolSize: 1,
             enableAuthUpdate: true,
             failureThreshold: 3,
             forceThinking: false,
@@ -30,10 +41,35 @@ class ConfigLoader {
             host: "0.0.0.0",
             httpPort: 7860,
             immediateSwitchStatusCodes: [429, 503],
+            maxConcurrentRequests: 0,
+            maxQueueLength: 100,
             maxRetries: 3,
+            metricsToken: null,
+            modelAliasesFile: "configs/model-aliases.json",
+            // model -> models to try next, in order
+            modelFallbacks: {},
+            queueMode: "fair",
+            quotaCooldownDefault: 60,
+            quotaCooldownFile: "data/quota-cooldowns.json",
+            requestLogCaptureBodies: false,
+            requestLogEnabled: true,
+            requestLogFile: "logs/requests.jsonl",
+            requestLogMaxFiles: 5,
+            requestLogMaxSizeMb: 20,
+            responseCacheDir: null,
+            responseCacheEnabled: false,
+            responseCacheMaxEntries: 500,
+            responseCacheTtl: 3600,
             retryDelay: 2000,
+            rotationInterval: 60,
+            rotationStateFile: "data/rotation-state.json",
+            rotationStrategy: "round-robin",
+            safetyThreshold: "BLOCK_NONE",
             streamingMode: "real",
             switchOnUses: 40,
+            thinkingProfiles: {},
+            thoughtSignatureMaxEntries: 10000,
+            thoughtSignatureTtl: 86400,
             wsPort: 9998,
         };
 
@@ -46,21 +82,120 @@ class ConfigLoader {
                 Math.max(0, parseInt(process.env.FAILURE_THRESHOLD, 10)) ?? config.failureThreshold;
         if (process.env.SWITCH_ON_USES)
             config.switchOnUses = Math.max(0, parseInt(process.env.SWITCH_ON_USES, 10)) ?? config.switchOnUses;
+        if (process.env.ROTATION_STRATEGY) {
+            const rotationStrategy = process.env.ROTATION_STRATEGY.toLowerCase();
+            if (RotationStrategy.STRATEGIES.includes(rotationStrategy)) {
+                config.rotationStrategy = rotationStrategy;
+            } else {
+                this.logger.warn(
+                    `[System] Invalid ROTATION_STRATEGY "${process.env.ROTATION_STRATEGY}", using "${config.rotationStrategy}".`
+                );
+            }
+        }
+        if (process.env.ROTATION_INTERVAL)
+            config.rotationInterval =
+                Math.max(1, parseInt(process.env.ROTATION_INTERVAL, 10)) || config.rotationInterval;
+        if (process.env.ROTATION_STATE_FILE) config.rotationStateFile = process.env.ROTATION_STATE_FILE;
+        if (process.env.ACCOUNT_METADATA_FILE) config.accountMetadataFile = process.env.ACCOUNT_METADATA_FILE;
+        if (process.env.QUOTA_COOLDOWN_DEFAULT)
+            config.quotaCooldownDefault =
+                Math.max(1, parseInt(process.env.QUOTA_COOLDOWN_DEFAULT, 10)) || config.quotaCooldownDefault;
+        if (process.env.QUOTA_COOLDOWN_FILE) config.quotaCooldownFile = process.env.QUOTA_COOLDOWN_FILE;
+        if (process.env.MODEL_FALLBACKS) {
+            // "a>b>c,d>e": a falls back to b then c, b to c, d to e
+            for (const chain of process.env.MODEL_FALLBACKS.split(",")) {
+                const models = chain
+                    .split(">")
+                    .map(model => model.trim().replace(/^models\//, ""))
+                    .filter(model => model);
+                models.slice(0, -1).forEach((model, i) => {
+                    if (!config.modelFallbacks[model]) config.modelFallbacks[model] = models.slice(i + 1);
+                });
+            }
+        }
         if (process.env.MAX_RETRIES)
             config.maxRetries = Math.max(1, parseInt(process.env.MAX_RETRIES, 10)) || config.maxRetries;
         if (process.env.RETRY_DELAY)
             config.retryDelay = Math.max(50, parseInt(process.env.RETRY_DELAY, 10)) || config.retryDelay;
+        if (process.env.MAX_CONCURRENT_REQUESTS)
+            config.maxConcurrentRequests =
+                Math.max(0, parseInt(process.env.MAX_CONCURRENT_REQUESTS, 10)) || config.maxConcurrentRequests;
+        if (process.env.MAX_QUEUE_LENGTH && !isNaN(parseInt(process.env.MAX_QUEUE_LENGTH, 10)))
+            config.maxQueueLength = Math.max(0, parseInt(process.env.MAX_QUEUE_LENGTH, 10));
+        if (process.env.QUEUE_MODE) {
+            const queueMode = process.env.QUEUE_MODE.toLowerCase();
+            if (queueMode === "fifo" || queueMode === "fair") {
+                config.queueMode = queueMode;
+            } else {
+                this.logger.warn(
+                    `[System] Invalid QUEUE_MODE "${process.env.QUEUE_MODE}", using "${config.queueMode}".`
+                );
+            }
+        }
+        if (process.env.METRICS_TOKEN) config.metricsToken = process.env.METRICS_TOKEN;
+        if (process.env.REQUEST_LOG_ENABLED)
+            config.requestLogEnabled = process.env.REQUEST_LOG_ENABLED.toLowerCase() !== "false";
+        if (process.env.REQUEST_LOG_FILE) config.requestLogFile = process.env.REQUEST_LOG_FILE;
+        if (process.env.REQUEST_LOG_MAX_SIZE_MB)
+            config.requestLogMaxSizeMb =
+                Math.max(1, parseInt(process.env.REQUEST_LOG_MAX_SIZE_MB, 10)) || config.requestLogMaxSizeMb;
+        if (process.env.REQUEST_LOG_MAX_FILES && !isNaN(parseInt(process.env.REQUEST_LOG_MAX_FILES, 10)))
+            config.requestLogMaxFiles = Math.max(0, parseInt(process.env.REQUEST_LOG_MAX_FILES, 10));
+        if (process.env.REQUEST_LOG_CAPTURE_BODIES)
+            config.requestLogCaptureBodies = process.env.REQUEST_LOG_CAPTURE_BODIES.toLowerCase() === "true";
+        if (process.env.RESPONSE_CACHE_ENABLED)
+            config.responseCacheEnabled = process.env.RESPONSE_CACHE_ENABLED.toLowerCase() === "true";
+        if (process.env.RESPONSE_CACHE_TTL)
+            config.responseCacheTtl =
+                Math.max(1, parseInt(process.env.RESPONSE_CACHE_TTL, 10)) || config.responseCacheTtl;
+        if (process.env.RESPONSE_CACHE_MAX_ENTRIES)
+            config.responseCacheMaxEntries =
+                Math.max(1, parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10)) || config.responseCacheMaxEntries;
+        if (process.env.RESPONSE_CACHE_DIR) config.responseCacheDir = process.env.RESPONSE_CACHE_DIR;
+        if (process.env.THOUGHT_SIGNATURE_TTL)
+            config.thoughtSignatureTtl =
+                Math.max(1, parseInt(process.env.THOUGHT_SIGNATURE_TTL, 10)) || config.thoughtSignatureTtl;
+        if (
+            process.env.THOUGHT_SIGNATURE_MAX_ENTRIES &&
+            !isNaN(parseInt(process.env.THOUGHT_SIGNATURE_MAX_ENTRIES, 10))
+        )
+            config.thoughtSignatureMaxEntries = Math.max(0, parseInt(process.env.THOUGHT_SIGNATURE_MAX_ENTRIES, 10));
+        if (process.env.BATCH_DATA_DIR) config.batchDataDir = process.env.BATCH_DATA_DIR;
+        if (process.env.BATCH_CONCURRENCY)
+            config.batchConcurrency =
+                Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10)) || config.batchConcurrency;
+        if (process.env.BATCH_REQUESTS_PER_MINUTE && !isNaN(parseInt(process.env.BATCH_REQUESTS_PER_MINUTE, 10)))
+            config.batchRequestsPerMinute = Math.max(0, parseInt(process.env.BATCH_REQUESTS_PER_MINUTE, 10));
         if (process.env.WS_PORT) config.wsPort = parseInt(process.env.WS_PORT, 10) || config.wsPort;
+        if (process.env.BROWSER_POOL_SIZE)
+            config.browserPoolSize = Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE, 10)) || config.browserPoolSize;
         if (process.env.CAMOUFOX_EXECUTABLE_PATH) config.browserExecutablePath = process.env.CAMOUFOX_EXECUTABLE_PATH;
         if (process.env.API_KEYS) {
             config.apiKeys = process.env.API_KEYS.split(",");
         }
+        if (process.env.API_KEYS_FILE) config.apiKeysFile = process.env.API_KEYS_FILE;
+        if (process.env.MODEL_ALIASES_FILE) config.modelAliasesFile = process.env.MODEL_ALIASES_FILE;
         if (process.env.FORCE_THINKING) config.forceThinking = process.env.FORCE_THINKING.toLowerCase() === "true";
         if (process.env.FORCE_WEB_SEARCH) config.forceWebSearch = process.env.FORCE_WEB_SEARCH.toLowerCase() === "true";
         if (process.env.FORCE_URL_CONTEXT)
             config.forceUrlContext = process.env.FORCE_URL_CONTEXT.toLowerCase() === "true";
+        if (process.env.AUTO_CONTINUE) config.autoContinue = process.env.AUTO_CONTINUE.toLowerCase() === "true";
+        if (process.env.AUTO_CONTINUE_MAX_ROUNDS && !isNaN(parseInt(process.env.AUTO_CONTINUE_MAX_ROUNDS, 10)))
+            config.autoContinueMaxRounds = Math.max(0, parseInt(process.env.AUTO_CONTINUE_MAX_ROUNDS, 10));
         if (process.env.ENABLE_AUTH_UPDATE)
             config.enableAuthUpdate = process.env.ENABLE_AUTH_UPDATE.toLowerCase() !== "false";
+        if (process.env.SAFETY_THRESHOLD) {
+            const threshold = process.env.SAFETY_THRESHOLD.toUpperCase();
+            if (SafetyPolicy.THRESHOLDS.includes(threshold)) {
+                config.safetyThreshold = threshold;
+            } else {
+                this.logger.warn(
+                    `[System] Invalid SAFETY_THRESHOLD "${process.env.SAFETY_THRESHOLD}", using "${config.safetyThreshold}".`
+                );
+            }
+        }
+        if (process.env.ALLOW_CLIENT_SAFETY_SETTINGS)
+            config.allowClientSafetySettings = process.env.ALLOW_CLIENT_SAFETY_SETTINGS.toLowerCase() !== "false";
 
         let rawCodes = process.env.IMMEDIATE_SWITCH_STATUS_CODES;
         let codesSource = "environment variable";
@@ -110,6 +245,8 @@ class ConfigLoader {
                     this.logger.info(
                         `[System] Successfully loaded ${config.modelList.length} models from models.json.`
                     );
+                    // Effort -> thinking budget/level mapping per model family, keyed by model name prefix
+                    config.thinkingProfiles = modelsData.thinkingProfiles || {};
                 } else {
                     this.logger.warn(`[System] models.json is not in the expected format, using default model list.`);
                     config.modelList = [{ name: "models/gemini-2.5-flash-lite" }];
@@ -137,7 +274,20 @@ class ConfigLoader {
         this.logger.info(`  Force Thinking: ${config.forceThinking}`);
         this.logger.info(`  Force Web Search: ${config.forceWebSearch}`);
         this.logger.info(`  Force URL Context: ${config.forceUrlContext}`);
+        this.logger.info(
+            `  Auto Continue: ${config.autoContinue ? "Enabled" : "On request"}, up to ${config.autoContinueMaxRounds} rounds`
+        );
+        this.logger.info(
+            `  Safety Threshold: ${config.safetyThreshold} (client overrides ${
+                config.allowClientSafetySettings ? "allowed" : "ignored"
+            })`
+        );
         this.logger.info(`  Auto Update Auth: ${config.enableAuthUpdate}`);
+        this.logger.info(
+            `  Browser Pool: ${
+                config.browserPoolSize > 1 ? `${config.browserPoolSize} accounts kept live in parallel` : "Disabled"
+            }`
+        );
         this.logger.info(
             `  Usage-based Switch Threshold: ${
                 config.switchOnUses > 0 ? `Switch after every ${config.switchOnUses} requests` : "Disabled"
@@ -153,9 +303,65 @@ class ConfigLoader {
                 config.immediateSwitchStatusCodes.length > 0 ? config.immediateSwitchStatusCodes.join(", ") : "Disabled"
             }`
         );
+        this.logger.info(
+            `  Rotation Strategy: ${config.rotationStrategy}${
+                config.rotationStrategy === "timed" ? `, every ${config.rotationInterval} minutes` : ""
+            }`
+        );
+        this.logger.info(
+            `  Quota Cooldown: ${config.quotaCooldownDefault}s unless Google names a retry delay, saved to ${config.quotaCooldownFile}`
+        );
+        this.logger.info(
+            `  Model Fallbacks: ${
+                Object.keys(config.modelFallbacks).length > 0
+                    ? Object.entries(config.modelFallbacks)
+                          .map(([model, fallbacks]) => `${model} > ${fallbacks.join(" > ")}`)
+                          .join("; ")
+                    : "Disabled"
+            }`
+        );
+        this.logger.info(
+            `  Request Queue: ${
+                config.maxConcurrentRequests > 0
+                    ? `${config.maxConcurrentRequests} in flight per browser tab`
+                    : "Unlimited in flight"
+            }, up to ${config.maxQueueLength} waiting (${config.queueMode})`
+        );
+        this.logger.info(
+            `  Response Cache: ${
+                config.responseCacheEnabled
+                    ? `${config.responseCacheMaxEntries} entries for ${config.responseCacheTtl}s${
+                          config.responseCacheDir ? `, on disk in ${config.responseCacheDir}` : ""
+                      }`
+                    : "Disabled"
+            }`
+        );
+        this.logger.info(
+            `  Thought Signature Store: ${
+                config.thoughtSignatureMaxEntries > 0
+                    ? `${config.thoughtSignatureMaxEntries} entries for ${config.thoughtSignatureTtl}s`
+                    : "Disabled"
+            }`
+        );
         this.logger.info(`  Max Retries per Request: ${config.maxRetries} times`);
         this.logger.info(`  Retry Delay: ${config.retryDelay}ms`);
         this.logger.info(`  API Key Source: ${config.apiKeySource}`);
+        this.logger.info(`  API Keys File: ${config.apiKeysFile}`);
+        this.logger.info(`  Model Aliases File: ${config.modelAliasesFile}`);
+        this.logger.info(
+            `  Request Log: ${
+                config.requestLogEnabled
+                    ? `${config.requestLogFile} (${config.requestLogMaxSizeMb}MB x ${config.requestLogMaxFiles + 1} files${
+                          config.requestLogCaptureBodies ? ", with bodies" : ""
+                      })`
+                    : "Disabled"
+            }`
+        );
+        this.logger.info(
+            `  Batch Jobs: ${config.batchDataDir}, ${config.batchConcurrency} at a time${
+                config.batchRequestsPerMinute > 0 ? `, up to ${config.batchRequestsPerMinute} per minute` : ""
+            }`
+        );
         this.logger.info("=============================================================");
     }
 }
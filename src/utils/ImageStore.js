@@ -0,0 +1,66 @@
+/**
+ * File: src/utils/ImageStore.js
+ * Description: In-memory store for generated images served back to clients that request response_format "url"
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Image Store Module
+ * Keeps generated images for a limited time under unguessable IDs, oldest entries are evicted first
+ */
+class ImageStore {
+    constructor(ttlMs = 60 * 60 * 1000, maxImages = 200) {
+        this.ttlMs = ttlMs;
+        this.maxImages = maxImages;
+        this.images = new Map();
+    }
+
+    /**
+     * Store an image
+     * @param {string} base64Data - Base64 encoded image data
+     * @param {string} mimeType - Image MIME type
+     * @returns {string} Image ID
+     */
+    save(base64Data, mimeType) {
+        this._prune();
+        const id = crypto.randomBytes(16).toString("hex");
+        this.images.set(id, {
+            buffer: Buffer.from(base64Data, "base64"),
+            expiresAt: Date.now() + this.ttlMs,
+            mimeType,
+        });
+
+        // Map keeps insertion order, so the first key is the oldest image
+        while (this.images.size > this.maxImages) {
+            this.images.delete(this.images.keys().next().value);
+        }
+        return id;
+    }
+
+    /**
+     * Get a stored image
+     * @param {string} id - Image ID
+     * @returns {{buffer: Buffer, mimeType: string}|null}
+     */
+    get(id) {
+        const image = this.images.get(id);
+        if (!image) return null;
+        if (image.expiresAt < Date.now()) {
+            this.images.delete(id);
+            return null;
+        }
+        return image;
+    }
+
+    _prune() {
+        const now = Date.now();
+        for (const [id, image] of this.images.entries()) {
+            if (image.expiresAt < now) this.images.delete(id);
+        }
+    }
+}
+
+module.exports = ImageStore;
@@ -0,0 +1,104 @@
+/**
+ * File: src/utils/InternalResponse.js
+ * Description: In-memory stand-in for an Express response, used to run requests inside the server without an HTTP client
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const { EventEmitter } = require("events");
+
+/**
+ * Internal Response Module
+ * Implements the subset of the Express response API used by RequestHandler and collects the body in memory.
+ * "finish" and "close" are emitted when the response ends, abort() emits "close" early like a client disconnect.
+ */
+class InternalResponse extends EventEmitter {
+    constructor(req) {
+        super();
+        this.req = req;
+        this.locals = {};
+        this.statusCode = 200;
+        this.headers = {};
+        this.chunks = [];
+        this.headersSent = false;
+        this.writableEnded = false;
+        this.destroyed = false;
+        this.closed = new Promise(resolve => this.once("close", resolve));
+    }
+
+    status(code) {
+        this.statusCode = code;
+        return this;
+    }
+
+    set(field, value) {
+        if (typeof field === "object") {
+            Object.entries(field).forEach(([name, headerValue]) => this.setHeader(name, headerValue));
+        } else {
+            this.setHeader(field, value);
+        }
+        return this;
+    }
+
+    setHeader(name, value) {
+        this.headers[name.toLowerCase()] = String(value);
+        return this;
+    }
+
+    getHeader(name) {
+        return this.headers[name.toLowerCase()];
+    }
+
+    get(name) {
+        return this.getHeader(name);
+    }
+
+    type(contentType) {
+        return this.setHeader("Content-Type", contentType);
+    }
+
+    json(data) {
+        if (!this.getHeader("Content-Type")) this.type("application/json");
+        return this.send(JSON.stringify(data));
+    }
+
+    send(body) {
+        this.end(body);
+        return this;
+    }
+
+    write(chunk) {
+        if (this.writableEnded || this.destroyed) return false;
+        this.headersSent = true;
+        if (chunk && typeof chunk !== "function") this.chunks.push(Buffer.from(chunk));
+        return true;
+    }
+
+    end(chunk) {
+        if (this.writableEnded || this.destroyed) return this;
+        this.write(chunk);
+        this.writableEnded = true;
+        this.emit("finish");
+        this.emit("close");
+        return this;
+    }
+
+    /**
+     * Close the response before it ended, request handlers treat this as a client disconnect
+     */
+    abort() {
+        if (this.writableEnded || this.destroyed) return;
+        this.destroyed = true;
+        this.emit("close");
+    }
+
+    /**
+     * Get the collected body
+     * @returns {string}
+     */
+    getBody() {
+        return Buffer.concat(this.chunks).toString();
+    }
+}
+
+module.exports = InternalResponse;
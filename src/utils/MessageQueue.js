@@ -18,10 +18,28 @@ class MessageQueue extends EventEmitter {
         this.waitingResolvers = [];
         this.defaultTimeout = timeoutMs;
         this.closed = false;
+        this.interceptor = null;
+    }
+
+    /**
+     * Route enqueued messages through an interceptor, which may rewrite, hold back or add messages
+     * @param {function(object): object[]|null} interceptor - Returns the messages to deliver, null removes it
+     */
+    setInterceptor(interceptor) {
+        this.interceptor = interceptor;
     }
 
     enqueue(message) {
         if (this.closed) return;
+        if (this.interceptor) {
+            this.interceptor(message).forEach(delivered => this._deliver(delivered));
+        } else {
+            this._deliver(message);
+        }
+    }
+
+    _deliver(message) {
+        this.emit("message", message);
         if (this.waitingResolvers.length > 0) {
             const resolver = this.waitingResolvers.shift();
             clearTimeout(resolver.timeoutId);
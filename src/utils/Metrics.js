@@ -0,0 +1,189 @@
+/**
+ * File: src/utils/Metrics.js
+ * Description: Minimal Prometheus metrics registry and the metrics shared by all modules
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const escapeLabelValue = value => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labelNames, labelValues, extra = "") => {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(labelValues[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Base class for labelled metrics, series are keyed by their label values
+ */
+class Metric {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    _getSeries(labels = {}) {
+        const labelValues = this.labelNames.map(name => (labels[name] === undefined ? "" : labels[name]));
+        const key = JSON.stringify(labelValues);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labelValues, ...this._createSeries() });
+        }
+        return this.series.get(key);
+    }
+}
+
+class Counter extends Metric {
+    _createSeries() {
+        return { value: 0 };
+    }
+
+    inc(labels, amount = 1) {
+        this._getSeries(labels).value += amount;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const series of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(this.labelNames, series.labelValues)} ${series.value}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Gauge whose value is read from a callback at scrape time
+ */
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super(name, help, labelNames);
+        this.collect = collect;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+        for (const { labels, value } of this.collect()) {
+            const labelValues = this.labelNames.map(name => labels[name]);
+            lines.push(`${this.name}${formatLabels(this.labelNames, labelValues)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    _createSeries() {
+        return { count: 0, counts: this.buckets.map(() => 0), sum: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this._getSeries(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.count++;
+        series.sum += value;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const series of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                const labels = formatLabels(this.labelNames, series.labelValues, `le="${bound}"`);
+                lines.push(`${this.name}_bucket${labels} ${series.counts[i]}`);
+            });
+            const labels = formatLabels(this.labelNames, series.labelValues);
+            const infLabels = formatLabels(this.labelNames, series.labelValues, 'le="+Inf"');
+            lines.push(`${this.name}_bucket${infLabels} ${series.count}`);
+            lines.push(`${this.name}_sum${labels} ${series.sum}`);
+            lines.push(`${this.name}_count${labels} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Metrics Registry
+ * Holds all metrics and renders them in the Prometheus text exposition format
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    counter(name, help, labelNames) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames, collect) {
+        return this._register(new Gauge(name, help, labelNames, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    _register(metric) {
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.render());
+        }
+        return `${lines.join("\n")}\n`;
+    }
+}
+
+const registry = new MetricsRegistry();
+
+module.exports = {
+    accountSwitches: registry.counter("aistudio_account_switches_total", "Account switches by reason and result", [
+        "reason",
+        "result",
+    ]),
+    browserLaunches: registry.counter("aistudio_browser_launches_total", "Browser process launches", []),
+    connectionLosses: registry.counter(
+        "aistudio_connection_losses_total",
+        "Browser WebSocket connections lost after the reconnect grace period",
+        []
+    ),
+    lightweightReconnects: registry.counter(
+        "aistudio_lightweight_reconnects_total",
+        "Lightweight reconnect attempts (page reload without relaunching the browser) by result",
+        ["result"]
+    ),
+    MetricsRegistry,
+    registry,
+    requestDuration: registry.histogram(
+        "aistudio_request_duration_seconds",
+        "Time until the response is complete",
+        ["endpoint", "model", "status"],
+        [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+    ),
+    requests: registry.counter("aistudio_requests_total", "API requests by endpoint, model and status", [
+        "endpoint",
+        "model",
+        "status",
+    ]),
+    retries: registry.counter("aistudio_request_retries_total", "Retried attempts to the browser by status", [
+        "status",
+    ]),
+    timeToFirstToken: registry.histogram(
+        "aistudio_time_to_first_token_seconds",
+        "Time until the first streamed chunk is sent to the client",
+        ["endpoint", "model"],
+        [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 60]
+    ),
+    tokens: registry.counter("aistudio_tokens_total", "Tokens reported in usage metadata by model and direction", [
+        "model",
+        "direction",
+    ]),
+};
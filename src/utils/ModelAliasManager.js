@@ -0,0 +1,177 @@
+/**
+ * File: src/utils/ModelAliasManager.js
+ * Description: Persisted alias table routing client model names and glob patterns to Gemini models with default generation settings
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// "claude-*" / "gpt-4?" to a case-insensitive regular expression matching the whole name
+const globToRegExp = pattern =>
+    new RegExp(
+        `^${pattern
+            .split("")
+            .map(char => (char === "*" ? ".*" : char === "?" ? "." : char.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+            .join("")}$`,
+        "i"
+    );
+
+/**
+ * Model Alias Management Module
+ * Clients that only know OpenAI or Claude model names (gpt-4o, o3-mini, claude-sonnet-4...) are routed to a
+ * Gemini model instead of failing with 404. An alias matches a model name exactly or as a glob pattern
+ * ("*" and "?"), exact aliases win over patterns, patterns are tried in table order. The target may carry a
+ * thinking suffix (e.g. gemini-3-pro-preview-high), since aliases are resolved before the suffix is parsed.
+ * Defaults (temperature, thinking level, built-in tools) only apply where the client did not set a value.
+ */
+class ModelAliasManager {
+    static TOOLS = ["codeExecution", "googleSearch", "urlContext"];
+    static THINKING_LEVELS = ["minimal", "low", "medium", "high"];
+
+    constructor(logger, config) {
+        this.logger = logger;
+        this.filePath = path.resolve(process.cwd(), config.modelAliasesFile);
+        // id -> alias record, in table order
+        this.aliases = new Map();
+
+        this._load();
+    }
+
+    _load() {
+        if (!fs.existsSync(this.filePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+            for (const stored of Array.isArray(data.aliases) ? data.aliases : []) {
+                const record = this._normalizeRecord(stored);
+                this.aliases.set(record.id, record);
+            }
+            this.logger.info(`[System] Loaded ${this.aliases.size} model aliases.`);
+        } catch (error) {
+            this.logger.error(`[System] Failed to read model aliases file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        const data = { aliases: [...this.aliases.values()] };
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            this.logger.error(`[System] Failed to save model aliases file: ${error.message}`);
+        }
+    }
+
+    _normalizeRecord(data) {
+        const defaults = data.defaults || {};
+        const temperature = parseFloat(defaults.temperature);
+        const thinkingLevel = String(defaults.thinkingLevel || "").toLowerCase();
+        return {
+            defaults: {
+                // null keeps the client's (or the model's) value
+                temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : null,
+                thinkingLevel: ModelAliasManager.THINKING_LEVELS.includes(thinkingLevel) ? thinkingLevel : null,
+                tools: Array.isArray(defaults.tools)
+                    ? defaults.tools.filter(tool => ModelAliasManager.TOOLS.includes(tool))
+                    : [],
+            },
+            id: data.id || crypto.randomBytes(6).toString("hex"),
+            pattern: String(data.pattern || "").trim(),
+            target: String(data.target || "")
+                .trim()
+                .replace(/^models\//, ""),
+        };
+    }
+
+    _validate(record, ignoreId = null) {
+        if (!record.pattern || !record.target) {
+            throw new Error("An alias needs a model name or pattern and a target model.");
+        }
+        for (const alias of this.aliases.values()) {
+            if (alias.id !== ignoreId && alias.pattern.toLowerCase() === record.pattern.toLowerCase()) {
+                throw new Error(`An alias for "${record.pattern}" already exists.`);
+            }
+        }
+    }
+
+    static isPattern(pattern) {
+        return /[*?]/.test(pattern);
+    }
+
+    list() {
+        return [...this.aliases.values()];
+    }
+
+    /**
+     * Add an alias at the end of the table
+     * @param {object} data - { pattern, target, defaults? }
+     * @returns {object} Created alias
+     */
+    create(data) {
+        const record = this._normalizeRecord({ ...data, id: null });
+        this._validate(record);
+        this.aliases.set(record.id, record);
+        this._save();
+        return record;
+    }
+
+    /**
+     * Change an alias, fields missing from the data are kept
+     * @param {string} id - Alias ID
+     * @param {object} data - { pattern?, target?, defaults? }
+     * @returns {object|null} Updated alias, null if it does not exist
+     */
+    update(id, data) {
+        const existing = this.aliases.get(id);
+        if (!existing) return null;
+        const record = this._normalizeRecord({
+            defaults: { ...existing.defaults, ...(data.defaults || {}) },
+            id,
+            pattern: data.pattern ?? existing.pattern,
+            target: data.target ?? existing.target,
+        });
+        this._validate(record, id);
+        this.aliases.set(id, record);
+        this._save();
+        return record;
+    }
+
+    remove(id) {
+        if (!this.aliases.delete(id)) return false;
+        this._save();
+        return true;
+    }
+
+    /**
+     * Find the alias of a model name
+     * @param {string} model - Model name sent by the client, with or without the "models/" prefix
+     * @returns {{alias: string, defaults: object, model: string}|null} Target model and defaults, null without alias
+     */
+    resolve(model) {
+        if (!model || typeof model !== "string") return null;
+        const name = model.replace(/^models\//, "");
+        const aliases = this.list();
+        const match =
+            aliases.find(
+                alias =>
+                    !ModelAliasManager.isPattern(alias.pattern) && alias.pattern.toLowerCase() === name.toLowerCase()
+            ) ||
+            aliases.find(alias => ModelAliasManager.isPattern(alias.pattern) && globToRegExp(alias.pattern).test(name));
+        return match ? { alias: match.pattern, defaults: match.defaults, model: match.target } : null;
+    }
+
+    /**
+     * Get the model a name routes to, the name itself if it has no alias
+     * @param {string} model - Model name
+     * @returns {string}
+     */
+    resolveName(model) {
+        return this.resolve(model)?.model ?? model;
+    }
+}
+
+module.exports = ModelAliasManager;
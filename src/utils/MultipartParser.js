@@ -0,0 +1,66 @@
+/**
+ * File: src/utils/MultipartParser.js
+ * Description: Minimal multipart/form-data parser for the raw request bodies collected by the express app
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+/**
+ * Parse a multipart/form-data body
+ * Repeated field names (e.g. "image[]") are collected in order.
+ *
+ * @param {Buffer} rawBody - Complete request body
+ * @param {string} contentType - Request Content-Type header including the boundary
+ * @returns {{fields: Object<string, string>, files: Array<{fieldName: string, filename: string, mimeType: string, data: Buffer}>}}
+ * @throws {Error} If the Content-Type has no boundary
+ */
+const parseMultipartForm = (rawBody, contentType = "") => {
+    const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundaryMatch) {
+        throw new Error("Missing multipart boundary");
+    }
+
+    const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+    const headerSeparator = Buffer.from("\r\n\r\n");
+    const fields = {};
+    const files = [];
+
+    let start = rawBody.indexOf(delimiter);
+    while (start !== -1) {
+        const partStart = start + delimiter.length;
+        // "--" right after the delimiter marks the end of the body
+        if (rawBody.slice(partStart, partStart + 2).toString() === "--") break;
+
+        const next = rawBody.indexOf(delimiter, partStart);
+        if (next === -1) break;
+
+        // Skip the CRLF after the delimiter and drop the CRLF before the next one
+        const part = rawBody.slice(partStart + 2, next - 2);
+        const headerEnd = part.indexOf(headerSeparator);
+        if (headerEnd !== -1) {
+            const headers = part.slice(0, headerEnd).toString("utf-8");
+            const data = part.slice(headerEnd + headerSeparator.length);
+            // Anchored to a parameter start, a bare name="..." would also match inside filename="..."
+            const nameMatch = headers.match(/(?:^|;)\s*name="([^"]*)"/i);
+            const filenameMatch = headers.match(/filename="([^"]*)"/i);
+            const typeMatch = headers.match(/content-type:\s*([^\r\n]+)/i);
+
+            if (nameMatch && filenameMatch) {
+                files.push({
+                    data,
+                    fieldName: nameMatch[1],
+                    filename: filenameMatch[1],
+                    mimeType: typeMatch ? typeMatch[1].trim() : "application/octet-stream",
+                });
+            } else if (nameMatch) {
+                fields[nameMatch[1]] = data.toString("utf-8");
+            }
+        }
+
+        start = next;
+    }
+
+    return { fields, files };
+};
+
+module.exports = { parseMultipartForm };
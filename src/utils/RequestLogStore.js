@@ -0,0 +1,216 @@
+/**
+ * File: src/utils/RequestLogStore.js
+ * Description: Persistent structured log of API requests, written to a size-rotated JSONL file
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// Newest entries kept in memory for the web console, older ones stay on disk only
+const MAX_ENTRIES_IN_MEMORY = 5000;
+// Captured request/response bodies are cut off beyond this many characters
+const MAX_CAPTURED_BODY_LENGTH = 256 * 1024;
+
+/**
+ * Request Log Store Module
+ * Keeps one entry per API request (format, model, account, status, latency, retries, token usage, error).
+ * Entries are appended to the log file and rotated to "<file>.1" ... "<file>.N" once it grows past
+ * the size limit. Summaries of the newest entries are reloaded on startup so the history survives restarts,
+ * captured bodies are only read back from disk when a single entry is requested.
+ */
+class RequestLogStore {
+    constructor(logger, config) {
+        this.logger = logger;
+        this.enabled = config.requestLogEnabled;
+        this.captureBodies = config.requestLogCaptureBodies;
+        this.filePath = path.resolve(process.cwd(), config.requestLogFile);
+        this.maxFileSize = config.requestLogMaxSizeMb * 1024 * 1024;
+        this.maxFiles = config.requestLogMaxFiles;
+
+        this.entries = [];
+        this.fileSize = 0;
+        // Appends run one after another so rotation never interleaves with a write
+        this.writeChain = Promise.resolve();
+
+        if (this.enabled) this._load();
+    }
+
+    _getFilePaths() {
+        const paths = [this.filePath];
+        for (let i = 1; i <= this.maxFiles; i++) paths.push(`${this.filePath}.${i}`);
+        return paths;
+    }
+
+    _load() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.fileSize = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+        } catch (error) {
+            this.logger.error(`[System] Failed to prepare request log ${this.filePath}: ${error.message}`);
+            return;
+        }
+
+        // Read from the newest file backwards until the in-memory history is full
+        for (const filePath of this._getFilePaths()) {
+            if (this.entries.length >= MAX_ENTRIES_IN_MEMORY || !fs.existsSync(filePath)) break;
+            try {
+                const lines = fs.readFileSync(filePath, "utf-8").split("\n");
+                const fileEntries = [];
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+                    try {
+                        fileEntries.push(this._toSummary(JSON.parse(line)));
+                    } catch (e) {
+                        // Skip a partially written line
+                    }
+                }
+                this.entries = fileEntries.slice(-(MAX_ENTRIES_IN_MEMORY - this.entries.length)).concat(this.entries);
+            } catch (error) {
+                this.logger.warn(`[System] Failed to read request log ${filePath}: ${error.message}`);
+            }
+        }
+
+        this.logger.info(`[System] Loaded ${this.entries.length} request log entries from ${this.filePath}.`);
+    }
+
+    _toSummary(entry) {
+        // eslint-disable-next-line no-unused-vars
+        const { request, response, ...summary } = entry;
+        summary.captured = request !== undefined || response !== undefined;
+        return summary;
+    }
+
+    /**
+     * Truncate a captured body to the capture limit
+     * @param {string} text - Body text
+     * @returns {string}
+     */
+    truncateBody(text) {
+        if (text.length <= MAX_CAPTURED_BODY_LENGTH) return text;
+        return `${text.slice(0, MAX_CAPTURED_BODY_LENGTH)}... [truncated ${text.length - MAX_CAPTURED_BODY_LENGTH} chars]`;
+    }
+
+    /**
+     * Record a finished request
+     * @param {object} entry - Log entry, "request" and "response" are only present when bodies are captured
+     */
+    add(entry) {
+        if (!this.enabled) return;
+
+        this.entries.push(this._toSummary(entry));
+        if (this.entries.length > MAX_ENTRIES_IN_MEMORY) this.entries.shift();
+
+        const line = `${JSON.stringify(entry)}\n`;
+        this.writeChain = this.writeChain
+            .then(async () => {
+                if (this.fileSize > 0 && this.fileSize + Buffer.byteLength(line) > this.maxFileSize) {
+                    await this._rotate();
+                }
+                await fs.promises.appendFile(this.filePath, line);
+                this.fileSize += Buffer.byteLength(line);
+            })
+            .catch(error => {
+                this.logger.error(`[System] Failed to write request log: ${error.message}`);
+            });
+    }
+
+    async _rotate() {
+        const paths = this._getFilePaths();
+        await fs.promises.rm(paths[paths.length - 1], { force: true });
+        for (let i = paths.length - 2; i >= 0; i--) {
+            if (fs.existsSync(paths[i])) await fs.promises.rename(paths[i], paths[i + 1]);
+        }
+        this.fileSize = 0;
+        this.logger.info(`[System] Request log rotated (${this.maxFiles} old files kept).`);
+    }
+
+    /**
+     * Query the in-memory history, newest first
+     * @param {object} filters - Query filters
+     * @param {string} [filters.status] - "success", "error" or an exact status code
+     * @param {string} [filters.format] - API format ("openai", "claude", "gemini" or "ollama")
+     * @param {string} [filters.model] - Model name substring
+     * @param {string} [filters.search] - Substring of the request ID, endpoint, error or API key
+     * @param {string} [filters.from] - ISO timestamp lower bound
+     * @param {string} [filters.to] - ISO timestamp upper bound
+     * @param {number} [filters.page=1] - Page number, starting at 1
+     * @param {number} [filters.pageSize=50] - Entries per page (max 200)
+     * @returns {{entries: object[], page: number, pageSize: number, total: number}}
+     */
+    query(filters = {}) {
+        const page = Math.max(1, parseInt(filters.page, 10) || 1);
+        const pageSize = Math.min(200, Math.max(1, parseInt(filters.pageSize, 10) || 50));
+        const model = filters.model ? filters.model.toLowerCase() : null;
+        const search = filters.search ? filters.search.toLowerCase() : null;
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? new Date(filters.to).getTime() : null;
+
+        const matches = this.entries.filter(entry => {
+            if (filters.status === "success" && (entry.status >= 400 || entry.error)) return false;
+            if (filters.status === "error" && entry.status < 400 && !entry.error) return false;
+            if (/^\d+$/.test(filters.status || "") && entry.status !== parseInt(filters.status, 10)) return false;
+            if (filters.format && entry.format !== filters.format) return false;
+            if (model && !(entry.model || "").toLowerCase().includes(model)) return false;
+            if (search) {
+                const haystack = [entry.id, entry.endpoint, entry.error, entry.apiKey].join(" ").toLowerCase();
+                if (!haystack.includes(search)) return false;
+            }
+            const time = new Date(entry.timestamp).getTime();
+            if (from && time < from) return false;
+            if (to && time > to) return false;
+            return true;
+        });
+
+        matches.reverse();
+        return {
+            entries: matches.slice((page - 1) * pageSize, page * pageSize),
+            page,
+            pageSize,
+            total: matches.length,
+        };
+    }
+
+    /**
+     * Read a complete entry including captured bodies from disk
+     * @param {string} id - Request ID
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        const summary = this.entries.find(entry => entry.id === id);
+        if (summary && !summary.captured) return summary;
+
+        await this.writeChain;
+        const marker = `"id":${JSON.stringify(id)}`;
+        for (const filePath of this._getFilePaths()) {
+            if (!fs.existsSync(filePath)) continue;
+            const input = fs.createReadStream(filePath);
+            try {
+                for await (const line of readline.createInterface({ crlfDelay: Infinity, input })) {
+                    if (!line.includes(marker)) continue;
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        // Partially written line, keep looking
+                    }
+                }
+            } finally {
+                input.destroy();
+            }
+        }
+        return summary || null;
+    }
+
+    getStatus() {
+        return {
+            captureBodies: this.captureBodies,
+            enabled: this.enabled,
+            entries: this.entries.length,
+            file: this.filePath,
+        };
+    }
+}
+
+module.exports = RequestLogStore;
@@ -0,0 +1,171 @@
+/**
+ * File: src/utils/ResponseCache.js
+ * Description: LRU cache with an optional disk tier for complete non-streaming Google responses
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Serialize with sorted object keys so equivalent requests produce the same hash
+const stableStringify = value => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+    if (value && typeof value === "object") {
+        const entries = Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value);
+};
+
+/**
+ * Response Cache Module
+ * Entries are keyed on a hash of the model and the normalized Google request body. The memory tier keeps
+ * the most recently used entries, the disk tier (one JSON file per entry) survives restarts and is
+ * read back into memory on a memory miss. Expired entries are dropped when they are looked up.
+ */
+class ResponseCache {
+    constructor(logger, config) {
+        this.logger = logger;
+        this.enabled = config.responseCacheEnabled;
+        this.ttlMs = config.responseCacheTtl * 1000;
+        this.maxEntries = config.responseCacheMaxEntries;
+        this.dir = config.responseCacheDir ? path.resolve(process.cwd(), config.responseCacheDir) : null;
+
+        // Map keeps insertion order, entries are moved to the end when used
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, stores: 0 };
+
+        if (this.enabled && this.dir) this._pruneDisk();
+    }
+
+    /**
+     * Build the cache key of a request
+     * @param {string} model - Model name
+     * @param {string} body - JSON request body sent to Google
+     * @returns {string|null} Null if the body is not valid JSON
+     */
+    static computeKey(model, body) {
+        try {
+            const normalized = stableStringify(JSON.parse(body));
+            return crypto.createHash("sha256").update(`${model}\n${normalized}`).digest("hex");
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _getFilePath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    _pruneDisk() {
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            let removed = 0;
+            for (const file of fs.readdirSync(this.dir)) {
+                const filePath = path.join(this.dir, file);
+                if (fs.statSync(filePath).mtimeMs + this.ttlMs < Date.now()) {
+                    fs.rmSync(filePath, { force: true });
+                    removed++;
+                }
+            }
+            if (removed > 0) this.logger.info(`[Cache] Removed ${removed} expired cached responses from disk.`);
+        } catch (error) {
+            this.logger.error(`[Cache] Failed to prepare cache directory ${this.dir}: ${error.message}`);
+        }
+    }
+
+    _remember(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    _readFromDisk(key) {
+        if (!this.dir) return null;
+        try {
+            const filePath = this._getFilePath(key);
+            if (!fs.existsSync(filePath)) return null;
+            const entry = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+            if (entry.expiresAt < Date.now()) {
+                fs.rmSync(filePath, { force: true });
+                return null;
+            }
+            return entry;
+        } catch (error) {
+            this.logger.warn(`[Cache] Failed to read cached response ${key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Look up a cached response and count the hit or miss
+     * @param {string} key - Cache key
+     * @returns {string|null} Compact JSON response body
+     */
+    get(key) {
+        let entry = this.entries.get(key);
+        if (entry && entry.expiresAt < Date.now()) {
+            this.entries.delete(key);
+            entry = null;
+        }
+        if (!entry) {
+            entry = this._readFromDisk(key);
+        }
+
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+        this._remember(key, entry);
+        this.stats.hits++;
+        return entry.body;
+    }
+
+    /**
+     * Store a complete response, responses without candidates (e.g. blocked prompts) are not cached
+     * @param {string} key - Cache key
+     * @param {string} body - JSON response body from Google
+     */
+    set(key, body) {
+        let response;
+        try {
+            response = JSON.parse(body);
+        } catch (error) {
+            return;
+        }
+        if (!Array.isArray(response.candidates) || response.candidates.length === 0) return;
+
+        // Compact JSON fits into a single SSE event when replayed to streaming clients
+        const entry = { body: JSON.stringify(response), expiresAt: Date.now() + this.ttlMs };
+        this._remember(key, entry);
+        this.stats.stores++;
+
+        if (this.dir) {
+            fs.promises.writeFile(this._getFilePath(key), JSON.stringify(entry)).catch(error => {
+                this.logger.warn(`[Cache] Failed to write cached response ${key}: ${error.message}`);
+            });
+        }
+    }
+
+    getStatus() {
+        return {
+            disk: !!this.dir,
+            enabled: this.enabled,
+            entries: this.entries.size,
+            hits: this.stats.hits,
+            maxEntries: this.maxEntries,
+            misses: this.stats.misses,
+            stores: this.stats.stores,
+            ttl: this.ttlMs / 1000,
+        };
+    }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,78 @@
+/**
+ * File: src/utils/SafetyPolicy.js
+ * Description: Resolves the Gemini safetySettings sent with each generation request from the global default,
+ *              the API key's override and the client's own settings
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+/**
+ * Safety Policy Module
+ * Every generation request gets one threshold for all harm categories, taken from the API key when it
+ * sets one and from SAFETY_THRESHOLD otherwise. Client-supplied settings replace it per category only
+ * when the key (or ALLOW_CLIENT_SAFETY_SETTINGS) allows it.
+ */
+class SafetyPolicy {
+    static CATEGORIES = [
+        "HARM_CATEGORY_HARASSMENT",
+        "HARM_CATEGORY_HATE_SPEECH",
+        "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+        "HARM_CATEGORY_DANGEROUS_CONTENT",
+    ];
+
+    static THRESHOLDS = ["OFF", "BLOCK_NONE", "BLOCK_ONLY_HIGH", "BLOCK_MEDIUM_AND_ABOVE", "BLOCK_LOW_AND_ABOVE"];
+
+    constructor(logger, config) {
+        this.logger = logger;
+        this.config = config;
+    }
+
+    /**
+     * Resolve the effective policy for an API key
+     * @param {object|null} keyRecord - API key record from ApiKeyManager
+     * @returns {{ allowClientSettings: boolean, threshold: string }}
+     */
+    resolve(keyRecord) {
+        return {
+            allowClientSettings: keyRecord?.allowClientSafetySettings ?? this.config.allowClientSafetySettings,
+            threshold: keyRecord?.safetyThreshold || this.config.safetyThreshold,
+        };
+    }
+
+    /**
+     * Build the safetySettings for a request
+     * @param {object|null} keyRecord - API key record from ApiKeyManager
+     * @param {Array|undefined} clientSettings - safetySettings requested by the client
+     * @returns {Array<{ category: string, threshold: string }>}
+     */
+    buildSettings(keyRecord, clientSettings) {
+        const policy = this.resolve(keyRecord);
+        const thresholds = new Map(SafetyPolicy.CATEGORIES.map(category => [category, policy.threshold]));
+
+        if (Array.isArray(clientSettings) && clientSettings.length > 0) {
+            if (policy.allowClientSettings) {
+                for (const setting of clientSettings) {
+                    if (setting?.category && SafetyPolicy.THRESHOLDS.includes(setting.threshold)) {
+                        thresholds.set(setting.category, setting.threshold);
+                    }
+                }
+            } else {
+                this.logger.warn("[Safety] Client safety settings are not allowed for this API key, ignoring them.");
+            }
+        }
+
+        return [...thresholds].map(([category, threshold]) => ({ category, threshold }));
+    }
+
+    /**
+     * Replace the safetySettings of a Gemini generation request body in place
+     * @param {object} body - Gemini request body
+     * @param {object|null} keyRecord - API key record from ApiKeyManager
+     */
+    apply(body, keyRecord) {
+        body.safetySettings = this.buildSettings(keyRecord, body.safetySettings || body.safety_settings);
+        delete body.safety_settings;
+    }
+}
+
+module.exports = SafetyPolicy;
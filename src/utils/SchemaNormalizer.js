@@ -0,0 +1,273 @@
+/**
+ * File: src/utils/SchemaNormalizer.js
+ * Description: Rewrites client JSON Schemas into the subset Gemini accepts, inlining local $ref/$defs and
+ *              flattening combinators, and reports the constructs that could not be converted
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+// Nested $ref expansions along one path, guards against exponential blow-up of shared definitions
+const MAX_REF_DEPTH = 16;
+// Overall schema nesting depth
+const MAX_SCHEMA_DEPTH = 64;
+
+// Keywords with no Gemini equivalent, dropped with a warning
+const UNSUPPORTED_KEYWORDS = [
+    "contains",
+    "dependencies",
+    "dependentRequired",
+    "dependentSchemas",
+    "else",
+    "if",
+    "not",
+    "patternProperties",
+    "then",
+    "unevaluatedItems",
+    "unevaluatedProperties",
+];
+
+const isPlainObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Resolve a local JSON Pointer reference ("#", "#/$defs/Name", "#/definitions/Name", ...)
+ * @returns {object|undefined} The referenced schema, or undefined when the reference is remote or missing
+ */
+const resolvePointer = (root, ref) => {
+    if (ref === "#") return root;
+    if (!ref.startsWith("#/")) return undefined;
+
+    let node = root;
+    for (const rawSegment of ref.slice(2).split("/")) {
+        const segment = decodeURIComponent(rawSegment).replace(/~1/g, "/").replace(/~0/g, "~");
+        if (!isPlainObject(node) && !Array.isArray(node)) return undefined;
+        if (!Object.prototype.hasOwnProperty.call(node, segment)) return undefined;
+        node = node[segment];
+    }
+    return node;
+};
+
+const inferConstType = value => {
+    if (typeof value === "string") return "string";
+    if (typeof value === "boolean") return "boolean";
+    if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+    if (Array.isArray(value)) return "array";
+    if (isPlainObject(value)) return "object";
+    return "null";
+};
+
+// Values a variant allows when it is nothing but an enum or const (plus type and annotations)
+const getEnumValues = variant => {
+    if (!isPlainObject(variant)) return null;
+    const allowed = ["const", "description", "enum", "title", "type"];
+    if (Object.keys(variant).some(key => !allowed.includes(key))) return null;
+    if (Array.isArray(variant.enum)) return variant.enum;
+    if (Object.prototype.hasOwnProperty.call(variant, "const")) return [variant.const];
+    return null;
+};
+
+class SchemaNormalizer {
+    constructor(root) {
+        this.root = root;
+        this.warnings = new Set();
+    }
+
+    _warn(path, message) {
+        this.warnings.add(`${path}: ${message}`);
+    }
+
+    /**
+     * @param {boolean} [keepConst=false] - Leave const for the caller, anyOf variants are collapsed into an enum
+     *   before a non-string const is reduced to a description
+     */
+    _normalize(node, path, refStack, depth, keepConst = false) {
+        if (node === true) return {};
+        if (node === false) {
+            this._warn(path, "boolean schema false is not supported and was replaced by an empty schema");
+            return {};
+        }
+        if (!isPlainObject(node)) return node;
+
+        if (depth > MAX_SCHEMA_DEPTH) {
+            this._warn(path, `schema nested deeper than ${MAX_SCHEMA_DEPTH} levels was truncated`);
+            return { type: "object" };
+        }
+
+        if (typeof node.$ref === "string") {
+            return this._normalizeRef(node, path, refStack, depth);
+        }
+
+        // eslint-disable-next-line no-unused-vars
+        const { $defs, allOf, definitions, ...rest } = node;
+        let schema = {};
+
+        for (const key of Object.keys(rest)) {
+            const value = rest[key];
+            if (UNSUPPORTED_KEYWORDS.includes(key)) {
+                this._warn(path, `"${key}" is not supported by Gemini and was dropped`);
+            } else if (key === "properties" && isPlainObject(value)) {
+                schema.properties = {};
+                for (const name of Object.keys(value)) {
+                    schema.properties[name] = this._normalize(
+                        value[name],
+                        `${path}/properties/${name}`,
+                        refStack,
+                        depth + 1
+                    );
+                }
+            } else if ((key === "items" || key === "additionalProperties") && isPlainObject(value)) {
+                schema[key] = this._normalize(value, `${path}/${key}`, refStack, depth + 1);
+            } else if ((key === "items" || key === "prefixItems") && Array.isArray(value)) {
+                // Gemini has no tuples, every position may hold any of the tuple's item types
+                this._warn(path, `tuple "${key}" was converted to a single items schema`);
+                const items = value.map((item, i) => this._normalize(item, `${path}/${key}/${i}`, refStack, depth + 1));
+                if (items.length > 0) schema.items = items.length === 1 ? items[0] : { anyOf: items };
+            } else if ((key === "anyOf" || key === "oneOf") && Array.isArray(value)) {
+                const variants = value.map((item, i) =>
+                    this._normalize(item, `${path}/${key}/${i}`, refStack, depth + 1, true)
+                );
+                // Gemini has no oneOf, the variants of generated schemas are disjoint in practice
+                schema.anyOf = [...(schema.anyOf || []), ...variants];
+            } else {
+                schema[key] = value;
+            }
+        }
+
+        if (Array.isArray(allOf)) {
+            const parts = allOf.map((item, i) => this._normalize(item, `${path}/allOf/${i}`, refStack, depth + 1));
+            schema = parts.reduce((merged, part, i) => this._merge(merged, part, `${path}/allOf/${i}`), schema);
+        }
+
+        if (schema.anyOf) {
+            this._collapseEnumVariants(schema, path);
+            // Variants that were not collapsed convert their own const
+            for (const [i, variant] of (schema.anyOf || []).entries()) {
+                if (isPlainObject(variant) && Object.prototype.hasOwnProperty.call(variant, "const")) {
+                    this._convertConst(variant, `${path}/anyOf/${i}`);
+                }
+            }
+        }
+        if (!keepConst && Object.prototype.hasOwnProperty.call(schema, "const")) {
+            this._convertConst(schema, path);
+        }
+
+        return schema;
+    }
+
+    _normalizeRef(node, path, refStack, depth) {
+        // eslint-disable-next-line no-unused-vars
+        const { $defs, $ref, definitions, ...siblings } = node;
+        const target = resolvePointer(this.root, $ref);
+
+        if (target === undefined) {
+            this._warn(path, `$ref "${$ref}" cannot be resolved (only local references are supported) and was dropped`);
+            return this._normalize(siblings, path, refStack, depth);
+        }
+
+        if (refStack.includes($ref) || refStack.length >= MAX_REF_DEPTH) {
+            this._warn(
+                path,
+                refStack.includes($ref)
+                    ? `recursive $ref "${$ref}" was truncated`
+                    : `$ref "${$ref}" exceeds the nesting limit of ${MAX_REF_DEPTH} and was truncated`
+            );
+            const stub = { type: isPlainObject(target) && typeof target.type === "string" ? target.type : "object" };
+            if (isPlainObject(target) && target.description) stub.description = target.description;
+            return { ...stub, ...this._normalize(siblings, path, refStack, depth) };
+        }
+
+        const resolved = this._normalize(target, path, [...refStack, $ref], depth + 1);
+        if (Object.keys(siblings).length === 0) return resolved;
+        // Keywords next to $ref (usually description or default) take precedence over the referenced schema
+        return this._merge(this._normalize(siblings, path, refStack, depth), resolved, path);
+    }
+
+    /**
+     * Merge two normalized schemas the way allOf combines them. Properties are merged recursively and
+     * required lists are joined, for other keywords the first schema wins.
+     */
+    _merge(base, extra, path) {
+        const merged = { ...base };
+
+        for (const key of Object.keys(extra)) {
+            const value = extra[key];
+            if (!Object.prototype.hasOwnProperty.call(merged, key)) {
+                merged[key] = value;
+            } else if (key === "properties" && isPlainObject(merged.properties) && isPlainObject(value)) {
+                merged.properties = { ...merged.properties };
+                for (const name of Object.keys(value)) {
+                    merged.properties[name] = merged.properties[name]
+                        ? this._merge(merged.properties[name], value[name], `${path}/properties/${name}`)
+                        : value[name];
+                }
+            } else if (key === "required" && Array.isArray(merged.required) && Array.isArray(value)) {
+                merged.required = [...new Set([...merged.required, ...value])];
+            } else if (key === "enum" && Array.isArray(merged.enum) && Array.isArray(value)) {
+                merged.enum = merged.enum.filter(item => value.includes(item));
+            } else if (key === "anyOf" && Array.isArray(merged.anyOf) && Array.isArray(value)) {
+                this._warn(path, "allOf of several anyOf schemas cannot be flattened, only the first was kept");
+            } else if (key === "type" && JSON.stringify(merged.type) !== JSON.stringify(value)) {
+                this._warn(
+                    path,
+                    `allOf combines conflicting types ${JSON.stringify(merged.type)} and ${JSON.stringify(value)}, kept the first`
+                );
+            }
+        }
+
+        return merged;
+    }
+
+    // const becomes a single-value enum, which Gemini supports for strings
+    _convertConst(schema, path) {
+        const value = schema.const;
+        delete schema.const;
+        if (!schema.type) schema.type = inferConstType(value);
+        if (typeof value === "string") {
+            schema.enum = [value];
+        } else if (value !== null) {
+            this._warn(
+                path,
+                `const ${JSON.stringify(value)} is not supported for non-string values and was reduced to a description`
+            );
+            schema.description = [schema.description, `Must be ${JSON.stringify(value)}.`].filter(Boolean).join(" ");
+        }
+    }
+
+    // anyOf/oneOf made only of const/enum variants (the usual literal union) becomes one enum
+    _collapseEnumVariants(schema, path) {
+        const nullVariants = schema.anyOf.filter(variant => isPlainObject(variant) && variant.type === "null");
+        const variants = schema.anyOf.filter(variant => !nullVariants.includes(variant));
+        const values = variants.map(getEnumValues);
+        if (variants.length < 2 || values.some(value => value === null)) return;
+
+        const flatValues = values.flat();
+        const types = [...new Set(flatValues.map(inferConstType))];
+        const enumSchema = { enum: [...new Set(flatValues)], type: types.length === 1 ? types[0] : "string" };
+        if (types.length > 1) {
+            this._warn(path, `literal union of types ${types.join(", ")} was converted to a string enum`);
+            enumSchema.enum = enumSchema.enum.map(String);
+        }
+
+        if (nullVariants.length > 0) {
+            schema.anyOf = [enumSchema, { type: "null" }];
+        } else {
+            delete schema.anyOf;
+            Object.assign(schema, { ...enumSchema, ...schema });
+        }
+    }
+}
+
+/**
+ * Normalize a tool or response JSON Schema for Gemini. Local references ($ref into $defs, definitions or any
+ * other JSON Pointer in the same document) are inlined, recursive ones are cut off with a stub. allOf is merged
+ * into its parent, oneOf becomes anyOf, const becomes a single-value enum, and unions of literals become enums.
+ * @param {object} schema - Client JSON Schema
+ * @returns {{ schema: object, warnings: string[] }} Normalized schema and a description of every lossy conversion
+ */
+const normalizeJsonSchema = schema => {
+    if (!isPlainObject(schema)) return { schema, warnings: [] };
+    const normalizer = new SchemaNormalizer(schema);
+    const normalized = normalizer._normalize(schema, "#", [], 0);
+    return { schema: normalized, warnings: [...normalizer.warnings] };
+};
+
+module.exports = { normalizeJsonSchema };
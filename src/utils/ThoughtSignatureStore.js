@@ -0,0 +1,61 @@
+/**
+ * File: src/utils/ThoughtSignatureStore.js
+ * Description: Bounded in-memory map from emitted tool call ids to the Gemini thoughtSignature of the call
+ *
+ * Author: Ellinav, iBenzene, bbbugg
+ */
+
+/**
+ * Thought Signature Store Module
+ * Gemini 3 returns a thoughtSignature with function calls and rejects (or loses its reasoning context on)
+ * a follow-up turn that does not send it back. OpenAI and Claude clients have nowhere to keep it, so the
+ * signature is remembered here under the tool call id we hand out and re-attached when that id comes back.
+ * The oldest entries are evicted first once the store is full, expired entries are dropped on lookup.
+ */
+class ThoughtSignatureStore {
+    constructor(logger, config) {
+        this.logger = logger;
+        this.ttlMs = config.thoughtSignatureTtl * 1000;
+        this.maxEntries = config.thoughtSignatureMaxEntries;
+
+        // id -> { expiresAt, signature }, Map keeps insertion order
+        this.entries = new Map();
+    }
+
+    /**
+     * Remember the signature of a tool call
+     * @param {string} id - Tool call id sent to the client (call_... or toolu_...)
+     * @param {string} signature - thoughtSignature returned by Gemini
+     */
+    set(id, signature) {
+        if (!id || !signature || this.maxEntries <= 0) return;
+
+        this.entries.delete(id);
+        this.entries.set(id, { expiresAt: Date.now() + this.ttlMs, signature });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Look up the signature of a tool call
+     * @param {string} id - Tool call id sent back by the client
+     * @returns {string|null}
+     */
+    get(id) {
+        const entry = id ? this.entries.get(id) : undefined;
+        if (!entry) return null;
+        if (entry.expiresAt < Date.now()) {
+            this.entries.delete(id);
+            return null;
+        }
+        return entry.signature;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = ThoughtSignatureStore;